@@ -0,0 +1,89 @@
+/**
+ * Webhook Sync Endpoint (Vercel Cron Job)
+ *
+ * Pushes new Slack messages and thread replies from the monitored
+ * conversations to POKE_WEBHOOK_URL, for deployments that want Poke told
+ * about new messages instead of pulling them over MCP. Each run picks up
+ * after the previous one's cursor, and a delivery ledger makes sure no
+ * message is sent twice (see lib/poke-sync.js).
+ *
+ * Schedule it with Vercel Cron (a "crons" entry in vercel.json, see the
+ * README), which calls the path with `Authorization: Bearer <CRON_SECRET>`.
+ *
+ * This endpoint does NOT use the MCP bearer tokens. It returns 404 when
+ * POKE_WEBHOOK_URL is unset.
+ *
+ * Endpoint: GET or POST /api/cron/sync
+ * Response: { success, summary } - 200 when everything was delivered, 502
+ * when a batch or a channel failed (the next run retries it)
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getSyncConfig } = require('../../config/constants');
+const { consume, getClientAddress, setRateLimitHeaders } = require('../../lib/rate-limiter');
+const { runSync } = require('../../lib/poke-sync');
+
+/**
+ * Check the Authorization header against CRON_SECRET
+ *
+ * Both sides are hashed first so the constant-time compare always sees
+ * equal lengths.
+ *
+ * @param {string|undefined} authHeader - Authorization header
+ * @param {string} cronSecret - CRON_SECRET
+ * @returns {boolean} True if the header carries the secret
+ */
+function isAuthorized(authHeader, cronSecret) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+  const provided = crypto.createHash('sha256').update(authHeader.slice(7)).digest();
+  const expected = crypto.createHash('sha256').update(cronSecret).digest();
+  return crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Sync Handler
+ *
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<void>}
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: 'Method not allowed - use GET or POST' });
+  }
+
+  const config = getSyncConfig();
+  if (!config.enabled) {
+    return res.status(404).json({ error: 'Webhook sync is not configured on this server' });
+  }
+
+  // Only used to slow down secret guessing, as on the MCP endpoint
+  const clientIp = getClientAddress(req);
+  const authFailureKey = `auth-failures:${clientIp}`;
+
+  const failureCheck = await consume(authFailureKey, { cost: 0 });
+  if (failureCheck && !failureCheck.allowed) {
+    logger.warn(`Too many failed authentication attempts from ${clientIp}`);
+    setRateLimitHeaders(res, failureCheck);
+    return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+  }
+
+  if (!isAuthorized(req.headers.authorization, config.cronSecret)) {
+    logger.warn(`Sync authentication failed for ${clientIp}`);
+    await consume(authFailureKey, { cost: 1 });
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    const { success, summary } = await runSync();
+    return res.status(success ? 200 : 502).json({ success, summary });
+  } catch (error) {
+    logger.error('Sync failed:', error);
+    // Return sanitized error message
+    return res.status(500).json({ success: false, error: 'An error occurred while processing your request' });
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * Conversation Export Endpoint (Vercel Serverless Function)
+ *
+ * Downloads a monitored channel or thread as a file, the same export the
+ * export_conversation MCP tool returns. Handy for attaching a transcript
+ * to an incident postmortem or a handoff doc without an MCP client.
+ *
+ * Authentication and access are the MCP endpoint's: the same bearer token
+ * opens the same channels, a scoped client needs export_conversation in
+ * its tool list (OAuth tokens need slack:read), and the download is
+ * charged to the client's rate limit bucket.
+ *
+ * Endpoint: GET /api/export?channel_id=C123&format=markdown
+ * Query: channel_id, thread_ts, after, before, hours, format, include_replies
+ * Response: The document, as an attachment. X-Export-Truncated and
+ * X-Export-Next-Before are set when the range held more than one export,
+ * X-Export-Partial as well when Slack rate limits stopped it early, and
+ * X-Export-Incomplete-Threads when some threads' replies are missing.
+ */
+
+const logger = require('../utils/logger');
+const SlackClient = require('../lib/slack-client');
+const { getRateLimitConfig } = require('../config/constants');
+const { authenticateRequest, isToolAllowed } = require('../lib/client-auth');
+const { buildWwwAuthenticate } = require('../lib/oauth');
+const { consume, getClientAddress, setRateLimitHeaders } = require('../lib/rate-limiter');
+const { exportConversation } = require('../lib/conversation-export');
+
+const EXPORT_TOOL = 'export_conversation';
+
+/**
+ * Tools an OAuth token's scopes grant on this endpoint
+ */
+function getScopeTools(scopes) {
+  return scopes.includes('slack:read') ? [EXPORT_TOOL] : [];
+}
+
+/**
+ * Send a 429 response (headers are set by the caller)
+ */
+function sendRateLimited(res) {
+  return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' });
+}
+
+/**
+ * Export Handler
+ *
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<void>}
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed - use GET' });
+  }
+
+  // Only used to slow down token guessing, as on the MCP endpoint
+  const clientIp = getClientAddress(req);
+  const authFailureKey = `auth-failures:${clientIp}`;
+
+  const failureCheck = await consume(authFailureKey, { cost: 0 });
+  if (failureCheck && !failureCheck.allowed) {
+    logger.warn(`Too many failed authentication attempts from ${clientIp}`);
+    setRateLimitHeaders(res, failureCheck);
+    return sendRateLimited(res);
+  }
+
+  const auth = await authenticateRequest(req, getScopeTools);
+  if (!auth.authenticated) {
+    logger.warn(`Authentication failed for ${clientIp}: ${auth.error}`);
+    await consume(authFailureKey, { cost: 1 });
+
+    const wwwAuthenticate = buildWwwAuthenticate(auth.oauthError);
+    if (wwwAuthenticate) {
+      res.setHeader('WWW-Authenticate', wwwAuthenticate);
+    }
+
+    return res.status(auth.oauthError?.code === 'insufficient_scope' ? 403 : 401).json({ error: auth.error });
+  }
+
+  const { client } = auth;
+  const context = { client, slack: new SlackClient(), sendProgress: () => {} };
+
+  // SECURITY: Scoped clients need the export tool in their allowlist
+  if (!isToolAllowed(context, EXPORT_TOOL)) {
+    return res.status(403).json({ error: `Not permitted for this client (requires ${EXPORT_TOOL})` });
+  }
+
+  const { costs } = getRateLimitConfig();
+  const rateLimit = await consume(`client:${client.name}`, {
+    cost: Object.prototype.hasOwnProperty.call(costs, EXPORT_TOOL) ? costs[EXPORT_TOOL] : 1,
+    capacity: client.rateLimit
+  });
+  setRateLimitHeaders(res, rateLimit);
+
+  if (rateLimit && !rateLimit.allowed) {
+    logger.warn(`Rate limit exceeded for client ${client.name}`);
+    return sendRateLimited(res);
+  }
+
+  logger.info('Export requested', { client: client.name });
+
+  let result;
+  try {
+    result = await exportConversation(req.query, context);
+  } catch (error) {
+    if (error.isValidationError) {
+      logger.warn(`Invalid export request: ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+
+    logger.error('Export failed:', error);
+    // Return sanitized error message
+    return res.status(500).json({ error: 'An error occurred while processing your request' });
+  }
+
+  const { summary, document, contentType, filename } = result;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Export-Total', String(summary.total));
+  if (summary.truncated) {
+    res.setHeader('X-Export-Truncated', 'true');
+    if (summary.next_before) {
+      res.setHeader('X-Export-Next-Before', summary.next_before);
+    }
+  }
+  if (summary.partial) {
+    res.setHeader('X-Export-Partial', 'true');
+  }
+  if (summary.incomplete_threads.length > 0) {
+    res.setHeader('X-Export-Incomplete-Threads', String(summary.incomplete_threads.length));
+  }
+
+  return res.status(200).send(document);
+};
@@ -12,12 +12,19 @@
  * - Required environment variables are configured
  * - The configuration is valid
  *
+ * It also reports this instance's directory cache hit/miss counters and,
+ * when Slack events are enabled, how often reads were served from the
+ * event buffer, and the Slack request scheduler's counters.
+ *
  * Endpoint: GET /api/health
  * Response: JSON with health status and metadata
  */
 
 const logger = require('../utils/logger');
-const { getMonitoredChannels } = require('../config/constants');
+const { getMonitoredChannels, getSyncConfig } = require('../config/constants');
+const { getDirectoryCache } = require('../lib/directory-cache');
+const { getEventBuffer } = require('../lib/event-buffer');
+const { getSchedulerStats } = require('../lib/slack-scheduler');
 
 /**
  * Health Check Handler
@@ -67,9 +74,21 @@ module.exports = async (req, res) => {
         monitoredChannelsCount: monitoredChannels.length,
         // Removed: monitoredChannels - channel IDs should not be public
         slackConfigured: !!process.env.SLACK_BOT_TOKEN,
-        authConfigured: !!process.env.MCP_AUTH_TOKEN
+        authConfigured: !!(process.env.MCP_AUTH_TOKEN || process.env.MCP_CLIENTS || process.env.OAUTH_ISSUER),
+        oauthEnabled: !!process.env.OAUTH_ISSUER,
+        pokeConfigured: getSyncConfig().enabled
       },
 
+      // User/channel directory cache counters for this instance
+      directoryCache: getDirectoryCache().getStats(),
+
+      // Slack event buffer counters for this instance (null when disabled)
+      eventBuffer: getEventBuffer()?.getStats() || null,
+
+      // Slack request scheduler counters for this instance: calls made, 429s,
+      // calls refused at the request deadline, methods paused by Retry-After
+      slackScheduler: getSchedulerStats(),
+
       // Uptime information (only meaningful in long-running containers)
       // In serverless, this resets with each cold start
       uptime: {
@@ -1,420 +1,2515 @@
 /**
  * MCP Server for Slack Integration (HTTP-based)
  *
- * This endpoint implements a simplified Model Context Protocol (MCP) over HTTP
- * that works with Vercel's serverless architecture.
+ * This endpoint implements the Model Context Protocol (MCP) Streamable HTTP
+ * transport in a way that works with Vercel's serverless architecture.
+ * Sessions are signed rather than stored, so any instance can serve them.
  *
  * SECURITY FEATURES:
- * - Bearer token authentication (MCP_AUTH_TOKEN)
- * - Rate limiting per IP
+ * - Bearer token authentication (MCP_AUTH_TOKEN, scoped MCP_CLIENTS or OAuth 2.1 JWTs)
+ * - Per-client channel subsets and tool allowlists
+ * - Token bucket rate limiting per client, priced per tool
  * - Input validation with Zod
  * - Channel access restrictions
+ * - Separate write allowlist for posting tools (off by default)
  * - Sanitized error messages
  *
  * Endpoint: /api/mcp-http
- * Protocol: JSON-RPC 2.0 over HTTP
+ * Protocol: JSON-RPC 2.0 over MCP Streamable HTTP (sessions, SSE, progress)
  */
 
 const { z } = require('zod');
 const SlackClient = require('../lib/slack-client');
-const { getMonitoredChannels, getMcpAuthToken, getRateLimitConfig, includeUserEmails } = require('../config/constants');
+const {
+  getDmConfig,
+  getWriteChannels,
+  isWriteEnabled,
+  getSessionConfig
+} = require('../config/constants');
+const { compareTs, encodeCursor, decodeCursor, createInitialState, fetchMergedPage } = require('../lib/history-pager');
+const { parseSearchQuery, matchesSearch, dateToTs } = require('../lib/search-query');
+const { createSession, validateSession, terminateSession } = require('../lib/mcp-session');
+const { buildWwwAuthenticate } = require('../lib/oauth');
+const { consume, getRequestCost, getClientAddress, setRateLimitHeaders } = require('../lib/rate-limiter');
+const { getWatermarkStore, encodeCheckpoint, decodeCheckpoint } = require('../lib/watermark-store');
+const { scoreUser } = require('../lib/user-search');
+const { getDmAccess, getDmType } = require('../lib/dm-access');
+const { createMentionMatcher } = require('../lib/mention-matcher');
+const { isDeadlineError } = require('../lib/slack-scheduler');
+const {
+  authenticateRequest,
+  getClientChannels,
+  isToolAllowed,
+  assertToolAllowed,
+  resolveChannelRef,
+  ChannelRefSchema
+} = require('../lib/client-auth');
+const {
+  getConversationName,
+  formatConversation,
+  formatExcerpt,
+  formatUserProfile,
+  formatMessage
+} = require('../lib/message-format');
+const { applyPriorityOptions } = require('../lib/priority');
+const { messageText, isQuestion, digestThread } = require('../lib/thread-digest');
+const { exportConversation } = require('../lib/conversation-export');
+const {
+  ACTIVE_THREAD_LOOKBACK_HOURS,
+  getScanUntil,
+  collectNewItems,
+  sortNewItems,
+  getReachedPositions,
+  formatNewItem
+} = require('../lib/new-messages');
 const logger = require('../utils/logger');
 
 // ============================================================================
-// RATE LIMITING
+// INPUT VALIDATION SCHEMAS
 // ============================================================================
 
-// In-memory rate limit store (resets on cold start, which is acceptable for serverless)
-const rateLimitStore = new Map();
-
-/**
- * Check if request should be rate limited
- * @param {string} clientId - Client identifier (IP or token hash)
- * @returns {Object} { allowed: boolean, remaining: number, resetIn: number }
- */
-function checkRateLimit(clientId) {
-  const config = getRateLimitConfig();
-  const now = Date.now();
-
-  let record = rateLimitStore.get(clientId);
-
-  // Clean up old record or create new one
-  if (!record || now > record.windowStart + config.windowMs) {
-    record = { windowStart: now, count: 0 };
-  }
-
-  record.count++;
-  rateLimitStore.set(clientId, record);
+// include_replies: last N replies per thread, and how many threads to expand per page
+const MAX_REPLIES_LIMIT = 50;
+const MAX_EXPANDED_THREADS = 25;
 
-  const remaining = Math.max(0, config.maxRequests - record.count);
-  const resetIn = Math.max(0, record.windowStart + config.windowMs - now);
-
-  return {
-    allowed: record.count <= config.maxRequests,
-    remaining,
-    resetIn
-  };
-}
-
-// ============================================================================
-// INPUT VALIDATION SCHEMAS
-// ============================================================================
+// Triage options shared by the list tools (see applyPriorityOptions)
+const PriorityOptionsSchema = {
+  sort: z.enum(['time', 'priority']).default('time'),
+  min_priority: z.number().min(0).max(100).default(0)
+};
 
 const GetSlackMessagesSchema = z.object({
-  channel_id: z.string().regex(/^[CG][A-Z0-9]+$/, 'Invalid channel ID format').optional(),
+  channel_id: ChannelRefSchema.optional(),
   hours: z.number().min(1).max(720).default(24),  // Max 30 days
-  limit: z.number().min(1).max(200).default(50)   // Cap at 200
+  limit: z.number().min(1).max(200).default(50),  // Cap at 200
+  cursor: z.string().max(8192).optional(),        // Opaque next_cursor from a previous page
+  include_replies: z.boolean().default(false),
+  replies_limit: z.number().int().min(0).max(MAX_REPLIES_LIMIT).default(3),
+  ...PriorityOptionsSchema
 }).optional().default({});
 
+// get_mentions: thread reply fetches per call, most recently active threads
+// first, so one call stays well inside Slack's conversations.replies limit
+const MENTION_MAX_THREADS = 40;
+
+// get_mentions: channel messages stepped over per call, across all channels.
+// Busier windows are searched from the newest message back as far as this
+// reaches, and reported as truncated
+const MENTION_MAX_SCANNED = 5000;
+
 const GetMentionsSchema = z.object({
   user_id: z.string().regex(/^U[A-Z0-9]+$/, 'Invalid user ID format'),
-  hours: z.number().min(1).max(720).default(24)
+  hours: z.number().min(1).max(720).default(24),
+  include_threads: z.boolean().default(true),
+  include_usergroups: z.boolean().default(true),
+  include_broadcasts: z.boolean().default(false),
+  include_name: z.boolean().default(false),
+  keywords: z.array(z.string().trim().min(2, 'Keywords need at least 2 characters').max(100)).max(20).default([]),
+  ...PriorityOptionsSchema
+});
+
+// monitored_only has no schema default: it depends on the client (see
+// defaultsToMonitoredOnly)
+const GetUserSchema = z.object({
+  user_id: z.string().regex(/^[UW][A-Z0-9]+$/, 'Invalid user ID format'),
+  monitored_only: z.boolean().optional()
+});
+
+const FindUsersSchema = z.object({
+  query: z.string().trim().min(1, 'Search text is required').max(100)
+    .refine(query => /[\p{L}\p{N}]/u.test(query), 'Search text needs at least one letter or digit'),
+  limit: z.number().int().min(1).max(50).default(10),
+  include_bots: z.boolean().default(false),
+  monitored_only: z.boolean().optional()
 });
 
 const GetThreadSchema = z.object({
-  channel_id: z.string().regex(/^[CG][A-Z0-9]+$/, 'Invalid channel ID format'),
+  channel_id: ChannelRefSchema,
   thread_ts: z.string().regex(/^\d+\.\d+$/, 'Invalid thread timestamp format')
 });
 
+const GetNewMessagesSchema = z.object({
+  channel_id: ChannelRefSchema.optional(),
+  hours: z.number().min(1).max(720).default(24),  // First call only: how far back to start
+  limit: z.number().int().min(1).max(200).default(100),
+  ack: z.boolean().default(false),
+  ...PriorityOptionsSchema
+}).optional().default({});
+
+// get_channel_digest: threads read per channel (most recently active first),
+// and unanswered top-level questions listed per channel
+const DIGEST_MAX_THREADS = 25;
+const DIGEST_MAX_OPEN_QUESTIONS = 10;
+
+const GetChannelDigestSchema = z.object({
+  channel_id: ChannelRefSchema.optional(),
+  hours: z.number().min(1).max(168).default(24),  // Max 7 days
+  threads_limit: z.number().int().min(1).max(DIGEST_MAX_THREADS).default(5)
+}).optional().default({});
+
+const AckNewMessagesSchema = z.object({
+  checkpoint: z.string().min(1).max(16384)
+});
+
+const SearchMessagesSchema = z.object({
+  query: z.string().max(500).default(''),
+  channel_id: ChannelRefSchema.optional(),
+  from_user: z.string().regex(/^U[A-Z0-9]+$/, 'Invalid user ID format').optional(),
+  has_file: z.boolean().optional(),
+  has_reaction: z.boolean().optional(),
+  is_thread: z.boolean().optional(),
+  after: z.string().max(40).optional(),
+  before: z.string().max(40).optional(),
+  hours: z.number().min(1).max(720).default(168),  // Default 7 days, max 30 days
+  limit: z.number().min(1).max(100).default(20),
+  cursor: z.string().max(8192).optional(),
+  ...PriorityOptionsSchema
+});
+
+// Slack accepts up to 40k characters but truncates display well before that;
+// keep agent-written posts short
+const MAX_POST_TEXT_LENGTH = 4000;
+
+const PostMessageSchema = z.object({
+  channel_id: ChannelRefSchema,
+  text: z.string().trim().min(1, 'Message text is required').max(MAX_POST_TEXT_LENGTH, `Message text exceeds ${MAX_POST_TEXT_LENGTH} characters`),
+  dry_run: z.boolean().default(false)
+});
+
+const ReplyInThreadSchema = z.object({
+  channel_id: ChannelRefSchema,
+  thread_ts: z.string().regex(/^\d+\.\d+$/, 'Invalid thread timestamp format'),
+  text: z.string().trim().min(1, 'Message text is required').max(MAX_POST_TEXT_LENGTH, `Message text exceeds ${MAX_POST_TEXT_LENGTH} characters`),
+  broadcast: z.boolean().default(false),
+  dry_run: z.boolean().default(false)
+});
+
+const TriageInboxPromptSchema = z.object({
+  hours: z.coerce.number().min(1).max(720).default(24)
+});
+
+const WhatDidIMissPromptSchema = z.object({
+  user_id: z.string().regex(/^U[A-Z0-9]+$/, 'Invalid user ID format'),
+  hours: z.coerce.number().min(1).max(720).default(24)
+});
+
+// Upper bound on messages stepped over per search call, keeps one call within
+// a few Slack requests per channel; callers continue with next_cursor
+const SEARCH_MAX_SCANNED = 2000;
+
 // ============================================================================
-// AUTHENTICATION
+// TOOL DEFINITIONS
 // ============================================================================
 
-/**
- * Validate bearer token authentication
- * @param {Object} req - Request object
- * @returns {Object} { authenticated: boolean, error?: string }
- */
-function authenticateRequest(req) {
-  const authHeader = req.headers.authorization;
-  const expectedToken = getMcpAuthToken();
-
-  if (!expectedToken) {
-    logger.error('MCP_AUTH_TOKEN not configured');
-    return { authenticated: false, error: 'Server misconfiguration' };
+// Every message carries a priority (0-100) and the signals behind it
+const PRIORITY_OPTION_PROPERTIES = {
+  sort: {
+    type: 'string',
+    enum: ['time', 'priority'],
+    description: 'Order of the returned messages: time (default) or priority, highest first',
+    default: 'time'
+  },
+  min_priority: {
+    type: 'number',
+    description: 'Only return messages with at least this priority (0-100, default: 0)',
+    default: 0
   }
+};
 
-  if (!authHeader) {
-    return { authenticated: false, error: 'Missing Authorization header' };
+const READ_TOOLS = [
+  {
+    name: 'get_slack_messages',
+    description: 'Get recent Slack messages from monitored channels, merged newest first. Returns messages from the last 24 hours by default; each has a priority score (0-100) with the signals behind it. Pass next_cursor back as cursor to fetch the next page. If Slack rate limits leave no time to read everything, the result is marked partial and lists any unread_channels.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Optional: Channel ID or #name to fetch from (must be a monitored channel). If not provided, fetches from all monitored channels.'
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back (default: 24, max: 720)',
+          default: 24
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of messages to return (default: 50, max: 200)',
+          default: 50
+        },
+        cursor: {
+          type: 'string',
+          description: 'Optional: next_cursor from a previous response. Continues that walk; channel_id and hours are taken from the cursor.'
+        },
+        include_replies: {
+          type: 'boolean',
+          description: 'Expand threads: add reply_count, latest_reply, reply_users and the last replies to thread parents, and list older threads that got replies in the window as active_threads (first page only)',
+          default: false
+        },
+        replies_limit: {
+          type: 'number',
+          description: `With include_replies: replies to include per thread, newest last (default: 3, max: ${MAX_REPLIES_LIMIT}, 0 for counts only)`,
+          default: 3
+        },
+        ...PRIORITY_OPTION_PROPERTIES
+      }
+    }
+  },
+  {
+    name: 'get_mentions',
+    description: 'Get Slack messages addressed to a user: @mentions (including in thread replies), mentions of their user groups, and optionally @here/@channel broadcasts and watched keywords. Each hit has a match_reason and a priority score (0-100). Useful for finding messages that need attention. If the window holds too many messages to search in one call, the result is marked truncated with the searched_back_to timestamp; if Slack rate limits leave no time to search everything, it is marked partial. Either way, channels not searched to the start of the window are listed in unsearched_channels.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user_id: {
+          type: 'string',
+          description: 'Slack user ID to find mentions for (e.g., U051C2T1KTM)'
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back (default: 24, max: 720)',
+          default: 24
+        },
+        include_threads: {
+          type: 'boolean',
+          description: 'Also search replies in active threads (default: true)',
+          default: true
+        },
+        include_usergroups: {
+          type: 'boolean',
+          description: 'Count mentions of user groups the user belongs to, e.g. @oncall (default: true)',
+          default: true
+        },
+        include_broadcasts: {
+          type: 'boolean',
+          description: 'Count @here, @channel and @everyone (default: false)',
+          default: false
+        },
+        include_name: {
+          type: 'boolean',
+          description: 'Count the user\'s real or display name written out without an @ (default: false)',
+          default: false
+        },
+        keywords: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional: Words or phrases to watch for, matched as whole words in any case (max 20)'
+        },
+        ...PRIORITY_OPTION_PROPERTIES
+      },
+      required: ['user_id']
+    }
+  },
+  {
+    name: 'get_user',
+    description: 'Get a Slack user\'s profile: name, title, timezone, status, presence and whether they are a bot.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user_id: {
+          type: 'string',
+          description: 'Slack user ID (e.g., U051C2T1KTM)'
+        },
+        monitored_only: {
+          type: 'boolean',
+          description: 'Only return the user if they are a member of a monitored channel (default: true for clients limited to some channels, false otherwise)'
+        }
+      },
+      required: ['user_id']
+    }
+  },
+  {
+    name: 'find_users',
+    description: 'Find Slack users by display name, real name or handle (and email, if the server shares emails). Tolerates partial names and small typos. Use it to get the user_id that get_mentions needs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Name, handle or email to look for (e.g., "jane", "doe j")'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of users to return (default: 10, max: 50)',
+          default: 10
+        },
+        include_bots: {
+          type: 'boolean',
+          description: 'Also match bots and apps (default: false)',
+          default: false
+        },
+        monitored_only: {
+          type: 'boolean',
+          description: 'Only match members of monitored channels (default: true for clients limited to some channels, false otherwise)'
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'get_thread',
+    description: 'Get all messages in a specific Slack thread conversation (must be in a monitored channel).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Channel ID or #name where the thread exists (must be a monitored channel)'
+        },
+        thread_ts: {
+          type: 'string',
+          description: 'Thread timestamp (ts) of the parent message'
+        }
+      },
+      required: ['channel_id', 'thread_ts']
+    }
+  },
+  {
+    name: 'search_messages',
+    description: 'Search monitored Slack channels by keyword or phrase. Supports Slack-style modifiers in the query: from:U123, in:C123 or in:#name, has:file, has:reaction, is:thread, after:YYYY-MM-DD, before:YYYY-MM-DD. Results are newest first; pass next_cursor back as cursor (with the same query) to keep searching older messages. If Slack rate limits leave no time to read every channel, the result is marked partial and lists unread_channels, which the next cursor still covers.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words and "quoted phrases" that must all appear, plus optional modifiers (e.g., "deploy failed" from:U051C2T1KTM has:reaction)'
+        },
+        channel_id: {
+          type: 'string',
+          description: 'Optional: Restrict to one monitored channel, by ID or #name (same as in:)'
+        },
+        from_user: {
+          type: 'string',
+          description: 'Optional: Only messages sent by this Slack user ID (same as from:)'
+        },
+        has_file: {
+          type: 'boolean',
+          description: 'Optional: Only messages with files attached (same as has:file)'
+        },
+        has_reaction: {
+          type: 'boolean',
+          description: 'Optional: Only messages with reactions (same as has:reaction)'
+        },
+        is_thread: {
+          type: 'boolean',
+          description: 'Optional: Only messages that started or belong to a thread (same as is:thread)'
+        },
+        after: {
+          type: 'string',
+          description: 'Optional: Only messages after this date (YYYY-MM-DD, exclusive) or ISO datetime. Overrides hours.'
+        },
+        before: {
+          type: 'string',
+          description: 'Optional: Only messages before this date (YYYY-MM-DD, exclusive) or ISO datetime'
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back when no after date is given (default: 168, max: 720)',
+          default: 168
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of matches to return (default: 20, max: 100)',
+          default: 20
+        },
+        cursor: {
+          type: 'string',
+          description: 'Optional: next_cursor from a previous search_messages response'
+        },
+        ...PRIORITY_OPTION_PROPERTIES
+      }
+    }
+  },
+  {
+    name: 'get_channel_digest',
+    description: 'Digest of each monitored channel over a window: message, thread, question and file counts, plus the most active threads with their opening question, latest decision-like reply and participants, and top-level questions nobody answered. Much smaller than the raw messages. A channel Slack rate limits kept from being read in full is marked partial.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Optional: Only digest this monitored channel (ID or #name). If not provided, digests every monitored channel.'
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back (default: 24, max: 168)',
+          default: 24
+        },
+        threads_limit: {
+          type: 'number',
+          description: `Most active threads to include per channel (default: 5, max: ${DIGEST_MAX_THREADS})`,
+          default: 5
+        }
+      }
+    }
+  },
+  {
+    name: 'export_conversation',
+    description: 'Export a monitored channel or one thread over a date range as a document: markdown (readable transcript, threads nested), csv (one row per message) or jsonl (lossless, with the raw Slack fields). Reads the whole range, not just one page. A range too large for one call, or cut short by Slack rate limits (marked partial), is truncated to its newest messages with next_before to export the rest. Useful for incident postmortems and handoff notes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Channel ID or #name to export (must be a monitored channel)'
+        },
+        thread_ts: {
+          type: 'string',
+          description: 'Optional: Export only this thread (timestamp of the parent message); the date range is ignored'
+        },
+        after: {
+          type: 'string',
+          description: 'Optional: Only messages after this date (YYYY-MM-DD, exclusive), ISO datetime or Slack timestamp. Overrides hours.'
+        },
+        before: {
+          type: 'string',
+          description: 'Optional: Only messages before this date (YYYY-MM-DD, exclusive), ISO datetime or Slack timestamp, e.g. next_before from a truncated export'
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back when no after date is given (default: 24, max: 720)',
+          default: 24
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'csv', 'jsonl'],
+          description: 'Document format (default: markdown)',
+          default: 'markdown'
+        },
+        include_replies: {
+          type: 'boolean',
+          description: 'Include thread replies under their parent (default: true)',
+          default: true
+        }
+      },
+      required: ['channel_id']
+    }
+  },
+  {
+    name: 'list_channels',
+    description: 'List the monitored Slack channels you can read, with name, topic, purpose, member count, privacy and when the last message was posted. Channel names work anywhere a channel_id is accepted, as #name.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'get_new_messages',
+    description: 'Get messages and thread replies that arrived since your last acknowledged check, oldest first. Returns a checkpoint; call ack_new_messages with it once you have handled the messages, or they will be returned again next time. If has_more is true, ack and call again for the rest; channels that could not be read this time are listed in unread_channels. Threads listed in skipped_threads had too many siblings active at once to read; fetch them with get_thread.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Optional: Only check this monitored channel (ID or #name)'
+        },
+        hours: {
+          type: 'number',
+          description: 'For channels never checked before: how many hours back to start (default: 24, max: 720)',
+          default: 24
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of messages to return (default: 100, max: 200). If more arrived, has_more is true: ack and call again.',
+          default: 100
+        },
+        ack: {
+          type: 'boolean',
+          description: 'Acknowledge this response immediately instead of calling ack_new_messages (default: false)',
+          default: false
+        },
+        ...PRIORITY_OPTION_PROPERTIES
+      }
+    }
+  },
+  {
+    name: 'ack_new_messages',
+    description: 'Acknowledge a get_new_messages response so those messages are not returned again.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        checkpoint: {
+          type: 'string',
+          description: 'The checkpoint returned by get_new_messages'
+        }
+      },
+      required: ['checkpoint']
+    }
+  }
+];
+
+// Only advertised (and usable) when SLACK_MONITOR_DMS opts in
+const DM_TOOLS = [
+  {
+    name: 'list_conversations',
+    description: 'List the direct messages and group DMs you can read, with who is in them and when the last message was posted. Their IDs work as channel_id in the other read tools.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  }
+];
+
+const WRITE_TOOLS = [
+  {
+    name: 'post_message',
+    description: 'Post a short message to a Slack channel. Only channels in the server\'s write allowlist are accepted. Use dry_run to preview the exact payload without sending.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Channel ID or #name to post to (must be in the write allowlist)'
+        },
+        text: {
+          type: 'string',
+          description: `Message text, Slack mrkdwn supported (max ${MAX_POST_TEXT_LENGTH} characters)`
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'If true, return the payload that would be sent without posting (default: false)',
+          default: false
+        }
+      },
+      required: ['channel_id', 'text']
+    }
+  },
+  {
+    name: 'reply_in_thread',
+    description: 'Reply to a Slack thread. Only channels in the server\'s write allowlist are accepted. Use dry_run to preview the exact payload without sending.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channel_id: {
+          type: 'string',
+          description: 'Channel ID or #name where the thread exists (must be in the write allowlist)'
+        },
+        thread_ts: {
+          type: 'string',
+          description: 'Thread timestamp (ts) of the parent message'
+        },
+        text: {
+          type: 'string',
+          description: `Reply text, Slack mrkdwn supported (max ${MAX_POST_TEXT_LENGTH} characters)`
+        },
+        broadcast: {
+          type: 'boolean',
+          description: 'Also send the reply to the channel (default: false)',
+          default: false
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'If true, return the payload that would be sent without posting (default: false)',
+          default: false
+        }
+      },
+      required: ['channel_id', 'thread_ts', 'text']
+    }
   }
+];
 
-  if (!authHeader.startsWith('Bearer ')) {
-    return { authenticated: false, error: 'Invalid Authorization format. Expected: Bearer <token>' };
+/**
+ * Tools an OAuth token's scopes grant: slack:read every read tool (and the
+ * DM tools), slack:write every write tool
+ *
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Array<string>} Tool names
+ */
+function getScopeTools(scopes) {
+  const tools = [];
+  if (scopes.includes('slack:read')) {
+    tools.push(...READ_TOOLS.map(tool => tool.name), ...DM_TOOLS.map(tool => tool.name));
   }
+  if (scopes.includes('slack:write')) {
+    tools.push(...WRITE_TOOLS.map(tool => tool.name));
+  }
+  return tools;
+}
 
-  const providedToken = authHeader.slice(7);
+// ============================================================================
+// RESOURCE DEFINITIONS
+// ============================================================================
 
-  // Use timing-safe comparison to prevent timing attacks
-  if (providedToken.length !== expectedToken.length) {
-    return { authenticated: false, error: 'Invalid token' };
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'slack://channel/{channel_id}',
+    name: 'Slack channel',
+    description: 'Recent messages (last 24 hours) from a monitored Slack channel',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'slack://channel/{channel_id}/thread/{thread_ts}',
+    name: 'Slack thread',
+    description: 'All messages in a thread from a monitored Slack channel',
+    mimeType: 'application/json'
   }
+];
 
-  // Simple constant-time comparison
-  let mismatch = 0;
-  for (let i = 0; i < providedToken.length; i++) {
-    mismatch |= providedToken.charCodeAt(i) ^ expectedToken.charCodeAt(i);
-  }
+const RESOURCE_URI_PATTERN = /^slack:\/\/channel\/([^/]+)(?:\/thread\/([^/]+))?$/;
+
+// Window and size of a channel resource snapshot
+const CHANNEL_RESOURCE_HOURS = 24;
+const CHANNEL_RESOURCE_LIMIT = 50;
+
+// JSON-RPC error code the MCP spec uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+// ============================================================================
+// PROMPT DEFINITIONS
+// ============================================================================
 
-  if (mismatch !== 0) {
-    return { authenticated: false, error: 'Invalid token' };
+// Prompt arguments arrive as strings (MCP spec); schemas above coerce them
+const PROMPTS = [
+  {
+    name: 'triage_inbox',
+    description: 'Triage recent Slack activity across monitored channels into urgent, important and FYI',
+    arguments: [
+      {
+        name: 'hours',
+        description: 'Number of hours to look back (default: 24, max: 720)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'summarize_thread',
+    description: 'Summarize a Slack thread: the question, the outcome and any open action items',
+    arguments: [
+      {
+        name: 'channel_id',
+        description: 'Channel ID or #name where the thread exists (must be a monitored channel)',
+        required: true
+      },
+      {
+        name: 'thread_ts',
+        description: 'Thread timestamp (ts) of the parent message',
+        required: true
+      }
+    ]
+  },
+  {
+    name: 'what_did_i_miss',
+    description: 'Catch a person up on Slack: their @mentions first, then notable channel activity',
+    arguments: [
+      {
+        name: 'user_id',
+        description: 'Slack user ID to catch up (e.g., U051C2T1KTM)',
+        required: true
+      },
+      {
+        name: 'hours',
+        description: 'Number of hours to look back (default: 24, max: 720)',
+        required: false
+      }
+    ]
   }
+];
 
-  return { authenticated: true };
-}
+// Tools a client needs for each prompt, which reads the same data
+const PROMPT_TOOLS = {
+  triage_inbox: ['get_slack_messages'],
+  summarize_thread: ['get_thread'],
+  what_did_i_miss: ['get_mentions', 'get_slack_messages']
+};
+
+// Maximum messages embedded in a prompt, keeps prompts inside client context budgets
+const PROMPT_MESSAGE_LIMIT = 100;
 
 // ============================================================================
 // MAIN HANDLER
 // ============================================================================
 
+// Newest first; initialize echoes the client's version when supported,
+// otherwise offers the newest
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Returned by readJsonBody when the body is not valid JSON
+const PARSE_ERROR = Symbol('PARSE_ERROR');
+
+// Keep-alive comment interval on open event streams
+const SSE_HEARTBEAT_MS = 10000;
+
 /**
- * Handle MCP JSON-RPC requests over HTTP
+ * Handle MCP requests over HTTP (Streamable HTTP transport)
+ *
+ * - POST: JSON-RPC message or batch, answered as JSON or, when the client
+ *   accepts text/event-stream and asked for progress, as an SSE stream.
+ *   Notification-only bodies get 202 Accepted.
+ * - GET: SSE stream for server-to-client messages
+ * - DELETE: end the session named by Mcp-Session-Id
  */
 module.exports = async (req, res) => {
-  // Get client identifier for rate limiting
-  const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-                   req.headers['x-real-ip'] ||
-                   'unknown';
+  // Streamable HTTP uses POST, GET and DELETE on the same endpoint
+  if (!['POST', 'GET', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Method not allowed - use POST, GET or DELETE'
+      }
+    });
+  }
+
+  // Only used to slow down token guessing; successful requests are limited
+  // per authenticated client below
+  const clientIp = getClientAddress(req);
+  const authFailureKey = `auth-failures:${clientIp}`;
+
+  const failureCheck = await consume(authFailureKey, { cost: 0 });
+  if (failureCheck && !failureCheck.allowed) {
+    logger.warn(`Too many failed authentication attempts from ${clientIp}`);
+    setRateLimitHeaders(res, failureCheck);
+    return sendRateLimited(res);
+  }
 
-  // Check rate limit BEFORE authentication (prevents auth brute force)
-  const rateLimit = checkRateLimit(clientIp);
+  // Authenticate request
+  const auth = await authenticateRequest(req, getScopeTools);
+  if (!auth.authenticated) {
+    logger.warn(`Authentication failed for ${clientIp}: ${auth.error}`);
+    await consume(authFailureKey, { cost: 1 });
 
-  // Set rate limit headers
-  res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
-  res.setHeader('X-RateLimit-Reset', Math.ceil(rateLimit.resetIn / 1000));
+    // Point OAuth clients at the protected resource metadata
+    const wwwAuthenticate = buildWwwAuthenticate(auth.oauthError);
+    if (wwwAuthenticate) {
+      res.setHeader('WWW-Authenticate', wwwAuthenticate);
+    }
 
-  if (!rateLimit.allowed) {
-    logger.warn(`Rate limit exceeded for ${clientIp}`);
-    return res.status(429).json({
+    return res.status(auth.oauthError?.code === 'insufficient_scope' ? 403 : 401).json({
       jsonrpc: '2.0',
+      id: null,
       error: {
-        code: -32000,
-        message: 'Rate limit exceeded. Please try again later.'
+        code: -32600,
+        message: auth.error
       }
     });
   }
 
-  // Only accept POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({
+  const { client } = auth;
+
+  // Reject protocol versions we cannot speak
+  const protocolVersionHeader = req.headers['mcp-protocol-version'];
+  if (protocolVersionHeader && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersionHeader)) {
+    return res.status(400).json({
       jsonrpc: '2.0',
+      id: null,
       error: {
         code: -32600,
-        message: 'Method not allowed - use POST'
+        message: `Unsupported MCP-Protocol-Version. Supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`
       }
     });
   }
 
-  // Authenticate request
-  const auth = authenticateRequest(req);
-  if (!auth.authenticated) {
-    logger.warn(`Authentication failed for ${clientIp}: ${auth.error}`);
-    return res.status(401).json({
+  // Validate the session, if the client sent one. Sessions are bound to the
+  // client identity, so a refreshed OAuth token keeps its session.
+  const credential = client.name;
+  const sessionId = req.headers['mcp-session-id'];
+  let session = null;
+
+  if (sessionId) {
+    const check = validateSession(sessionId, credential);
+    if (!check.valid) {
+      logger.warn(`Rejected MCP session for client ${client.name}: ${check.reason}`);
+      // 404 tells the client to start a new session with initialize
+      return res.status(404).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32001,
+          message: 'Session not found'
+        }
+      });
+    }
+    session = check.session;
+  }
+
+  // Parse the body up front: a single message or a batch array
+  let body = null;
+  if (req.method === 'POST') {
+    body = readJsonBody(req);
+    if (body === PARSE_ERROR) {
+      return res.status(400).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32700,
+          message: 'Parse error'
+        }
+      });
+    }
+  }
+
+  // Charge the client's bucket for what this request will do
+  const rateLimit = await consume(`client:${client.name}`, {
+    cost: getRequestCost(body),
+    capacity: client.rateLimit
+  });
+  setRateLimitHeaders(res, rateLimit);
+
+  if (rateLimit && !rateLimit.allowed) {
+    logger.warn(`Rate limit exceeded for client ${client.name}`);
+    return sendRateLimited(res);
+  }
+
+  const isBatch = Array.isArray(body);
+  const isInitialize = !isBatch && body?.method === 'initialize';
+  if (!session && !isInitialize && (req.method !== 'POST' || getSessionConfig().required)) {
+    return res.status(400).json({
       jsonrpc: '2.0',
+      id: null,
       error: {
         code: -32600,
-        message: auth.error
+        message: 'Missing Mcp-Session-Id header'
+      }
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    terminateSession(session);
+    logger.info(`MCP session terminated: ${session.id}`);
+    return res.status(204).end();
+  }
+
+  if (req.method === 'GET') {
+    return openEventStream(req, res, session);
+  }
+
+  if (isBatch && body.length === 0) {
+    return res.status(400).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Invalid Request: empty batch'
       }
     });
   }
 
+  // One Slack client, and so one deadline, for every message in the body
+  const context = { client, session, credential, res, slack: new SlackClient() };
+
+  // A single request that asked for progress is answered as an SSE stream
+  const progressToken = !isBatch && isRequest(body) ? body.params?._meta?.progressToken : undefined;
+  if (progressToken !== undefined && acceptsEventStream(req)) {
+    startEventStream(res);
+    context.sendProgress = createProgressReporter(res, progressToken);
+    writeEvent(res, await processMessage(body, context));
+    return res.end();
+  }
+
+  const responses = [];
+  for (const message of isBatch ? body : [body]) {
+    const response = await processMessage(message, context);
+    if (response) {
+      responses.push(response);
+    }
+  }
+
+  // Only notifications: nothing to answer
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+
   // Set headers for JSON-RPC
   res.setHeader('Content-Type', 'application/json');
+  return res.status(200).json(isBatch ? responses : responses[0]);
+};
+
+/**
+ * Send a 429 response (headers are set by the caller)
+ */
+function sendRateLimited(res) {
+  return res.status(429).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: {
+      code: -32000,
+      message: 'Rate limit exceeded. Please try again later.'
+    }
+  });
+}
 
+/**
+ * Read the request body as JSON
+ *
+ * Vercel parses JSON bodies lazily and throws from the `req.body` getter on
+ * malformed input; bodies sent without a JSON content type arrive as text.
+ *
+ * @returns {*} Parsed body, or PARSE_ERROR
+ */
+function readJsonBody(req) {
+  let body;
   try {
-    const { method, params, id } = req.body;
-
-    logger.info(`MCP request: ${method}`);
-
-    // Handle different MCP methods
-    switch (method) {
-      case 'initialize':
-        return res.status(200).json({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            protocolVersion: '2024-11-05',
-            capabilities: {
-              tools: {}
-            },
-            serverInfo: {
-              name: 'slack-integration',
-              version: '1.0.0',
-              icon: 'https://v40.in/logos/slack.svg'
-            }
-          }
-        });
-
-      case 'tools/list':
-        return res.status(200).json({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            tools: [
-              {
-                name: 'get_slack_messages',
-                description: 'Get recent Slack messages from monitored channels. Returns messages from the last 24 hours by default.',
-                inputSchema: {
-                  type: 'object',
-                  properties: {
-                    channel_id: {
-                      type: 'string',
-                      description: 'Optional: Specific channel ID to fetch from (must be a monitored channel). If not provided, fetches from all monitored channels.'
-                    },
-                    hours: {
-                      type: 'number',
-                      description: 'Number of hours to look back (default: 24, max: 720)',
-                      default: 24
-                    },
-                    limit: {
-                      type: 'number',
-                      description: 'Maximum number of messages to return (default: 50, max: 200)',
-                      default: 50
-                    }
-                  }
-                }
-              },
-              {
-                name: 'get_mentions',
-                description: 'Get Slack messages where a specific user is @mentioned. Useful for finding messages that need attention.',
-                inputSchema: {
-                  type: 'object',
-                  properties: {
-                    user_id: {
-                      type: 'string',
-                      description: 'Slack user ID to find mentions for (e.g., U051C2T1KTM)'
-                    },
-                    hours: {
-                      type: 'number',
-                      description: 'Number of hours to look back (default: 24, max: 720)',
-                      default: 24
-                    }
-                  },
-                  required: ['user_id']
-                }
-              },
-              {
-                name: 'get_thread',
-                description: 'Get all messages in a specific Slack thread conversation (must be in a monitored channel).',
-                inputSchema: {
-                  type: 'object',
-                  properties: {
-                    channel_id: {
-                      type: 'string',
-                      description: 'Channel ID where the thread exists (must be a monitored channel)'
-                    },
-                    thread_ts: {
-                      type: 'string',
-                      description: 'Thread timestamp (ts) of the parent message'
-                    }
-                  },
-                  required: ['channel_id', 'thread_ts']
-                }
-              }
-            ]
-          }
-        });
-
-      case 'tools/call':
-        const toolResult = await handleToolCall(params);
-        return res.status(200).json({
-          jsonrpc: '2.0',
-          id,
-          result: toolResult
-        });
-
-      default:
-        return res.status(200).json({
-          jsonrpc: '2.0',
-          id,
-          error: {
-            code: -32601,
-            message: 'Method not found'
-          }
-        });
+    body = req.body;
+  } catch (error) {
+    return PARSE_ERROR;
+  }
+
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      return JSON.parse(body.toString());
+    } catch (error) {
+      return PARSE_ERROR;
+    }
+  }
+
+  return body === undefined || body === null ? PARSE_ERROR : body;
+}
+
+/**
+ * Check whether a message is a request (expects a response) rather than a
+ * notification. In JSON-RPC 2.0 only the presence of "id" decides this.
+ */
+function isRequest(message) {
+  return message !== null && typeof message === 'object' && !Array.isArray(message) &&
+    Object.prototype.hasOwnProperty.call(message, 'id');
+}
+
+/**
+ * Validate and handle one JSON-RPC message from a single or batch body
+ *
+ * Never throws: failures become JSON-RPC error responses carrying the
+ * request's id, so one bad entry does not sink a batch.
+ *
+ * @param {*} message - Parsed JSON-RPC message
+ * @param {Object} baseContext - { client, session, credential, res, slack, sendProgress? }
+ * @returns {Promise<Object|null>} JSON-RPC response, or null for notifications
+ */
+async function processMessage(message, baseContext) {
+  const validId = isRequest(message) && ['string', 'number'].includes(typeof message.id) ? message.id : null;
+
+  if (!message || typeof message !== 'object' || Array.isArray(message) ||
+      message.jsonrpc !== '2.0' || typeof message.method !== 'string' ||
+      (isRequest(message) && validId === null && message.id !== null)) {
+    return {
+      jsonrpc: '2.0',
+      id: validId,
+      error: {
+        code: -32600,
+        message: 'Invalid Request'
+      }
+    };
+  }
+
+  const { method, params, id } = message;
+
+  // Notifications (notifications/initialized, notifications/cancelled, ...)
+  // are accepted silently; this server has no state to update for them
+  if (!isRequest(message)) {
+    logger.debug(`MCP notification: ${method}`);
+    return null;
+  }
+
+  logger.info(`MCP request: ${method}`, { client: baseContext.client.name });
+
+  const context = { sendProgress: () => {}, ...baseContext };
+
+  try {
+    // Issue a session on initialize, bound to the caller's credential
+    if (method === 'initialize') {
+      const protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+      context.protocolVersion = protocolVersion;
+      context.res.setHeader('Mcp-Session-Id', createSession({ credential: context.credential, protocolVersion }));
     }
+
+    return await dispatchRequest(message, context);
   } catch (error) {
+    if (error.isValidationError) {
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: error.rpcCode || -32602,
+          message: error.message
+        }
+      };
+    }
+
     logger.error('MCP HTTP error:', error);
     // Return sanitized error message
-    return res.status(500).json({
+    return {
       jsonrpc: '2.0',
+      id,
       error: {
         code: -32603,
         message: 'Internal server error'
       }
-    });
+    };
   }
-};
+}
 
-// ============================================================================
-// TOOL HANDLERS
-// ============================================================================
+/**
+ * Route one JSON-RPC request to its MCP method and build the response
+ *
+ * Handlers signal bad arguments by throwing errors flagged isValidationError
+ * (optionally with an rpcCode); processMessage turns those into -32602.
+ *
+ * @param {Object} message - JSON-RPC request
+ * @param {Object} context - { client, session, protocolVersion, sendProgress }
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+async function dispatchRequest(message, context) {
+  const { method, params, id } = message;
+
+  // Handle different MCP methods
+  switch (method) {
+    case 'ping':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {}
+      };
+
+    case 'initialize':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          protocolVersion: context.protocolVersion,
+          capabilities: {
+            tools: {},
+            resources: {},
+            prompts: {}
+          },
+          serverInfo: {
+            name: 'slack-integration',
+            version: '1.0.0',
+            icon: 'https://v40.in/logos/slack.svg'
+          }
+        }
+      };
+
+    case 'tools/list':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          tools: [
+            ...READ_TOOLS,
+            // DM tools are only advertised when SLACK_MONITOR_DMS is set
+            ...(getDmConfig() ? DM_TOOLS : []),
+            // Write tools are only advertised when SLACK_WRITE_CHANNELS is set
+            ...(isWriteEnabled() ? WRITE_TOOLS : [])
+          ].filter(tool => isToolAllowed(context, tool.name))
+        }
+      };
+
+    case 'resources/list':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: await handleListResources(context)
+      };
+
+    case 'resources/templates/list':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          resourceTemplates: RESOURCE_TEMPLATES
+        }
+      };
+
+    case 'resources/read':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: await handleReadResource(params, context)
+      };
+
+    case 'prompts/list':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          prompts: PROMPTS.filter(prompt => PROMPT_TOOLS[prompt.name].every(tool => isToolAllowed(context, tool)))
+        }
+      };
+
+    case 'prompts/get':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: await handleGetPrompt(params, context)
+      };
+
+    case 'tools/call':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: await handleToolCall(params, context)
+      };
+
+    default:
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: -32601,
+          message: 'Method not found'
+        }
+      };
+  }
+}
+
+/**
+ * Pick the protocol version to answer initialize with
+ *
+ * @param {string} requested - Version the client asked for
+ * @returns {string} The requested version if supported, otherwise our newest
+ */
+function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+// ============================================================================
+// SERVER-SENT EVENTS
+// ============================================================================
+
+/**
+ * Check whether the client accepts an SSE response
+ */
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Send SSE response headers
+ */
+function startEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+}
+
+/**
+ * Write one JSON-RPC message as an SSE event
+ */
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Build a sendProgress(progress, total, message) function that streams
+ * notifications/progress for the given progress token
+ */
+function createProgressReporter(res, progressToken) {
+  return (progress, total, message) => {
+    writeEvent(res, {
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        ...(total !== undefined && { total }),
+        ...(message && { message })
+      }
+    });
+  };
+}
+
+/**
+ * Serve a GET event stream for server-initiated messages
+ *
+ * This server never initiates requests, so the stream only carries
+ * keep-alives. It closes after MCP_SSE_MAX_MS to stay inside the serverless
+ * function timeout; the `retry` field tells the client when to reconnect.
+ */
+function openEventStream(req, res, session) {
+  if (!acceptsEventStream(req)) {
+    return res.status(406).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'GET requires Accept: text/event-stream'
+      }
+    });
+  }
+
+  const { sseMaxMs } = getSessionConfig();
+
+  startEventStream(res);
+  res.write(`retry: ${SSE_HEARTBEAT_MS}\n\n`);
+  logger.debug(`MCP event stream opened for session ${session.id}`);
+
+  return new Promise(resolve => {
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    const close = () => {
+      clearInterval(heartbeat);
+      clearTimeout(timeout);
+      resolve();
+    };
+
+    const timeout = setTimeout(() => {
+      res.end();
+      close();
+    }, sseMaxMs);
+
+    req.on('close', close);
+  });
+}
+
+// ============================================================================
+// TOOL HANDLERS
+// ============================================================================
+
+/**
+ * Handle tool execution with validation
+ *
+ * `context.sendProgress` streams progress notifications for multi-channel
+ * fetches when the client asked for them (no-op otherwise).
+ *
+ * Validation errors are rethrown so they surface as JSON-RPC -32602;
+ * anything else becomes an isError tool result with a sanitized message.
+ */
+async function handleToolCall(params, context) {
+  if (!params || typeof params.name !== 'string') {
+    const error = new Error('Missing tool name');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { name, arguments: args } = params;
+
+  // SECURITY: Scoped clients may only call their allowlisted tools
+  assertToolAllowed(context, name);
+
+  try {
+    switch (name) {
+      case 'get_slack_messages':
+        return await handleGetSlackMessages(args, context);
+
+      case 'get_mentions':
+        return await handleGetMentions(args, context);
+
+      case 'get_user':
+        return await handleGetUser(args, context);
+
+      case 'find_users':
+        return await handleFindUsers(args, context);
+
+      case 'get_thread':
+        return await handleGetThread(args, context);
+
+      case 'search_messages':
+        return await handleSearchMessages(args, context);
+
+      case 'get_channel_digest':
+        return await handleGetChannelDigest(args, context);
+
+      case 'export_conversation':
+        return await handleExportConversation(args, context);
+
+      case 'list_channels':
+        return await handleListChannels(args, context);
+
+      case 'list_conversations':
+        return await handleListConversations(args, context);
+
+      case 'get_new_messages':
+        return await handleGetNewMessages(args, context);
+
+      case 'ack_new_messages':
+        return await handleAckNewMessages(args, context);
+
+      case 'post_message':
+        return await handlePostMessage(args, context);
+
+      case 'reply_in_thread':
+        return await handleReplyInThread(args, context);
+
+      default: {
+        const error = new Error(`Unknown tool: ${name}`);
+        error.isValidationError = true;
+        throw error;
+      }
+    }
+  } catch (error) {
+    // Bad arguments are a protocol error (-32602), reported by the caller
+    if (error.isValidationError) {
+      logger.warn(`Invalid arguments for tool ${name}: ${error.message}`);
+      throw error;
+    }
+
+    logger.error(`Error executing tool ${name}:`, error);
+
+    // Return user-friendly error without exposing internals
+    return {
+      content: [{ type: 'text', text: 'Error: An error occurred while processing your request' }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Get recent Slack messages with validation
+ */
+async function handleGetSlackMessages(args, context) {
+  // Validate input
+  const parseResult = GetSlackMessagesSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { channel_id, hours, limit, cursor, include_replies, replies_limit, sort, min_priority } = parseResult.data;
+  const { slack } = context;
+  const monitoredChannels = await getClientChannels(context);
+
+  let state;
+  if (cursor) {
+    state = decodeCursor(cursor);
+
+    // SECURITY: Re-check the allowlist, the cursor is client-supplied
+    for (const channelId of Object.keys(state.channels)) {
+      if (!monitoredChannels.includes(channelId)) {
+        const error = new Error('Channel not in monitored list');
+        error.isValidationError = true;
+        throw error;
+      }
+    }
+  } else {
+    // Validate channel access - ONLY allow monitored channels
+    let channels;
+    if (channel_id) {
+      const channelId = await resolveChannelRef(channel_id, monitoredChannels, slack);
+      if (!monitoredChannels.includes(channelId)) {
+        const error = new Error('Channel not in monitored list');
+        error.isValidationError = true;
+        throw error;
+      }
+      channels = [channelId];
+    } else {
+      channels = monitoredChannels;
+    }
+
+    // Calculate timestamp for lookback period
+    const lookbackMs = hours * 60 * 60 * 1000;
+    const oldestTimestamp = ((Date.now() - lookbackMs) / 1000).toFixed(6);
+
+    state = createInitialState(channels, oldestTimestamp);
+  }
+
+  const page = await fetchMergedPage(slack, state, limit, {
+    onProgress: (done, total) => context.sendProgress(done, total, `Fetched ${done}/${total} channels`)
+  });
+
+  // The first MAX_EXPANDED_THREADS threads on the page get their replies
+  const expandedTs = new Set(
+    page.messages
+      .filter(({ message }) => include_replies && replies_limit > 0 && message.reply_count > 0)
+      .slice(0, MAX_EXPANDED_THREADS)
+      .map(({ message }) => message.ts)
+  );
+
+  const allMessages = await formatChannelMessages(slack, page.messages, async ({ message }, channel) => {
+    const formatted = await formatMessage(slack, message, channel);
+    if (include_replies && message.reply_count > 0) {
+      await addThreadDetails(slack, formatted, message, channel, expandedTs.has(message.ts) ? replies_limit : 0);
+    }
+    return formatted;
+  });
+
+  const messages = applyPriorityOptions(allMessages, { sort, min_priority });
+  const response = {
+    total: messages.length,
+    messages,
+    has_more: page.nextState !== null,
+    next_cursor: page.nextState ? encodeCursor(page.nextState) : null
+  };
+
+  // Threads started before the window are invisible in its history; list
+  // the ones with replies inside the window once, on the first page
+  if (include_replies && !cursor) {
+    const threads = await findActiveThreads(
+      slack, Object.keys(state.channels), state.oldest, replies_limit, context
+    );
+    response.active_threads = applyPriorityOptions(threads, { sort, min_priority });
+  }
+
+  // The request deadline cut something off (see lib/slack-scheduler.js).
+  // Unread channels stay in next_cursor, so the next page reads them.
+  if (slack.deadlineReached) {
+    response.partial = true;
+    if (page.unread.length > 0) {
+      response.unread_channels = page.unread;
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(response, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Format messages from several channels in parallel, keeping their order
+ *
+ * Messages whose channel could not be looked up before the request deadline
+ * are left out; slack.deadlineReached tells the caller the result is partial.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Array<Object>} items - { channelId, message, ... }
+ * @param {Function} format - async (item, channel) => formatted message
+ * @returns {Promise<Array>} Formatted messages
+ */
+async function formatChannelMessages(slack, items, format) {
+  const formatted = await Promise.all(items.map(async item => {
+    try {
+      const channel = await slack.getChannelInfo(item.channelId);
+      return await format(item, channel);
+    } catch (error) {
+      if (isDeadlineError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }));
+  return formatted.filter(Boolean);
+}
+
+/**
+ * Add reply details to a formatted thread parent
+ *
+ * reply_count, latest_reply and reply_users come with the parent from
+ * conversations.history; the replies themselves need getThreadReplies.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Object} formatted - Formatted parent (modified in place)
+ * @param {Object} message - Raw Slack parent message
+ * @param {Object} channel - Channel info
+ * @param {number} repliesLimit - Replies to attach, newest last (0: none)
+ * @param {string} [oldest] - Only attach replies after this timestamp
+ */
+async function addThreadDetails(slack, formatted, message, channel, repliesLimit, oldest) {
+  formatted.reply_count = message.reply_count;
+  formatted.latest_reply = message.latest_reply || null;
+
+  formatted.reply_users = await Promise.all((message.reply_users || []).map(async userId => {
+    const user = await slack.getUserInfo(userId).catch(() => null);
+    return { id: userId, name: user ? user.real_name || user.name : null };
+  }));
+
+  if (repliesLimit === 0) {
+    return;
+  }
+
+  try {
+    const thread = await slack.getThreadReplies(channel.id, message.ts, { oldest });
+    const replies = thread.filter(reply => reply.ts !== message.ts).slice(-repliesLimit);
+
+    formatted.replies = await Promise.all(replies.map(reply => formatMessage(slack, reply, channel)));
+  } catch (error) {
+    logger.warn(`Failed to expand thread ${channel.id}/${message.ts}:`, error.message);
+  }
+}
+
+/**
+ * Find threads started before the window that have replies inside it
+ *
+ * Looks back ACTIVE_THREAD_LOOKBACK_HOURS before the window for parents
+ * whose latest_reply falls inside it, most recently active first.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Array<string>} channelIds - Channels being read
+ * @param {string} oldest - Start of the window (Slack timestamp)
+ * @param {number} repliesLimit - Replies from inside the window to attach per thread
+ * @param {Object} context - Request context (progress)
+ * @returns {Promise<Array>} Formatted parents with thread details
+ */
+async function findActiveThreads(slack, channelIds, oldest, repliesLimit, context) {
+  const scanOldest = (parseFloat(oldest) - ACTIVE_THREAD_LOOKBACK_HOURS * 60 * 60).toFixed(6);
+  const state = createInitialState(channelIds, scanOldest, oldest);
+
+  const page = await fetchMergedPage(slack, state, MAX_EXPANDED_THREADS, {
+    filter: message => message.reply_count > 0 && !!message.latest_reply && compareTs(message.latest_reply, oldest) > 0,
+    maxScanned: SEARCH_MAX_SCANNED,
+    onProgress: (done, total) => context.sendProgress(done, total, `Checked ${done}/${total} channels for active threads`)
+  });
+
+  const threads = await formatChannelMessages(slack, page.messages, async ({ message }, channel) => {
+    const formatted = await formatMessage(slack, message, channel);
+    await addThreadDetails(slack, formatted, message, channel, repliesLimit, oldest);
+    return formatted;
+  });
+
+  return threads.sort((a, b) => compareTs(b.latest_reply, a.latest_reply));
+}
+
+/**
+ * Get messages where user is mentioned with validation
+ */
+async function handleGetMentions(args, context) {
+  // Validate input
+  const parseResult = GetMentionsSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { user_id, hours, sort, min_priority, ...options } = parseResult.data;
+
+  const result = await findMentions(user_id, hours, context, options);
+  const mentions = applyPriorityOptions(result.mentions, { sort, min_priority });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          user_id,
+          total: mentions.length,
+          mentions,
+          ...(options.include_usergroups && { usergroups: result.usergroups }),
+          ...(options.include_threads && {
+            threads_searched: result.threadsSearched,
+            threads_skipped: result.threadsSkipped
+          }),
+          ...(result.partial && { partial: true }),
+          ...(result.truncated && { truncated: true, searched_back_to: result.searchedBackTo }),
+          ...(result.unsearched.length > 0 && { unsearched_channels: result.unsearched })
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Find and format messages in monitored channels addressed to a user
+ *
+ * Shared by the get_mentions tool and the what_did_i_miss prompt. Searches
+ * the channels the calling client may read and reports progress.
+ *
+ * Channel history only holds top-level messages, so with include_threads
+ * the history walk reaches ACTIVE_THREAD_LOOKBACK_HOURS further back to find
+ * threads with replies in the window, and the most recently active
+ * MENTION_MAX_THREADS of them are searched. Channel histories are walked as
+ * one merged timeline, newest first, for at most MENTION_MAX_SCANNED
+ * messages; threads are then searched in parallel, as far as the Slack
+ * client's scheduler allows. What the scan cap or the request deadline
+ * leaves unsearched is reported rather than waited for.
+ *
+ * @param {string} user_id - User to find mentions of
+ * @param {number} hours - Lookback window
+ * @param {Object} context - Request context
+ * @param {Object} [options] - include_threads, include_usergroups,
+ *   include_broadcasts, include_name, keywords (see GetMentionsSchema)
+ * @returns {Promise<Object>} { mentions (most recent first, each with
+ *   match_reason), usergroups, threadsSearched, threadsSkipped, partial,
+ *   truncated, searchedBackTo (ts the scan reached when truncated),
+ *   unsearched (channels not searched back to the window start) }
+ */
+async function findMentions(user_id, hours, context, options = {}) {
+  const {
+    include_threads = true,
+    include_usergroups = true,
+    include_broadcasts = false,
+    include_name = false,
+    keywords = []
+  } = options;
+
+  const { slack } = context;
+  const channels = await getClientChannels(context);
+
+  const lookbackMs = hours * 60 * 60 * 1000;
+  const oldestTimestamp = ((Date.now() - lookbackMs) / 1000).toFixed(6);
+  const scanOldest = include_threads
+    ? (parseFloat(oldestTimestamp) - ACTIVE_THREAD_LOOKBACK_HOURS * 60 * 60).toFixed(6)
+    : oldestTimestamp;
+
+  const usergroups = new Map();
+  if (include_usergroups) {
+    try {
+      for (const group of await slack.getUserUsergroups(user_id)) {
+        usergroups.set(group.id, group.handle);
+      }
+    } catch (error) {
+      logger.warn(`Searching without user groups for ${user_id}:`, error.message);
+    }
+  }
+
+  const watched = [...keywords];
+  if (include_name) {
+    const user = await slack.getUserInfo(user_id);
+    watched.push(...[user?.real_name, user?.profile?.display_name].filter(name => name && name.length >= 2));
+  }
+
+  const match = createMentionMatcher({
+    userId: user_id,
+    usergroups,
+    keywords: [...new Map(watched.map(keyword => [keyword.toLowerCase(), keyword])).values()],
+    broadcasts: include_broadcasts
+  });
+
+  const hits = [];
+  const seen = new Set();
+  const addHit = (channelId, message) => {
+    const key = `${channelId}:${message.ts}`;
+    if (seen.has(key) || compareTs(message.ts, oldestTimestamp) <= 0) {
+      return;
+    }
+    const reason = match(message);
+    if (reason) {
+      seen.add(key);
+      hits.push({ channelId, message, reason });
+    }
+  };
+
+  const isActiveThread = message => include_threads && message.reply_count > 0 && !!message.latest_reply &&
+    compareTs(message.latest_reply, oldestTimestamp) > 0;
+
+  const page = await fetchMergedPage(slack, createInitialState(channels, scanOldest), MENTION_MAX_SCANNED, {
+    filter: message => isActiveThread(message) || (compareTs(message.ts, oldestTimestamp) > 0 && !!match(message)),
+    maxScanned: MENTION_MAX_SCANNED,
+    onProgress: (done, total) => context.sendProgress(done, total, `Searched ${done}/${total} channels`)
+  });
+
+  const activeThreads = [];
+  for (const { channelId, message } of page.messages) {
+    addHit(channelId, message);
+    if (isActiveThread(message)) {
+      activeThreads.push({ channelId, parent: message });
+    }
+  }
+
+  // The scan cap or the deadline can stop the walk inside the window; every
+  // channel with history left was then searched back to the same point
+  const scanEnd = page.nextState?.position?.ts || null;
+  const truncated = !!page.nextState && (!scanEnd || compareTs(scanEnd, oldestTimestamp) > 0);
+  const unsearched = new Set(page.unread);
+  if (truncated) {
+    for (const [channelId, channelState] of Object.entries(page.nextState?.channels || {})) {
+      if (!channelState.done) {
+        unsearched.add(channelId);
+      }
+    }
+  }
+
+  activeThreads.sort((a, b) => compareTs(b.parent.latest_reply, a.parent.latest_reply));
+  const threads = activeThreads.slice(0, MENTION_MAX_THREADS);
+  if (activeThreads.length > threads.length) {
+    logger.warn(`Searching ${threads.length} of ${activeThreads.length} active threads for mentions of ${user_id}`);
+  }
+
+  let threadsDone = 0;
+  let threadsMissed = 0;
+
+  await Promise.all(threads.map(async ({ channelId, parent }) => {
+    try {
+      const replies = await slack.getThreadReplies(channelId, parent.ts, { oldest: oldestTimestamp });
+      for (const reply of replies) {
+        if (reply.ts !== parent.ts) {
+          addHit(channelId, reply);
+        }
+      }
+    } catch (error) {
+      if (isDeadlineError(error)) {
+        threadsMissed++;
+      } else {
+        logger.error(`Error searching thread ${channelId}/${parent.ts} for mentions:`, error);
+      }
+    } finally {
+      threadsDone++;
+      const total = channels.length + threads.length;
+      context.sendProgress(channels.length + threadsDone, total, `Searched ${threadsDone}/${threads.length} threads`);
+    }
+  }));
+
+  const mentions = await formatChannelMessages(slack, hits, async ({ message, reason }, channel) => {
+    const formatted = await formatMessage(slack, message, channel, { userId: user_id, matchReason: reason.match_reason });
+    return { ...formatted, ...reason };
+  });
+
+  // Sort by timestamp (most recent first)
+  mentions.sort((a, b) => compareTs(b.timestamp, a.timestamp));
+
+  return {
+    mentions,
+    usergroups: [...usergroups.values()].map(handle => `@${handle}`),
+    threadsSearched: threads.length - threadsMissed,
+    threadsSkipped: activeThreads.length - threads.length + threadsMissed,
+    partial: slack.deadlineReached,
+    truncated,
+    searchedBackTo: truncated ? scanEnd : null,
+    unsearched: [...unsearched].sort()
+  };
+}
+
+/**
+ * Get one user's profile with validation
+ */
+async function handleGetUser(args, context) {
+  // Validate input
+  const parseResult = GetUserSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { user_id } = parseResult.data;
+  const monitored_only = parseResult.data.monitored_only ?? defaultsToMonitoredOnly(context);
+  const { slack } = context;
+
+  const user = await slack.getUserInfo(user_id);
+
+  // Users outside the monitored channels look the same as unknown ones
+  const visible = user && (!monitored_only || (await getMonitoredMembers(slack, context)).has(user_id));
+  if (!visible) {
+    const error = new Error('User not found');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const profile = formatUserProfile(user);
+  profile.presence = user.deleted ? null : await slack.getUserPresence(user_id);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(profile, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Fuzzy-search the workspace's users with validation
+ *
+ * Deactivated users are never returned. Matches are ranked by how well the
+ * best field matched (see lib/user-search.js), then by name.
+ */
+async function handleFindUsers(args, context) {
+  // Validate input
+  const parseResult = FindUsersSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { query, limit, include_bots } = parseResult.data;
+  const monitored_only = parseResult.data.monitored_only ?? defaultsToMonitoredOnly(context);
+  const { slack } = context;
+
+  const users = await slack.listUsers();
+  const members = monitored_only ? await getMonitoredMembers(slack, context) : null;
+
+  const matches = [];
+  for (const user of users) {
+    const isBot = user.is_bot || user.id === 'USLACKBOT';
+    if (user.deleted || (isBot && !include_bots) || (members && !members.has(user.id))) {
+      continue;
+    }
+
+    const { score, field } = scoreUser(user, query);
+    if (score > 0) {
+      matches.push({ user, score, field });
+    }
+  }
+
+  matches.sort((a, b) =>
+    b.score - a.score || (a.user.real_name || a.user.name || '').localeCompare(b.user.real_name || b.user.name || '')
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          query,
+          total: matches.length,
+          users: matches.slice(0, limit).map(({ user, field }) => ({
+            ...formatUserProfile(user),
+            matched: field
+          }))
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Whether get_user and find_users stay within the caller's channels unless
+ * asked otherwise: yes for clients limited to a channel subset, which should
+ * not browse the whole workspace by default
+ *
+ * @param {Object} context - Request context
+ * @returns {boolean} Default for monitored_only
+ */
+function defaultsToMonitoredOnly(context) {
+  return Boolean(context.client.channels);
+}
+
+/**
+ * IDs of everyone in the channels the calling client may read
+ *
+ * Channels whose members cannot be listed are logged and skipped.
+ *
+ * @returns {Promise<Set<string>>} User IDs
+ */
+async function getMonitoredMembers(slack, context) {
+  const members = new Set();
+  for (const channelId of await getClientChannels(context)) {
+    try {
+      for (const userId of await slack.getChannelMembers(channelId)) {
+        members.add(userId);
+      }
+    } catch (error) {
+      logger.error(`Error listing members of ${channelId}:`, error);
+    }
+  }
+  return members;
+}
+
+/**
+ * Get thread conversation with validation
+ */
+async function handleGetThread(args, context) {
+  // Validate input
+  const parseResult = GetThreadSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { thread_ts } = parseResult.data;
+  const channel_id = await resolveChannelRef(parseResult.data.channel_id, await getClientChannels(context), context.slack);
+
+  // SECURITY: Only allow threads from monitored channels
+  await assertMonitoredChannel(channel_id, context);
+
+  const thread = await fetchThread(context.slack, channel_id, thread_ts);
+
+  if (!thread) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ error: 'Thread not found' })
+        }
+      ]
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(thread, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Throw a validation error unless the channel is monitored and within the
+ * calling client's channel subset
+ */
+async function assertMonitoredChannel(channelId, context) {
+  if (!(await getClientChannels(context)).includes(channelId)) {
+    const error = new Error('Channel not in monitored list');
+    error.isValidationError = true;
+    throw error;
+  }
+}
+
+/**
+ * Fetch and format every message in a thread
+ *
+ * Shared by the get_thread tool and thread resources. Callers must check
+ * the channel allowlist first.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {string} channel_id - Channel ID
+ * @param {string} thread_ts - Parent message timestamp
+ * @returns {Promise<Object|null>} { channel_id, thread_ts, total, messages }, or null if not found
+ */
+async function fetchThread(slack, channel_id, thread_ts) {
+  try {
+    const messages = await slack.getThreadReplies(channel_id, thread_ts);
+
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const channel = await slack.getChannelInfo(channel_id);
+
+    const formattedMessages = [];
+    for (const msg of messages) {
+      const formattedMessage = await formatMessage(slack, msg, channel);
+      formattedMessages.push(formattedMessage);
+    }
+
+    return {
+      channel_id,
+      thread_ts,
+      total: formattedMessages.length,
+      messages: formattedMessages
+    };
+  } catch (error) {
+    logger.error(`Error fetching thread ${thread_ts}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Search monitored channels with validation
+ *
+ * Scans conversations.history with the bot token and filters locally, so no
+ * user-token search scope is required and the channel allowlist still applies.
+ */
+async function handleSearchMessages(args, context) {
+  // Validate input
+  const parseResult = SearchMessagesSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { query, from_user, has_file, has_reaction, is_thread, after, before, hours, limit, cursor, sort, min_priority } = parseResult.data;
+  const { slack } = context;
+  const monitoredChannels = await getClientChannels(context);
+  const channel_id = parseResult.data.channel_id &&
+    await resolveChannelRef(parseResult.data.channel_id, monitoredChannels, slack);
+
+  // Query modifiers and structured arguments combine (both must match)
+  const filters = parseSearchQuery(query);
+  if (filters.in) {
+    filters.in = await resolveChannelRef(filters.in, monitoredChannels, slack);
+  }
+  if (from_user) {
+    if (filters.from && filters.from !== from_user) {
+      const error = new Error('Conflicting from: filters');
+      error.isValidationError = true;
+      throw error;
+    }
+    filters.from = from_user;
+  }
+  if (channel_id) {
+    if (filters.in && filters.in !== channel_id) {
+      const error = new Error('Conflicting in: filters');
+      error.isValidationError = true;
+      throw error;
+    }
+    filters.in = channel_id;
+  }
+  filters.hasFile = filters.hasFile || !!has_file;
+  filters.hasReaction = filters.hasReaction || !!has_reaction;
+  filters.isThread = filters.isThread || !!is_thread;
+  if (after) {
+    filters.after = dateToTs(after, 'after', true);
+  }
+  if (before) {
+    filters.before = dateToTs(before, 'before');
+  }
+
+  const hasCriteria = filters.terms.length > 0 || filters.phrases.length > 0 ||
+    filters.from || filters.in || filters.hasFile || filters.hasReaction || filters.isThread;
+  if (!hasCriteria) {
+    const error = new Error('Provide a search query or at least one filter');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  // SECURITY: Only search monitored channels
+  if (filters.in && !monitoredChannels.includes(filters.in)) {
+    const error = new Error('Channel not in monitored list');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  let state;
+  if (cursor) {
+    state = decodeCursor(cursor);
+
+    // SECURITY: Re-check the allowlist, the cursor is client-supplied
+    for (const channelId of Object.keys(state.channels)) {
+      if (!monitoredChannels.includes(channelId)) {
+        const error = new Error('Channel not in monitored list');
+        error.isValidationError = true;
+        throw error;
+      }
+    }
+  } else {
+    const channels = filters.in ? [filters.in] : monitoredChannels;
+    const oldestTimestamp = filters.after ||
+      ((Date.now() - hours * 60 * 60 * 1000) / 1000).toFixed(6);
+
+    state = createInitialState(channels, oldestTimestamp, filters.before);
+  }
+
+  const page = await fetchMergedPage(slack, state, limit, {
+    filter: message => matchesSearch(message, filters),
+    maxScanned: SEARCH_MAX_SCANNED,
+    onProgress: (done, total) => context.sendProgress(done, total, `Searched ${done}/${total} channels`)
+  });
+
+  const formatted = await formatChannelMessages(slack, page.messages, ({ message }, channel) =>
+    formatMessage(slack, message, channel)
+  );
+  const results = applyPriorityOptions(formatted, { sort, min_priority });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          query,
+          total: results.length,
+          scanned: page.scanned,
+          messages: results,
+          has_more: page.nextState !== null,
+          next_cursor: page.nextState ? encodeCursor(page.nextState) : null,
+          // Unread channels stay in next_cursor, as for get_slack_messages
+          ...((page.unread.length > 0 || slack.deadlineReached) && { partial: true }),
+          ...(page.unread.length > 0 && { unread_channels: page.unread })
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Digest the caller's monitored channels over a window
+ *
+ * Channels that cannot be read are listed with an error instead of failing
+ * the whole call.
+ */
+async function handleGetChannelDigest(args, context) {
+  // Validate input
+  const parseResult = GetChannelDigestSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { hours, threads_limit } = parseResult.data;
+  const { slack } = context;
+  const monitoredChannels = await getClientChannels(context);
+  const channel_id = parseResult.data.channel_id &&
+    await resolveChannelRef(parseResult.data.channel_id, monitoredChannels, slack);
+
+  // Validate channel access - ONLY allow monitored channels
+  if (channel_id && !monitoredChannels.includes(channel_id)) {
+    const error = new Error('Channel not in monitored list');
+    error.isValidationError = true;
+    throw error;
+  }
+  const channels = channel_id ? [channel_id] : monitoredChannels;
+  const oldestTimestamp = ((Date.now() - hours * 60 * 60 * 1000) / 1000).toFixed(6);
+
+  const digests = [];
+  for (const [index, channelId] of channels.entries()) {
+    try {
+      digests.push(await buildChannelDigest(slack, channelId, oldestTimestamp, threads_limit));
+    } catch (error) {
+      logger.error(`Error digesting ${channelId}:`, error);
+      digests.push({ channel: { id: channelId }, error: 'Could not read channel' });
+    }
+    context.sendProgress(index + 1, channels.length, `Digested ${index + 1}/${channels.length} channels`);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          hours,
+          channels: digests,
+          ...(slack.deadlineReached && { partial: true })
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+/**
+ * Build one channel's digest
+ *
+ * The history walk (fetchMergedPage) covers the window plus
+ * ACTIVE_THREAD_LOOKBACK_HOURS before it, to find older threads with replies
+ * in the window. The DIGEST_MAX_THREADS most recently active threads are
+ * read in full; the rest are counted in threads_skipped, and their replies
+ * are missing from the stats.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {string} channelId - Channel to digest
+ * @param {string} oldest - Start of the window (Slack timestamp)
+ * @param {number} threadsLimit - Threads to list, most active first
+ * A channel whose history or threads could not be read before the Slack
+ * deadline is marked partial; its stats then undercount.
+ *
+ * @returns {Promise<Object>} { channel, stats, threads, open_questions, threads_skipped?, truncated?, partial? }
+ */
+async function buildChannelDigest(slack, channelId, oldest, threadsLimit) {
+  const channel = await slack.getChannelInfo(channelId);
+  const isActiveParent = message =>
+    message.reply_count > 0 && !!message.latest_reply && compareTs(message.latest_reply, oldest) > 0;
+
+  const scanOldest = (parseFloat(oldest) - ACTIVE_THREAD_LOOKBACK_HOURS * 60 * 60).toFixed(6);
+  const page = await fetchMergedPage(slack, createInitialState([channelId], scanOldest), SEARCH_MAX_SCANNED, {
+    filter: message => compareTs(message.ts, oldest) > 0 || isActiveParent(message),
+    maxScanned: SEARCH_MAX_SCANNED
+  });
+  const history = page.messages.map(({ message }) => message);
+
+  // Thread broadcasts show up in history too; they are counted with their thread
+  const topLevel = history.filter(message =>
+    compareTs(message.ts, oldest) > 0 && !(message.thread_ts && message.thread_ts !== message.ts)
+  );
+  const activeParents = history.filter(isActiveParent)
+    .sort((a, b) => compareTs(b.latest_reply, a.latest_reply));
+
+  const threads = [];
+  for (const parent of activeParents.slice(0, DIGEST_MAX_THREADS)) {
+    try {
+      const replies = (await slack.getThreadReplies(channelId, parent.ts)).filter(reply => reply.ts !== parent.ts);
+      threads.push({ parent, digest: digestThread(parent, replies, oldest) });
+    } catch (error) {
+      logger.warn(`Failed to read thread ${channelId}/${parent.ts} for digest:`, error.message);
+    }
+  }
+
+  // Everything posted inside the window, once
+  const inWindow = new Map(topLevel.map(message => [message.ts, message]));
+  for (const { digest } of threads) {
+    for (const message of digest.messages) {
+      inWindow.set(message.ts, message);
+    }
+  }
+  const messages = [...inWindow.values()];
+
+  const openQuestions = topLevel.filter(message =>
+    !message.reply_count && !message.bot_id && isQuestion(messageText(message))
+  );
+  const unansweredThreads = threads.filter(({ digest }) => digest.openingQuestion && !digest.answered);
+
+  // Most messages in the window first, then most people, then most recent
+  threads.sort((a, b) =>
+    b.digest.messages.length - a.digest.messages.length ||
+    b.digest.participants.length - a.digest.participants.length ||
+    compareTs(b.parent.latest_reply, a.parent.latest_reply)
+  );
+
+  const listed = [];
+  for (const { parent, digest } of threads.slice(0, threadsLimit)) {
+    const participants = [];
+    for (const userId of digest.participants) {
+      const user = await slack.getUserInfo(userId).catch(() => null);
+      participants.push({ id: userId, name: user ? user.real_name || user.name : null });
+    }
+
+    const opening = await formatMessage(slack, parent, channel);
+    listed.push({
+      thread_ts: parent.ts,
+      is_new: compareTs(parent.ts, oldest) > 0,
+      messages: digest.messages.length,
+      replies_total: parent.reply_count,
+      latest_reply: parent.latest_reply,
+      participants,
+      files: digest.files,
+      priority: opening.priority,
+      opening: formatExcerpt(opening),
+      opening_question: digest.openingQuestion
+        ? formatExcerpt(await formatMessage(slack, digest.openingQuestion, channel))
+        : null,
+      latest_decision: digest.latestDecision
+        ? formatExcerpt(await formatMessage(slack, digest.latestDecision, channel))
+        : null,
+      unresolved: !!digest.openingQuestion && !digest.answered
+    });
+  }
+
+  const questions = [];
+  for (const message of openQuestions.slice(0, DIGEST_MAX_OPEN_QUESTIONS)) {
+    questions.push(formatExcerpt(await formatMessage(slack, message, channel)));
+  }
+
+  const skipped = activeParents.length - threads.length;
+  return {
+    channel: await formatConversation(slack, channel),
+    stats: {
+      messages: messages.length,
+      new_threads: topLevel.filter(message => message.reply_count > 0).length,
+      active_threads: activeParents.length,
+      unresolved_questions: openQuestions.length + unansweredThreads.length,
+      files_shared: messages.reduce((sum, message) => sum + (message.files || []).length, 0),
+      participants: new Set(messages.map(message => message.user).filter(Boolean)).size
+    },
+    threads: listed,
+    open_questions: questions,
+    ...(skipped > 0 && { threads_skipped: skipped }),
+    ...(page.nextState !== null && { truncated: true }),
+    ...((page.unread.length > 0 || slack.deadlineReached) && { partial: true })
+  };
+}
+
+/**
+ * Export a channel or thread as markdown, CSV or JSONL
+ *
+ * The first content item summarizes the export (total, truncated,
+ * next_before, incomplete_threads), the second is the document itself.
+ */
+async function handleExportConversation(args, context) {
+  const { summary, document } = await exportConversation(args, context);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(summary, null, 2)
+      },
+      {
+        type: 'text',
+        text: document
+      }
+    ]
+  };
+}
+
+/**
+ * List the caller's monitored channels with their metadata
+ *
+ * Channels that cannot be read (e.g. the bot was removed) are listed with
+ * an error instead of failing the whole call.
+ */
+async function handleListChannels(args, context) {
+  const { slack } = context;
+  const channelIds = await getClientChannels(context, { includeDms: false });
+  const channels = [];
+
+  for (const [index, channelId] of channelIds.entries()) {
+    try {
+      const channel = await slack.getChannelInfo(channelId);
+      channels.push({
+        id: channel.id,
+        name: channel.name,
+        topic: channel.topic?.value || '',
+        purpose: channel.purpose?.value || '',
+        member_count: channel.num_members ?? null,
+        is_private: !!(channel.is_private || channel.is_group),
+        is_archived: !!channel.is_archived,
+        last_activity: await getLastActivity(slack, channelId)
+      });
+    } catch (error) {
+      logger.error(`Error listing channel ${channelId}:`, error);
+      channels.push({ id: channelId, error: 'Could not read channel' });
+    }
+    context.sendProgress(index + 1, channelIds.length, `Listed ${index + 1}/${channelIds.length} channels`);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          total: channels.length,
+          channels
+        }, null, 2)
+      }
+    ]
+  };
+}
 
 /**
- * Handle tool execution with validation
+ * List the DMs and group DMs the caller can read
+ *
+ * Reports missing Slack scopes, since a conversation type without them is
+ * silently left out of every other tool.
  */
-async function handleToolCall(params) {
-  const { name, arguments: args } = params;
+async function handleListConversations(args, context) {
+  // SECURITY: DMs are off unless SLACK_MONITOR_DMS opts in
+  if (!getDmConfig()) {
+    const error = new Error('DM access is disabled on this server');
+    error.isValidationError = true;
+    throw error;
+  }
 
-  try {
-    switch (name) {
-      case 'get_slack_messages':
-        return await handleGetSlackMessages(args);
+  const { slack } = context;
+  const access = await getDmAccess(slack);
+  const allowed = await getClientChannels(context);
+  const dms = access.conversations.filter(conversation => allowed.includes(conversation.id));
+
+  const conversations = [];
+  for (const [index, dm] of dms.entries()) {
+    const entry = await formatConversation(slack, dm);
+
+    if (entry.type === 'im') {
+      entry.user = { id: dm.user, name: entry.name.slice(1) };
+    } else {
+      try {
+        const memberIds = await slack.getChannelMembers(dm.id);
+        entry.members = await Promise.all(memberIds.map(async id => {
+          const user = await slack.getUserInfo(id).catch(() => null);
+          return { id, name: user ? user.real_name || user.name : id };
+        }));
+      } catch (error) {
+        logger.warn(`Could not list members of ${dm.id}:`, error.message);
+      }
+    }
 
-      case 'get_mentions':
-        return await handleGetMentions(args);
+    entry.last_activity = await getLastActivity(slack, dm.id);
+    conversations.push(entry);
+    context.sendProgress(index + 1, dms.length, `Listed ${index + 1}/${dms.length} conversations`);
+  }
 
-      case 'get_thread':
-        return await handleGetThread(args);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          total: conversations.length,
+          conversations,
+          ...(access.missingScopes.length > 0 && { missing_scopes: access.missingScopes })
+        }, null, 2)
+      }
+    ]
+  };
+}
 
-      default:
-        return {
-          content: [{ type: 'text', text: 'Unknown tool' }],
-          isError: true
-        };
-    }
+/**
+ * Timestamp of the newest message posted to a channel (thread replies that
+ * were not sent to the channel are not counted)
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<string|null>} Slack timestamp, null if empty or unreadable
+ */
+async function getLastActivity(slack, channelId) {
+  try {
+    const result = await slack.getChannelHistory({ channel: channelId, limit: 1 });
+    return result.messages?.[0]?.ts || null;
   } catch (error) {
-    logger.error(`Error executing tool ${name}:`, error);
-
-    // Return user-friendly error without exposing internals
-    const userMessage = error.isValidationError
-      ? error.message
-      : 'An error occurred while processing your request';
-
-    return {
-      content: [{ type: 'text', text: `Error: ${userMessage}` }],
-      isError: true
-    };
+    logger.warn(`Could not read latest message in ${channelId}:`, error.message);
+    return null;
   }
 }
 
 /**
- * Get recent Slack messages with validation
+ * Get what arrived since the client's last acknowledged check
+ *
+ * Per channel, everything after the stored watermark is collected: new
+ * top-level messages plus new replies in threads (including threads started
+ * before the watermark). Items are returned oldest first, so when `limit`
+ * cuts the list the checkpoint can stop right after the last item returned.
  */
-async function handleGetSlackMessages(args) {
+async function handleGetNewMessages(args, context) {
   // Validate input
-  const parseResult = GetSlackMessagesSchema.safeParse(args);
+  const parseResult = GetNewMessagesSchema.safeParse(args);
   if (!parseResult.success) {
-    const error = new Error(parseResult.error.errors[0]?.message || 'Invalid input');
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
     error.isValidationError = true;
     throw error;
   }
 
-  const { channel_id, hours, limit } = parseResult.data;
-  const slack = new SlackClient();
-  const monitoredChannels = getMonitoredChannels();
+  const { hours, limit, ack, sort, min_priority } = parseResult.data;
+  const { slack } = context;
+  const monitoredChannels = await getClientChannels(context);
+  const channel_id = parseResult.data.channel_id &&
+    await resolveChannelRef(parseResult.data.channel_id, monitoredChannels, slack);
 
   // Validate channel access - ONLY allow monitored channels
-  let channels;
-  if (channel_id) {
-    if (!monitoredChannels.includes(channel_id)) {
-      const error = new Error('Channel not in monitored list');
-      error.isValidationError = true;
-      throw error;
-    }
-    channels = [channel_id];
-  } else {
-    channels = monitoredChannels;
+  if (channel_id && !monitoredChannels.includes(channel_id)) {
+    const error = new Error('Channel not in monitored list');
+    error.isValidationError = true;
+    throw error;
   }
+  const channels = channel_id ? [channel_id] : monitoredChannels;
 
-  // Calculate timestamp for lookback period
-  const lookbackMs = hours * 60 * 60 * 1000;
-  const oldestTimestamp = ((Date.now() - lookbackMs) / 1000).toFixed(6);
+  const store = getWatermarkStore();
+  const watermarks = await store.get(context.client.name);
+  const until = getScanUntil();
+  const firstCheckSince = ((Date.now() - hours * 60 * 60 * 1000) / 1000).toFixed(6);
 
-  const allMessages = [];
+  const items = [];
+  const scannedTo = {};
+  const behind = [];
+  const skippedThreads = [];
+  const unread = [];
 
-  for (const channelId of channels) {
+  for (const [index, channelId] of channels.entries()) {
+    const since = watermarks[channelId] || firstCheckSince;
     try {
-      const result = await slack.client.conversations.history({
-        channel: channelId,
-        oldest: oldestTimestamp,
-        limit: Math.min(limit, 200)
-      });
-
-      if (!result.messages || result.messages.length === 0) {
-        continue;
+      const scan = await collectNewItems(slack, channelId, since, until);
+      items.push(...scan.items);
+      scannedTo[channelId] = scan.scannedTo;
+      if (!scan.complete) {
+        behind.push({ channel_id: channelId, caught_up_to: scan.scannedTo });
+      }
+      skippedThreads.push(...scan.skippedThreads.map(threadTs => ({ channel_id: channelId, thread_ts: threadTs })));
+    } catch (error) {
+      // Leave this channel's watermark alone so nothing is skipped
+      if (!isDeadlineError(error)) {
+        logger.error(`Error checking ${channelId} for new messages:`, error);
       }
+      unread.push(channelId);
+    }
+    context.sendProgress(index + 1, channels.length, `Checked ${index + 1}/${channels.length} channels`);
+  }
 
-      const channel = await slack.getChannelInfo(channelId);
+  sortNewItems(items);
+  let page = items.slice(0, limit);
 
-      for (const msg of result.messages.slice(0, limit)) {
-        const formattedMessage = await formatMessage(slack, msg, channel);
-        allMessages.push(formattedMessage);
-      }
+  // Formatted in order, so a deadline refusal cuts the page short
+  const formatted = [];
+  for (const item of page) {
+    try {
+      formatted.push(await formatNewItem(slack, item));
     } catch (error) {
-      logger.error(`Error fetching messages from ${channelId}:`, error);
+      if (!isDeadlineError(error)) {
+        throw error;
+      }
+      break;
     }
   }
+  page = page.slice(0, formatted.length);
 
-  // Sort by timestamp (most recent first)
-  allMessages.sort((a, b) => parseFloat(b.timestamp) - parseFloat(a.timestamp));
+  // A channel whose items all fit moves as far as its scan got; otherwise
+  // it stops after its last returned item
+  const reached = getReachedPositions(scannedTo, items, page);
+
+  // Messages below min_priority are still covered by the checkpoint
+  const messages = applyPriorityOptions(formatted, { sort, min_priority });
+
+  if (ack) {
+    await store.advance(context.client.name, reached);
+  }
 
   return {
     content: [
       {
         type: 'text',
         text: JSON.stringify({
-          total: allMessages.length,
-          messages: allMessages.slice(0, limit)
+          total: messages.length,
+          messages,
+          ...(messages.length < formatted.length && { below_min_priority: formatted.length - messages.length }),
+          has_more: items.length > page.length || behind.length > 0 || unread.length > 0,
+          checkpoint: encodeCheckpoint(context.client.name, reached),
+          acked: ack,
+          ...(behind.length > 0 && { behind_channels: behind }),
+          ...(skippedThreads.length > 0 && { skipped_threads: skippedThreads }),
+          ...((unread.length > 0 || slack.deadlineReached) && { partial: true }),
+          ...(unread.length > 0 && { unread_channels: unread })
         }, null, 2)
       }
     ]
@@ -422,72 +2517,39 @@ async function handleGetSlackMessages(args) {
 }
 
 /**
- * Get messages where user is mentioned with validation
+ * Acknowledge a get_new_messages checkpoint, advancing the watermarks
  */
-async function handleGetMentions(args) {
+async function handleAckNewMessages(args, context) {
   // Validate input
-  const parseResult = GetMentionsSchema.safeParse(args);
+  const parseResult = AckNewMessagesSchema.safeParse(args);
   if (!parseResult.success) {
-    const error = new Error(parseResult.error.errors[0]?.message || 'Invalid input');
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
     error.isValidationError = true;
     throw error;
   }
 
-  const { user_id, hours } = parseResult.data;
-
-  const slack = new SlackClient();
-  const channels = getMonitoredChannels();
-
-  const lookbackMs = hours * 60 * 60 * 1000;
-  const oldestTimestamp = ((Date.now() - lookbackMs) / 1000).toFixed(6);
-
-  const mentions = [];
-
-  for (const channelId of channels) {
-    try {
-      const result = await slack.client.conversations.history({
-        channel: channelId,
-        oldest: oldestTimestamp,
-        limit: 1000
-      });
-
-      if (!result.messages || result.messages.length === 0) {
-        continue;
-      }
-
-      // Filter messages that mention the user (escape user_id for regex safety)
-      const escapedUserId = user_id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const mentionPattern = new RegExp(`<@${escapedUserId}>`);
-      const mentionedMessages = result.messages.filter(msg =>
-        msg.text && mentionPattern.test(msg.text)
-      );
+  const checkpoint = decodeCheckpoint(parseResult.data.checkpoint);
 
-      if (mentionedMessages.length === 0) {
-        continue;
-      }
-
-      const channel = await slack.getChannelInfo(channelId);
-
-      for (const msg of mentionedMessages) {
-        const formattedMessage = await formatMessage(slack, msg, channel);
-        mentions.push(formattedMessage);
-      }
-    } catch (error) {
-      logger.error(`Error searching mentions in ${channelId}:`, error);
-    }
+  // SECURITY: The checkpoint is client-supplied; it must be this client's,
+  // for channels this client can read
+  const monitoredChannels = await getClientChannels(context);
+  if (checkpoint.client !== context.client.name ||
+      Object.keys(checkpoint.watermarks).some(channelId => !monitoredChannels.includes(channelId))) {
+    const error = new Error('Checkpoint does not belong to this client');
+    error.isValidationError = true;
+    throw error;
   }
 
-  // Sort by timestamp (most recent first)
-  mentions.sort((a, b) => parseFloat(b.timestamp) - parseFloat(a.timestamp));
+  const watermarks = await getWatermarkStore().advance(context.client.name, checkpoint.watermarks);
 
   return {
     content: [
       {
         type: 'text',
         text: JSON.stringify({
-          user_id,
-          total: mentions.length,
-          mentions
+          acked: true,
+          channels: Object.keys(checkpoint.watermarks).length,
+          watermarks
         }, null, 2)
       }
     ]
@@ -495,136 +2557,420 @@ async function handleGetMentions(args) {
 }
 
 /**
- * Get thread conversation with validation
+ * Post a message to a write-allowlisted channel with validation
  */
-async function handleGetThread(args) {
+async function handlePostMessage(args, context) {
   // Validate input
-  const parseResult = GetThreadSchema.safeParse(args);
+  const parseResult = PostMessageSchema.safeParse(args);
   if (!parseResult.success) {
-    const error = new Error(parseResult.error.errors[0]?.message || 'Invalid input');
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
     error.isValidationError = true;
     throw error;
   }
 
-  const { channel_id, thread_ts } = parseResult.data;
+  const { channel_id, text, dry_run } = parseResult.data;
 
-  // SECURITY: Only allow threads from monitored channels
-  const monitoredChannels = getMonitoredChannels();
-  if (!monitoredChannels.includes(channel_id)) {
-    const error = new Error('Channel not in monitored list');
+  return await sendMessage({ channel: channel_id, text }, dry_run, context);
+}
+
+/**
+ * Reply to a thread in a write-allowlisted channel with validation
+ */
+async function handleReplyInThread(args, context) {
+  // Validate input
+  const parseResult = ReplyInThreadSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
     error.isValidationError = true;
     throw error;
   }
 
-  const slack = new SlackClient();
+  const { channel_id, thread_ts, text, broadcast, dry_run } = parseResult.data;
 
-  try {
-    const result = await slack.client.conversations.replies({
-      channel: channel_id,
-      ts: thread_ts
-    });
+  return await sendMessage({
+    channel: channel_id,
+    thread_ts,
+    text,
+    ...(broadcast && { reply_broadcast: true })
+  }, dry_run, context);
+}
 
-    if (!result.messages || result.messages.length === 0) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({ error: 'Thread not found' })
-          }
-        ]
-      };
-    }
+/**
+ * Check the write allowlist, then post (or preview) a chat.postMessage payload
+ */
+async function sendMessage(fields, dryRun, context) {
+  // SECURITY: Writes are off unless SLACK_WRITE_CHANNELS is configured,
+  // and only listed channels may be posted to
+  if (!isWriteEnabled()) {
+    const error = new Error('Write tools are disabled on this server');
+    error.isValidationError = true;
+    throw error;
+  }
 
-    const channel = await slack.getChannelInfo(channel_id);
+  const { channels } = context.client;
+  const writeChannels = getWriteChannels().filter(c => !channels || channels.includes(c));
+  const { slack } = context;
+  const channel = await resolveChannelRef(fields.channel, writeChannels, slack);
+  if (!writeChannels.includes(channel)) {
+    const error = new Error('Channel not in write allowlist');
+    error.isValidationError = true;
+    throw error;
+  }
 
-    const formattedMessages = [];
-    for (const msg of result.messages) {
-      const formattedMessage = await formatMessage(slack, msg, channel);
-      formattedMessages.push(formattedMessage);
-    }
+  // Agent-written posts should not expand link previews
+  const payload = {
+    ...fields,
+    channel,
+    unfurl_links: false,
+    unfurl_media: false
+  };
 
+  if (dryRun) {
     return {
       content: [
         {
           type: 'text',
           text: JSON.stringify({
-            channel_id,
-            thread_ts,
-            total: formattedMessages.length,
-            messages: formattedMessages
+            dry_run: true,
+            method: 'chat.postMessage',
+            payload
           }, null, 2)
         }
       ]
     };
-  } catch (error) {
-    logger.error(`Error fetching thread ${thread_ts}:`, error);
-    throw error;
   }
+
+  const posted = await slack.postMessage(payload);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          ok: true,
+          channel_id: posted.channel,
+          ts: posted.ts,
+          thread_ts: posted.thread_ts
+        }, null, 2)
+      }
+    ]
+  };
 }
 
 // ============================================================================
-// MESSAGE FORMATTING
+// RESOURCE HANDLERS
 // ============================================================================
 
 /**
- * Format a Slack message with user enrichment
- * Respects INCLUDE_USER_EMAILS configuration
+ * List monitored channels as slack://channel/{id} resources
  */
-async function formatMessage(slack, message, channel) {
-  const formatted = {
-    timestamp: message.ts,
-    text: message.text || '',
-    type: message.subtype || 'message',
-    channel: {
-      id: channel.id,
-      name: channel.name
-    }
-  };
+async function handleListResources(context) {
+  const { slack } = context;
+  const resources = [];
+
+  // Clients that cannot read channel history get no channel resources
+  const channels = isToolAllowed(context, 'get_slack_messages') ? await getClientChannels(context) : [];
 
-  // Add user information
-  if (message.user) {
+  for (const channelId of channels) {
+    let channel = null;
     try {
-      const user = await slack.getUserInfo(message.user);
-      if (user) {
-        formatted.user = {
-          id: user.id,
-          name: user.real_name || user.name
-        };
-
-        // Only include email if explicitly enabled
-        if (includeUserEmails() && user.profile?.email) {
-          formatted.user.email = user.profile.email;
+      channel = await slack.getChannelInfo(channelId);
+    } catch (error) {
+      logger.warn(`Failed to fetch channel ${channelId}:`, error.message);
+    }
+
+    resources.push({
+      uri: `slack://channel/${channelId}`,
+      name: !channel ? channelId : getDmType(channel) ? await getConversationName(slack, channel) : `#${channel.name}`,
+      description: channel?.purpose?.value || channel?.topic?.value || `Recent messages from ${channelId}`,
+      mimeType: 'application/json'
+    });
+  }
+
+  return { resources };
+}
+
+/**
+ * Read a slack:// channel or thread resource
+ *
+ * Applies the same validation and allowlist checks as the equivalent tools.
+ */
+async function handleReadResource(params, context) {
+  const uri = params?.uri;
+  const match = typeof uri === 'string' ? uri.match(RESOURCE_URI_PATTERN) : null;
+
+  if (!match) {
+    const error = new Error('Unknown resource URI');
+    error.isValidationError = true;
+    error.rpcCode = RESOURCE_NOT_FOUND;
+    throw error;
+  }
+
+  const [, channelId, threadTs] = match;
+
+  if (threadTs) {
+    const parseResult = GetThreadSchema.safeParse({ channel_id: channelId, thread_ts: threadTs });
+    if (!parseResult.success) {
+      const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+      error.isValidationError = true;
+      throw error;
+    }
+
+    // SECURITY: Only allow threads from monitored channels
+    assertToolAllowed(context, 'get_thread');
+    await assertMonitoredChannel(channelId, context);
+
+    const thread = await fetchThread(context.slack, channelId, threadTs);
+    if (!thread) {
+      const error = new Error('Thread not found');
+      error.isValidationError = true;
+      error.rpcCode = RESOURCE_NOT_FOUND;
+      throw error;
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(thread, null, 2)
         }
+      ]
+    };
+  }
+
+  // SECURITY: Only allow monitored channels
+  assertToolAllowed(context, 'get_slack_messages');
+  await assertMonitoredChannel(channelId, context);
+
+  const { slack } = context;
+  const channel = await slack.getChannelInfo(channelId);
+  const oldestTimestamp = ((Date.now() - CHANNEL_RESOURCE_HOURS * 60 * 60 * 1000) / 1000).toFixed(6);
+  const page = await fetchMergedPage(slack, createInitialState([channelId], oldestTimestamp), CHANNEL_RESOURCE_LIMIT);
+
+  const messages = await formatChannelMessages(slack, page.messages, ({ message }) =>
+    formatMessage(slack, message, channel)
+  );
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          channel: {
+            ...(await formatConversation(slack, channel)),
+            topic: channel.topic?.value || '',
+            purpose: channel.purpose?.value || ''
+          },
+          hours: CHANNEL_RESOURCE_HOURS,
+          total: messages.length,
+          messages,
+          ...((page.unread.length > 0 || slack.deadlineReached) && { partial: true })
+        }, null, 2)
       }
-    } catch (error) {
-      logger.warn(`Failed to fetch user ${message.user}:`, error.message);
+    ]
+  };
+}
+
+// ============================================================================
+// PROMPT HANDLERS
+// ============================================================================
+
+/**
+ * Render a prompt template with freshly fetched Slack data
+ */
+async function handleGetPrompt(params, context) {
+  const { name, arguments: args = {} } = params || {};
+
+  if (Object.prototype.hasOwnProperty.call(PROMPT_TOOLS, name)) {
+    PROMPT_TOOLS[name].forEach(tool => assertToolAllowed(context, tool));
+  }
+
+  switch (name) {
+    case 'triage_inbox':
+      return await getTriageInboxPrompt(args, context);
+
+    case 'summarize_thread':
+      return await getSummarizeThreadPrompt(args, context);
+
+    case 'what_did_i_miss':
+      return await getWhatDidIMissPrompt(args, context);
+
+    default: {
+      const error = new Error('Unknown prompt');
+      error.isValidationError = true;
+      throw error;
     }
   }
+}
+
+/**
+ * Build a prompt result: instructions followed by the Slack data as JSON
+ */
+function buildPromptResult(description, instructions, data) {
+  return {
+    description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: instructions }
+      },
+      {
+        role: 'user',
+        content: { type: 'text', text: JSON.stringify(data, null, 2) }
+      }
+    ]
+  };
+}
+
+/**
+ * Fetch and format the most recent messages across the client's channels
+ *
+ * @returns {Promise<Object>} { messages, truncated, partial, unreadChannels }
+ *   partial: the Slack deadline cut the read short; unreadChannels were not
+ *   read at all
+ */
+async function fetchRecentMessages(hours, limit, context) {
+  const { slack } = context;
+  const oldestTimestamp = ((Date.now() - hours * 60 * 60 * 1000) / 1000).toFixed(6);
+  const page = await fetchMergedPage(slack, createInitialState(await getClientChannels(context), oldestTimestamp), limit);
+
+  const messages = await formatChannelMessages(slack, page.messages, ({ message }, channel) =>
+    formatMessage(slack, message, channel)
+  );
+
+  return {
+    messages,
+    truncated: page.nextState !== null,
+    partial: page.unread.length > 0 || slack.deadlineReached,
+    unreadChannels: page.unread
+  };
+}
+
+/**
+ * triage_inbox(hours)
+ */
+async function getTriageInboxPrompt(args, context) {
+  const parseResult = TriageInboxPromptSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  const { hours } = parseResult.data;
+  const { messages, truncated, partial, unreadChannels } = await fetchRecentMessages(hours, PROMPT_MESSAGE_LIMIT, context);
+
+  const instructions = [
+    `Triage the Slack messages below from the last ${hours} hour(s).`,
+    '',
+    'Sort them into three groups:',
+    '- URGENT: direct asks, blockers, approvals, incidents or anything with a deadline today',
+    '- IMPORTANT: decisions, announcements and discussions that need a reply soon',
+    '- FYI: everything else worth knowing; drop pure noise',
+    'Each message has a priority (0-100) and the signals behind it; use them as a starting point, not the final word.',
+    '',
+    'For each item give the channel, the sender, a one-line summary and the suggested next step.',
+    'Group messages from the same thread (same thread_ts) into one item.',
+    truncated ? `Only the ${messages.length} most recent messages are included; say so if that matters.` : '',
+    partial ? 'Slack rate limits cut the read short, so some messages are missing; say so, and name any unread_channels.' : ''
+  ].join('\n').trim();
+
+  return buildPromptResult(
+    `Triage of the last ${hours} hour(s) of Slack activity`,
+    instructions,
+    {
+      hours,
+      total: messages.length,
+      truncated,
+      ...(partial && { partial: true }),
+      ...(unreadChannels.length > 0 && { unread_channels: unreadChannels }),
+      messages
+    }
+  );
+}
 
-  // Add thread information
-  if (message.thread_ts && message.thread_ts !== message.ts) {
-    formatted.is_reply = true;
-    formatted.thread_ts = message.thread_ts;
+/**
+ * summarize_thread(channel_id, thread_ts)
+ */
+async function getSummarizeThreadPrompt(args, context) {
+  const parseResult = GetThreadSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
   }
 
-  // Add reactions
-  if (message.reactions) {
-    formatted.reactions = message.reactions.map(r => ({
-      name: r.name,
-      count: r.count
-    }));
+  const { thread_ts } = parseResult.data;
+  const channel_id = await resolveChannelRef(parseResult.data.channel_id, await getClientChannels(context), context.slack);
+
+  // SECURITY: Only allow threads from monitored channels
+  await assertMonitoredChannel(channel_id, context);
+
+  const thread = await fetchThread(context.slack, channel_id, thread_ts);
+  if (!thread) {
+    const error = new Error('Thread not found');
+    error.isValidationError = true;
+    throw error;
   }
 
-  // Add files (metadata only, not private URLs)
-  if (message.files && message.files.length > 0) {
-    formatted.files = message.files.map(f => ({
-      id: f.id,
-      name: f.name,
-      title: f.title,
-      filetype: f.filetype
-      // Removed: url: f.url_private (security risk)
-    }));
+  const instructions = [
+    'Summarize the Slack thread below.',
+    '',
+    '- Question or topic: what the first message asks or raises',
+    '- Outcome: what was decided or answered, and by whom (say "unresolved" if nothing was)',
+    '- Action items: who owes what, with any dates mentioned',
+    '- Open questions: anything still waiting on a reply',
+    '',
+    'Keep it under 10 lines and quote the exact wording of any decision.'
+  ].join('\n');
+
+  return buildPromptResult(
+    `Summary of thread ${thread_ts} in ${channel_id}`,
+    instructions,
+    thread
+  );
+}
+
+/**
+ * what_did_i_miss(user_id, hours)
+ */
+async function getWhatDidIMissPrompt(args, context) {
+  const parseResult = WhatDidIMissPromptSchema.safeParse(args);
+  if (!parseResult.success) {
+    const error = new Error(parseResult.error.issues[0]?.message || 'Invalid input');
+    error.isValidationError = true;
+    throw error;
   }
 
-  return formatted;
+  const { user_id, hours } = parseResult.data;
+  const { mentions, truncated: mentionsTruncated, partial: mentionsPartial } = await findMentions(user_id, hours, context);
+  const { messages, truncated, partial } = await fetchRecentMessages(hours, PROMPT_MESSAGE_LIMIT, context);
+
+  const instructions = [
+    `Catch up Slack user ${user_id} on the last ${hours} hour(s).`,
+    '',
+    '1. Start with every message that @mentions them (the "mentions" list), most urgent first, and say what reply each one needs.',
+    '2. Then summarize other notable activity from "recent_messages": decisions, announcements and threads they would want to know about.',
+    '3. Skip anything they sent themselves unless someone replied to it.',
+    '',
+    'Be brief: one line per item, with the channel name.',
+    mentionsPartial || partial ? 'Slack rate limits cut the read short, so some messages are missing; say so.' : ''
+  ].join('\n').trim();
+
+  return buildPromptResult(
+    `What ${user_id} missed in the last ${hours} hour(s)`,
+    instructions,
+    {
+      user_id,
+      hours,
+      mentions,
+      ...(mentionsTruncated && { mentions_truncated: true }),
+      ...(mentionsPartial && { mentions_partial: true }),
+      recent_messages: messages,
+      recent_messages_truncated: truncated,
+      ...(partial && { recent_messages_partial: true })
+    }
+  );
 }
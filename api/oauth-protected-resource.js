@@ -0,0 +1,46 @@
+/**
+ * OAuth Protected Resource Metadata Endpoint (RFC 9728)
+ *
+ * MCP clients that speak OAuth fetch this document to discover which
+ * authorization server issues tokens for the MCP endpoint and which scopes
+ * it understands. The WWW-Authenticate header on 401 responses from
+ * /api/mcp-http points here.
+ *
+ * vercel.json rewrites both well-known forms to this function:
+ * - /.well-known/oauth-protected-resource
+ * - /.well-known/oauth-protected-resource/api/mcp-http
+ *
+ * This endpoint does NOT require authentication. It returns 404 when
+ * OAuth is not configured (OAUTH_ISSUER unset).
+ *
+ * Endpoint: GET /.well-known/oauth-protected-resource
+ * Response: JSON metadata document
+ */
+
+const logger = require('../utils/logger');
+const { getProtectedResourceMetadata } = require('../lib/oauth');
+
+/**
+ * Protected Resource Metadata Handler
+ *
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<void>}
+ */
+module.exports = async (req, res) => {
+  logger.debug('Protected resource metadata requested');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed - use GET' });
+  }
+
+  const metadata = getProtectedResourceMetadata();
+  if (!metadata) {
+    return res.status(404).json({ error: 'OAuth is not configured on this server' });
+  }
+
+  // Metadata changes only with configuration; let clients cache it briefly
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  return res.status(200).json(metadata);
+};
@@ -0,0 +1,163 @@
+/**
+ * Slack Events API Endpoint (Vercel Serverless Function)
+ *
+ * Receives events Slack pushes for the app, so the MCP tools can answer from
+ * the event buffer instead of rescanning channel history on every poll.
+ *
+ * - Every request must carry a valid X-Slack-Signature for
+ *   SLACK_SIGNING_SECRET, checked against the raw body
+ * - url_verification: answered with the challenge (Slack's setup handshake)
+ * - event_callback: message, reaction_added / reaction_removed and
+ *   app_mention events in monitored conversations go to the event buffer;
+ *   everything else is acknowledged and ignored
+ * - app_rate_limited: Slack is dropping events, so reads reaching back
+ *   before the end of that minute go to Slack again
+ *
+ * Slack expects a 2xx within 3 seconds and retries otherwise (with
+ * X-Slack-Retry-Num); ingesting is idempotent, so retries are harmless.
+ * A buffer write that fails answers 500 so Slack retries it.
+ *
+ * This endpoint does NOT use the MCP bearer tokens. It returns 404 when
+ * SLACK_SIGNING_SECRET is unset.
+ *
+ * Endpoint: POST /api/slack-events
+ */
+
+const logger = require('../utils/logger');
+const { getEventsConfig, getMonitoredChannels, getDmConfig } = require('../config/constants');
+const { verifySlackSignature } = require('../lib/slack-signature');
+const { getEventBuffer } = require('../lib/event-buffer');
+
+// Event types the buffer understands
+const BUFFERED_EVENT_TYPES = ['message', 'reaction_added', 'reaction_removed', 'app_mention'];
+
+// Slack event payloads are small; anything larger is not from Slack
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read the raw request body
+ *
+ * The signature covers the exact bytes Slack sent, so the body is read from
+ * the stream rather than Vercel's parsed req.body.
+ *
+ * @param {Object} req - Request object
+ * @returns {Promise<Buffer|null>} Body, or null if it is too large
+ */
+async function readRawBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      return null;
+    }
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check whether an event belongs to a conversation the server reads:
+ * a monitored channel, or a DM / group DM SLACK_MONITOR_DMS opts into
+ *
+ * @param {Object} event - Slack event
+ * @returns {boolean} True if it should be buffered
+ */
+function isMonitoredEvent(event) {
+  const channelId = event.type.startsWith('reaction_') ? event.item?.channel : event.channel;
+  if (!channelId) {
+    return false;
+  }
+  if (getMonitoredChannels().includes(channelId)) {
+    return true;
+  }
+
+  const dms = getDmConfig();
+  if (!dms) {
+    return false;
+  }
+  return dms.all
+    ? ['im', 'mpim'].includes(event.channel_type) || /^D/.test(channelId)
+    : dms.ids.includes(channelId);
+}
+
+/**
+ * Slack Events Handler
+ *
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<void>}
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed - use POST' });
+  }
+
+  const config = getEventsConfig();
+  if (!config.enabled) {
+    return res.status(404).json({ error: 'Slack events are not configured on this server' });
+  }
+
+  const rawBody = await readRawBody(req);
+  if (rawBody === null) {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+
+  // SECURITY: Nothing is parsed or stored before the signature checks out
+  const check = verifySlackSignature({
+    signingSecret: config.signingSecret,
+    timestamp: req.headers['x-slack-request-timestamp'],
+    signature: req.headers['x-slack-signature'],
+    rawBody
+  });
+  if (!check.valid) {
+    logger.warn(`Rejected Slack event request: ${check.reason}`);
+    return res.status(401).json({ error: 'Invalid Slack signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+
+  switch (payload?.type) {
+    case 'url_verification':
+      return res.status(200).json({ challenge: payload.challenge });
+
+    case 'app_rate_limited': {
+      logger.warn('Slack rate limited event delivery; older buffered history will be re-read from Slack');
+      try {
+        await getEventBuffer().resetCoverage();
+      } catch (error) {
+        logger.error('Could not reset event buffer coverage:', error);
+      }
+      return res.status(200).end();
+    }
+
+    case 'event_callback': {
+      const { event } = payload;
+      if (!event || !BUFFERED_EVENT_TYPES.includes(event.type) || !isMonitoredEvent(event)) {
+        logger.debug(`Ignoring Slack event ${event?.type}`);
+        return res.status(200).end();
+      }
+
+      try {
+        const changed = await getEventBuffer().ingest(event);
+        logger.debug(`Slack event ${event.type}${event.subtype ? `/${event.subtype}` : ''} ${changed ? 'buffered' : 'already buffered'}`, {
+          retry: req.headers['x-slack-retry-num'] || 0
+        });
+      } catch (error) {
+        logger.error(`Failed to buffer Slack event ${payload.event_id}:`, error);
+        return res.status(500).json({ error: 'Could not store event' });
+      }
+      return res.status(200).end();
+    }
+
+    default:
+      logger.debug(`Ignoring Slack payload type ${payload?.type}`);
+      return res.status(200).end();
+  }
+};
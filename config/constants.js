@@ -8,6 +8,10 @@
  * the application should fail to start rather than fail at runtime.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const logger = require('../utils/logger');
 
 /**
@@ -18,10 +22,71 @@ const logger = require('../utils/logger');
  */
 const REQUIRED_ENV_VARS = [
   'SLACK_BOT_TOKEN',
-  'SLACK_MONITOR_CHANNELS',
-  'MCP_AUTH_TOKEN'  // Required for API authentication
+  'SLACK_MONITOR_CHANNELS'
 ];
 
+/**
+ * At least one API credential source must be configured:
+ * - MCP_AUTH_TOKEN: a single token with access to everything
+ * - MCP_CLIENTS: named, scoped tokens (see getMcpClients)
+ * - OAUTH_ISSUER: JWT access tokens from an OAuth 2.1 server (see getOAuthConfig)
+ */
+const AUTH_ENV_VARS = ['MCP_AUTH_TOKEN', 'MCP_CLIENTS', 'OAUTH_ISSUER'];
+
+/**
+ * OAuth scopes understood by the MCP endpoint
+ * - slack:read: read tools, resources and prompts
+ * - slack:write: write tools (still subject to SLACK_WRITE_CHANNELS)
+ */
+const OAUTH_SCOPES = ['slack:read', 'slack:write'];
+
+/**
+ * Rate limit cost of each tool call (tools/call) or other MCP method, in
+ * token bucket units. Anything not listed costs 1; notifications are free.
+ * Costs roughly follow how much Slack history a call may walk.
+ */
+const RATE_LIMIT_DEFAULT_COSTS = {
+  get_thread: 1,
+  get_slack_messages: 3,
+  get_mentions: 5,
+  search_messages: 5,
+  get_new_messages: 5,
+  get_channel_digest: 5,
+  export_conversation: 10,
+  list_channels: 2,
+  find_users: 3,
+  post_message: 2,
+  reply_in_thread: 2,
+  'resources/read': 2,
+  'prompts/get': 3
+};
+
+/**
+ * Slack Web API calls per minute this server allows itself, per method
+ *
+ * Slack limits each method by tier (Tier 2: 20+/min, Tier 3: 50+/min,
+ * Tier 4: 100+/min) per app and workspace. Methods not listed get the
+ * Tier 3 budget. Apps whose history methods Slack has cut further (e.g.
+ * non-Marketplace apps limited to 1/min) override them in SLACK_METHOD_BUDGETS.
+ */
+const SLACK_METHOD_DEFAULT_BUDGETS = {
+  'conversations.history': 50,   // Tier 3
+  'conversations.replies': 50,   // Tier 3
+  'conversations.info': 50,      // Tier 3
+  'conversations.list': 20,      // Tier 2
+  'conversations.members': 100,  // Tier 4
+  'users.info': 100,             // Tier 4
+  'users.list': 20,              // Tier 2
+  'users.conversations': 50,     // Tier 3
+  'users.getPresence': 50,       // Tier 3
+  'usergroups.list': 20,         // Tier 2
+  'auth.test': 100,              // Special, roughly Tier 4
+  'chat.postMessage': 60         // Special, about one per second per channel
+};
+
+// Budget for methods missing from SLACK_METHOD_DEFAULT_BUDGETS (Tier 3)
+const SLACK_DEFAULT_METHOD_BUDGET = 50;
+
 /**
  * Optional environment variables with their default values
  *
@@ -31,8 +96,50 @@ const OPTIONAL_ENV_VARS = {
   LOG_LEVEL: 'info',
   NODE_ENV: 'production',
   INCLUDE_USER_EMAILS: 'false',  // Set to 'true' to include emails in responses
-  RATE_LIMIT_MAX: '60',          // Max requests per window
-  RATE_LIMIT_WINDOW_MS: '60000'  // Rate limit window in ms (default: 1 minute)
+  RATE_LIMIT_MAX: '60',          // Token bucket size (cost units)
+  RATE_LIMIT_WINDOW_MS: '60000', // Time for an empty bucket to refill (default: 1 minute)
+  RATE_LIMIT_COSTS: '',          // JSON object overriding RATE_LIMIT_DEFAULT_COSTS
+  RATE_LIMIT_STORE: 'memory',    // Bucket store: 'memory' (per instance) or 'redis' (shared)
+  SLACK_MAX_CONCURRENCY: '4',    // Slack API calls one request may have in flight
+  SLACK_DEADLINE_MS: '20000',    // Time a request may spend on Slack calls before returning partial results
+  SLACK_METHOD_BUDGETS: '',      // JSON object of per-method calls per minute over SLACK_METHOD_DEFAULT_BUDGETS
+  REDIS_URL: '',                 // redis:// or rediss:// URL for shared stores
+  DIRECTORY_CACHE: 'memory',     // User/channel cache backend: 'memory', 'file' or 'kv' (REDIS_URL)
+  DIRECTORY_CACHE_TTL_HOURS: '6', // How long cached users and channels stay fresh
+  DIRECTORY_CACHE_FILE: '',      // File backend path (default: <tmpdir>/poke-slack-directory.json)
+  DIRECTORY_PRELOAD: 'true',     // Bulk-load users.list / conversations.list on the first miss
+  DIRECTORY_PRELOAD_MAX_PAGES: '20', // Page cap per list (200 entries per page)
+  WATERMARK_STORE: 'memory',     // get_new_messages state: 'memory' or 'file'
+  WATERMARK_FILE: '',            // File store path (default: <tmpdir>/poke-slack-watermarks.json)
+  SLACK_SIGNING_SECRET: '',      // Enables /api/slack-events (Slack app → Basic Information)
+  EVENT_BUFFER: '',              // Slack event store: 'memory', 'file' or 'kv' (REDIS_URL); required with SLACK_SIGNING_SECRET
+  EVENT_BUFFER_FILE: '',         // File store path (default: <tmpdir>/poke-slack-events.json)
+  EVENT_BUFFER_HOURS: '192',     // How long buffered messages are kept (default: 8 days)
+  EVENT_BUFFER_MAX_MESSAGES: '5000', // Messages kept per channel, oldest dropped first
+  POKE_WEBHOOK_URL: '',          // Enables /api/cron/sync, which pushes new messages here
+  POKE_WEBHOOK_SECRET: '',       // HMAC key for X-Poke-Slack-Signature (required with the webhook)
+  POKE_API_KEY: '',              // Sent as Authorization: Bearer to the webhook, if set
+  CRON_SECRET: '',               // Bearer token /api/cron/sync requires (Vercel Cron sends it)
+  SYNC_STORE: '',                // Sync cursors and delivery ledger: 'memory', 'file' or 'kv' (REDIS_URL); required with POKE_WEBHOOK_URL
+  SYNC_STATE_FILE: '',           // File store path (default: <tmpdir>/poke-slack-sync.json)
+  SYNC_INITIAL_HOURS: '1',       // How far back a channel's first sync starts
+  SYNC_BATCH_SIZE: '50',         // Messages per webhook POST
+  SYNC_MAX_MESSAGES: '500',      // Messages delivered per run, the rest wait for the next run
+  SYNC_MAX_RETRIES: '3',         // Retries per batch on network errors, 429 and 5xx
+  SYNC_TIME_BUDGET_MS: '25000',  // Time one run may take; keep under the function's maxDuration (30s)
+  PRIORITY_RULES_FILE: '',       // JSON file of priority rules merged over config/priority-rules.json
+  SLACK_MONITOR_DMS: '',         // 'all', or comma-separated DM / group DM IDs to read (default: none)
+  SLACK_WRITE_CHANNELS: '',      // Comma-separated channel IDs the server may post to (default: none)
+  MCP_CLIENTS: '',               // JSON array of scoped API clients (see getMcpClients)
+  OAUTH_ISSUER: '',              // Enables OAuth 2.1 JWT access tokens (see getOAuthConfig)
+  OAUTH_RESOURCE: '',            // Public URL of the MCP endpoint (token audience)
+  OAUTH_JWKS_FILE: '',           // Path to the issuer's JWKS (or use OAUTH_JWKS_URL)
+  OAUTH_JWKS_URL: '',
+  OAUTH_AUTHORIZATION_SERVERS: '', // Comma-separated; default: OAUTH_ISSUER
+  MCP_SESSION_SECRET: '',        // HMAC secret for Mcp-Session-Id (default: derived from MCP_AUTH_TOKEN)
+  MCP_SESSION_TTL_HOURS: '24',   // Session lifetime
+  MCP_REQUIRE_SESSION: 'false',  // Set to 'true' to reject requests without Mcp-Session-Id
+  MCP_SSE_MAX_MS: '25000'        // How long a GET event stream stays open before the client reconnects
 };
 
 /**
@@ -55,6 +162,10 @@ function validateConfig() {
     }
   }
 
+  if (!AUTH_ENV_VARS.some(varName => process.env[varName])) {
+    missing.push(AUTH_ENV_VARS.join(' or '));
+  }
+
   // If any required variables are missing, fail with a helpful error message
   if (missing.length > 0) {
     const errorMessage = `Missing required environment variables: ${missing.join(', ')}`;
@@ -80,7 +191,85 @@ function validateConfig() {
     logger.info(`Monitoring ${channelList.length} channel(s): ${channelList.join(', ')}`);
   }
 
-  // MCP-based integration - no webhook URL needed
+  // Validate SLACK_MONITOR_DMS (throws on malformed IDs)
+  const dms = getDmConfig();
+  if (dms) {
+    logger.info(`DM access enabled: ${dms.all ? 'all DMs and group DMs the bot is in' : dms.ids.join(', ')}`);
+  }
+
+  // Validate SLACK_WRITE_CHANNELS format
+  // Writes are off unless this is set, and a typo here must not silently
+  // widen or break the allowlist, so invalid IDs are fatal
+  const writeChannels = getWriteChannels();
+  if (writeChannels.length > 0) {
+    const invalidWriteChannels = writeChannels.filter(c => !/^[CG][A-Z0-9]+$/.test(c));
+
+    if (invalidWriteChannels.length > 0) {
+      const errorMessage = `Invalid channel IDs in SLACK_WRITE_CHANNELS: ${invalidWriteChannels.join(', ')}`;
+      logger.error(errorMessage);
+      throw new Error(errorMessage);
+    }
+
+    logger.info(`Write access enabled for ${writeChannels.length} channel(s): ${writeChannels.join(', ')}`);
+  }
+
+  // Validate MCP_CLIENTS (throws with a description of the first problem)
+  const clients = getMcpClients();
+  if (clients.length > 0) {
+    logger.info(`Configured ${clients.length} scoped API client(s): ${clients.map(c => c.name).join(', ')}`);
+  }
+
+  // Validate rate limit settings (throws on bad RATE_LIMIT_COSTS or store)
+  const rateLimit = getRateLimitConfig();
+  logger.info(`Rate limiting: ${rateLimit.maxRequests} units per ${rateLimit.windowMs}ms, ${rateLimit.store} store`);
+
+  // Validate Slack scheduler settings (throws on a bad budget)
+  const scheduler = getSlackSchedulerConfig();
+  logger.info(`Slack calls: ${scheduler.concurrency} at a time, ${scheduler.deadlineMs}ms per request`);
+
+  // Validate directory cache settings (throws on an unknown backend)
+  const directory = getDirectoryCacheConfig();
+  logger.info(`Directory cache: ${directory.backend} backend, ${directory.ttlMs / 3600000}h TTL`);
+
+  // Validate watermark store settings (throws on an unknown store)
+  getWatermarkConfig();
+
+  // Validate Slack events settings (throws on an unknown buffer)
+  const events = getEventsConfig();
+  if (events.enabled) {
+    logger.info(`Slack events enabled: ${events.buffer} buffer, ${events.retentionMs / 3600000}h retention`);
+    if (events.buffer === 'memory') {
+      logger.warn('EVENT_BUFFER=memory is per instance: events one function receives are not seen by the others; use file or kv unless this is a single long-running server');
+    }
+  }
+
+  // Validate webhook sync settings (throws if the webhook lacks its secrets)
+  const sync = getSyncConfig();
+  if (sync.enabled) {
+    logger.info(`Webhook sync enabled: ${sync.store} store, batches of ${sync.batchSize}, ${sync.timeBudgetMs}ms per run`);
+    if (sync.store === 'memory') {
+      logger.warn('SYNC_STORE=memory is lost on cold start, and with it the delivery ledger; use file or kv unless this is a single long-running server');
+    }
+  }
+
+  // Validate priority rules (throws on an unreadable file or a bad rule)
+  const priority = getPriorityRules();
+  if (getConfig('PRIORITY_RULES_FILE', '')) {
+    logger.info(`Priority rules loaded from ${getConfig('PRIORITY_RULES_FILE')}${priority.user_id ? ` for ${priority.user_id}` : ''}`);
+  }
+  if (!priority.user_id && (priority.signals.direct_mention.points || priority.signals.question.points)) {
+    logger.warn('Priority rules have no user_id: direct_mention and question only score in get_mentions and 1:1 DMs; set user_id in PRIORITY_RULES_FILE to score them everywhere');
+  }
+
+  // Validate OAuth settings (throws if OAUTH_ISSUER is set but incomplete)
+  const oauth = getOAuthConfig();
+  if (oauth) {
+    logger.info(`OAuth enabled: issuer ${oauth.issuer}, resource ${oauth.audience}`);
+  }
+
+  // Validate session settings (throws without a secret to sign with, or on a bad TTL)
+  const session = getSessionConfig();
+  logger.info(`Sessions: ${session.ttlMs / 3600000}h TTL${session.required ? ', required' : ''}`);
 
   logger.info('Configuration validation complete');
 }
@@ -106,6 +295,55 @@ function getMonitoredChannels() {
   return channels.split(',').map(c => c.trim()).filter(c => c.length > 0);
 }
 
+/**
+ * Get direct message access settings
+ *
+ * DMs and group DMs are never read unless SLACK_MONITOR_DMS opts in:
+ * - 'all': every DM and group DM the bot is a member of
+ * - Comma-separated IDs: only those DMs (D...) and group DMs (G... or C...)
+ *
+ * @returns {Object|null} { all, ids }, or null when DM access is off
+ * @throws {Error} If an ID is malformed
+ */
+function getDmConfig() {
+  const value = getConfig('SLACK_MONITOR_DMS', '').trim();
+  if (!value || value === 'false') {
+    return null;
+  }
+  if (value === 'all') {
+    return { all: true, ids: [] };
+  }
+
+  const ids = value.split(',').map(c => c.trim()).filter(c => c.length > 0);
+  const invalid = ids.filter(c => !/^[DGC][A-Z0-9]+$/.test(c));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid conversation IDs in SLACK_MONITOR_DMS: ${invalid.join(', ')}`);
+  }
+  return { all: false, ids };
+}
+
+/**
+ * Get the list of channel IDs the server is allowed to post to
+ *
+ * This is a separate allowlist from SLACK_MONITOR_CHANNELS: being able to
+ * read a channel never implies being able to write to it.
+ *
+ * @returns {Array<string>} Array of writable channel IDs (empty = writes disabled)
+ */
+function getWriteChannels() {
+  const channels = getConfig('SLACK_WRITE_CHANNELS', '');
+  return channels.split(',').map(c => c.trim()).filter(c => c.length > 0);
+}
+
+/**
+ * Check if any write tools are enabled
+ *
+ * @returns {boolean} True if SLACK_WRITE_CHANNELS lists at least one channel
+ */
+function isWriteEnabled() {
+  return getWriteChannels().length > 0;
+}
+
 /**
  * Check if we're running in development mode
  *
@@ -142,15 +380,532 @@ function getMcpAuthToken() {
   return getConfig('MCP_AUTH_TOKEN', '');
 }
 
+// Parsed MCP_CLIENTS, keyed on the raw string so edits are picked up
+let clientsCache = { raw: null, clients: [] };
+
+/**
+ * Get the scoped API clients configured in MCP_CLIENTS
+ *
+ * MCP_CLIENTS is a JSON array. Tokens are stored only as SHA-256 hashes:
+ *
+ *   [{
+ *     "name": "poke",                  // Shown in logs and request context
+ *     "token_sha256": "9f86d08...",    // sha256 hex of the bearer token
+ *     "channels": ["C123", "C456"],    // Optional: channel subset (default: all)
+ *     "tools": ["get_slack_messages"], // Optional: tool allowlist (default: all)
+ *     "rate_limit": 30                 // Optional: bucket size (default: RATE_LIMIT_MAX)
+ *   }]
+ *
+ * @returns {Array<Object>} Normalized clients: { name, tokenHash, channels, tools, rateLimit }
+ *   where channels/tools are null when unrestricted
+ * @throws {Error} If MCP_CLIENTS is not valid
+ */
+function getMcpClients() {
+  const raw = getConfig('MCP_CLIENTS', '');
+  if (raw === clientsCache.raw) {
+    return clientsCache.clients;
+  }
+
+  let parsed = [];
+  if (raw) {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('MCP_CLIENTS is not valid JSON');
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('MCP_CLIENTS must be a JSON array');
+  }
+
+  const names = new Set();
+  const clients = parsed.map((entry, index) => {
+    const label = entry?.name ? `MCP_CLIENTS "${entry.name}"` : `MCP_CLIENTS[${index}]`;
+
+    if (!entry || typeof entry.name !== 'string' || !/^[\w.-]{1,64}$/.test(entry.name)) {
+      throw new Error(`${label}: name must be 1-64 letters, digits, '.', '_' or '-'`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`${label}: duplicate name`);
+    }
+    names.add(entry.name);
+
+    if (typeof entry.token_sha256 !== 'string' || !/^[a-f0-9]{64}$/i.test(entry.token_sha256)) {
+      throw new Error(`${label}: token_sha256 must be a 64-character hex SHA-256 hash`);
+    }
+    if (entry.channels !== undefined &&
+        (!Array.isArray(entry.channels) || entry.channels.some(c => typeof c !== 'string' || !/^[CGD][A-Z0-9]+$/.test(c)))) {
+      throw new Error(`${label}: channels must be an array of channel IDs`);
+    }
+    if (entry.tools !== undefined &&
+        (!Array.isArray(entry.tools) || entry.tools.some(t => typeof t !== 'string'))) {
+      throw new Error(`${label}: tools must be an array of tool names`);
+    }
+    if (entry.rate_limit !== undefined && !(Number.isInteger(entry.rate_limit) && entry.rate_limit > 0)) {
+      throw new Error(`${label}: rate_limit must be a positive integer`);
+    }
+
+    return {
+      name: entry.name,
+      tokenHash: entry.token_sha256.toLowerCase(),
+      channels: entry.channels || null,
+      tools: entry.tools || null,
+      rateLimit: entry.rate_limit || null
+    };
+  });
+
+  clientsCache = { raw, clients };
+  return clients;
+}
+
+/**
+ * Get OAuth 2.1 protected resource configuration
+ *
+ * OAuth is enabled by setting OAUTH_ISSUER. It then also needs:
+ * - OAUTH_RESOURCE: this endpoint's public URL, used as the token audience
+ * - OAUTH_JWKS_FILE or OAUTH_JWKS_URL: where the issuer's signing keys live
+ *
+ * @returns {Object|null} OAuth settings, or null when OAuth is disabled
+ * @throws {Error} If OAUTH_ISSUER is set but the rest is missing or invalid
+ */
+function getOAuthConfig() {
+  const issuer = getConfig('OAUTH_ISSUER', '');
+  if (!issuer) {
+    return null;
+  }
+
+  const resource = getConfig('OAUTH_RESOURCE', '');
+  let resourceUrl;
+  try {
+    resourceUrl = new URL(resource);
+  } catch (error) {
+    throw new Error('OAUTH_RESOURCE must be the absolute URL of the MCP endpoint when OAUTH_ISSUER is set');
+  }
+
+  const jwksFile = getConfig('OAUTH_JWKS_FILE', '');
+  const jwksUrl = getConfig('OAUTH_JWKS_URL', '');
+  if (!jwksFile && !jwksUrl) {
+    throw new Error('OAUTH_JWKS_FILE or OAUTH_JWKS_URL is required when OAUTH_ISSUER is set');
+  }
+
+  const authorizationServers = getConfig('OAUTH_AUTHORIZATION_SERVERS', issuer)
+    .split(',').map(s => s.trim()).filter(s => s.length > 0);
+
+  // RFC 9728: the well-known segment goes between the host and the path
+  const resourcePath = resourceUrl.pathname === '/' ? '' : resourceUrl.pathname;
+
+  return {
+    issuer,
+    audience: resource,
+    jwksFile,
+    jwksUrl,
+    authorizationServers,
+    scopesSupported: OAUTH_SCOPES,
+    metadataUrl: `${resourceUrl.origin}/.well-known/oauth-protected-resource${resourcePath}`
+  };
+}
+
+let rateLimitCostsCache = { raw: null, costs: RATE_LIMIT_DEFAULT_COSTS };
+
 /**
  * Get rate limit configuration
  *
- * @returns {Object} Rate limit settings
+ * Requests draw from a token bucket per client. The bucket holds
+ * RATE_LIMIT_MAX units and refills completely over RATE_LIMIT_WINDOW_MS;
+ * each call takes its cost from RATE_LIMIT_DEFAULT_COSTS, overridden by
+ * RATE_LIMIT_COSTS, e.g. {"search_messages": 10, "prompts/get": 1}.
+ *
+ * @returns {Object} { maxRequests, windowMs, costs, store, redisUrl }
+ * @throws {Error} If RATE_LIMIT_COSTS or the store settings are not valid
  */
 function getRateLimitConfig() {
+  const raw = getConfig('RATE_LIMIT_COSTS', '');
+  if (raw !== rateLimitCostsCache.raw) {
+    let overrides = {};
+    if (raw) {
+      try {
+        overrides = JSON.parse(raw);
+      } catch (error) {
+        throw new Error('RATE_LIMIT_COSTS is not valid JSON');
+      }
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides) ||
+        Object.values(overrides).some(cost => !(Number.isInteger(cost) && cost >= 0))) {
+      throw new Error('RATE_LIMIT_COSTS must be a JSON object of non-negative integer costs');
+    }
+
+    rateLimitCostsCache = { raw, costs: { ...RATE_LIMIT_DEFAULT_COSTS, ...overrides } };
+  }
+
+  const store = getConfig('RATE_LIMIT_STORE', 'memory');
+  if (!['memory', 'redis'].includes(store)) {
+    throw new Error(`RATE_LIMIT_STORE must be 'memory' or 'redis', got '${store}'`);
+  }
+
+  const redisUrl = getConfig('REDIS_URL', '');
+  if (store === 'redis' && !/^rediss?:\/\//.test(redisUrl)) {
+    throw new Error('REDIS_URL must be a redis:// or rediss:// URL when RATE_LIMIT_STORE=redis');
+  }
+
   return {
     maxRequests: parseInt(getConfig('RATE_LIMIT_MAX', '60'), 10),
-    windowMs: parseInt(getConfig('RATE_LIMIT_WINDOW_MS', '60000'), 10)
+    windowMs: parseInt(getConfig('RATE_LIMIT_WINDOW_MS', '60000'), 10),
+    costs: rateLimitCostsCache.costs,
+    store,
+    redisUrl
+  };
+}
+
+let slackBudgetsCache = { raw: null, budgets: SLACK_METHOD_DEFAULT_BUDGETS };
+
+/**
+ * Get Slack request scheduler settings (see lib/slack-scheduler.js)
+ *
+ * Each request may run SLACK_MAX_CONCURRENCY Slack calls at once and spend
+ * SLACK_DEADLINE_MS on them; keep the deadline a few seconds below the
+ * function timeout. Per-method budgets (calls per minute) come from
+ * SLACK_METHOD_DEFAULT_BUDGETS, overridden by SLACK_METHOD_BUDGETS, e.g.
+ * {"conversations.history": 1, "conversations.replies": 1}.
+ *
+ * @returns {Object} { concurrency, deadlineMs, budgets, defaultBudget }
+ * @throws {Error} If a setting is not valid
+ */
+function getSlackSchedulerConfig() {
+  const raw = getConfig('SLACK_METHOD_BUDGETS', '');
+  if (raw !== slackBudgetsCache.raw) {
+    let overrides = {};
+    if (raw) {
+      try {
+        overrides = JSON.parse(raw);
+      } catch (error) {
+        throw new Error('SLACK_METHOD_BUDGETS is not valid JSON');
+      }
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides) ||
+        Object.values(overrides).some(budget => !(typeof budget === 'number' && budget > 0))) {
+      throw new Error('SLACK_METHOD_BUDGETS must be a JSON object of positive calls-per-minute budgets');
+    }
+
+    slackBudgetsCache = { raw, budgets: { ...SLACK_METHOD_DEFAULT_BUDGETS, ...overrides } };
+  }
+
+  const concurrency = parseInt(getConfig('SLACK_MAX_CONCURRENCY', '4'), 10);
+  const deadlineMs = parseInt(getConfig('SLACK_DEADLINE_MS', '20000'), 10);
+  if (!(concurrency > 0) || !(deadlineMs > 0)) {
+    throw new Error('SLACK_MAX_CONCURRENCY and SLACK_DEADLINE_MS must be positive integers');
+  }
+
+  return {
+    concurrency,
+    deadlineMs,
+    budgets: slackBudgetsCache.budgets,
+    defaultBudget: SLACK_DEFAULT_METHOD_BUDGET
+  };
+}
+
+/**
+ * Get user/channel directory cache configuration
+ *
+ * - memory: per warm instance
+ * - file: a JSON file, kept across invocations that share a filesystem
+ * - kv: any Redis-protocol key-value store (REDIS_URL), shared by all instances
+ *
+ * @returns {Object} { backend, ttlMs, filePath, redisUrl, preload, preloadMaxPages }
+ * @throws {Error} If the backend is unknown or kv has no REDIS_URL
+ */
+function getDirectoryCacheConfig() {
+  const backend = getConfig('DIRECTORY_CACHE', 'memory');
+  if (!['memory', 'file', 'kv'].includes(backend)) {
+    throw new Error(`DIRECTORY_CACHE must be 'memory', 'file' or 'kv', got '${backend}'`);
+  }
+
+  const redisUrl = getConfig('REDIS_URL', '');
+  if (backend === 'kv' && !/^rediss?:\/\//.test(redisUrl)) {
+    throw new Error('REDIS_URL must be a redis:// or rediss:// URL when DIRECTORY_CACHE=kv');
+  }
+
+  return {
+    backend,
+    ttlMs: parseFloat(getConfig('DIRECTORY_CACHE_TTL_HOURS', '6')) * 60 * 60 * 1000,
+    filePath: getConfig('DIRECTORY_CACHE_FILE', path.join(os.tmpdir(), 'poke-slack-directory.json')),
+    redisUrl,
+    preload: getConfig('DIRECTORY_PRELOAD', 'true') === 'true',
+    preloadMaxPages: parseInt(getConfig('DIRECTORY_PRELOAD_MAX_PAGES', '20'), 10)
+  };
+}
+
+/**
+ * Get get_new_messages watermark store configuration
+ *
+ * - memory: per warm instance (watermarks reset on cold start)
+ * - file: a JSON file, kept across invocations that share a filesystem
+ *
+ * @returns {Object} { store, filePath }
+ * @throws {Error} If the store is unknown
+ */
+function getWatermarkConfig() {
+  const store = getConfig('WATERMARK_STORE', 'memory');
+  if (!['memory', 'file'].includes(store)) {
+    throw new Error(`WATERMARK_STORE must be 'memory' or 'file', got '${store}'`);
+  }
+
+  return {
+    store,
+    filePath: getConfig('WATERMARK_FILE', path.join(os.tmpdir(), 'poke-slack-watermarks.json'))
+  };
+}
+
+/**
+ * Get Slack Events API settings
+ *
+ * /api/slack-events only accepts events when SLACK_SIGNING_SECRET is set.
+ * Events for monitored conversations go to the event buffer:
+ * - memory: per warm instance (only useful on a long-running server)
+ * - file: a JSON file, kept across invocations that share a filesystem
+ * - kv: a Redis-protocol key-value store (REDIS_URL), shared by all instances
+ *
+ * With events enabled the buffer has no default: on serverless hosts the
+ * instance that receives an event is rarely the one that serves the read,
+ * so memory has to be chosen on purpose.
+ *
+ * @returns {Object} { enabled, signingSecret, buffer, filePath, redisUrl, retentionMs, maxMessages }
+ * @throws {Error} If events are enabled without a buffer, the buffer is
+ *   unknown, kv has no REDIS_URL, or a limit is not a positive number
+ */
+function getEventsConfig() {
+  const signingSecret = getConfig('SLACK_SIGNING_SECRET', '');
+  const buffer = getConfig('EVENT_BUFFER', signingSecret ? '' : 'memory');
+  if (!buffer) {
+    throw new Error("EVENT_BUFFER is required when SLACK_SIGNING_SECRET is set: 'kv' or 'file' ('memory' only on a single long-running server)");
+  }
+  if (!['memory', 'file', 'kv'].includes(buffer)) {
+    throw new Error(`EVENT_BUFFER must be 'memory', 'file' or 'kv', got '${buffer}'`);
+  }
+
+  const redisUrl = getConfig('REDIS_URL', '');
+  if (buffer === 'kv' && !/^rediss?:\/\//.test(redisUrl)) {
+    throw new Error('REDIS_URL must be a redis:// or rediss:// URL when EVENT_BUFFER=kv');
+  }
+
+  const retentionHours = Number(getConfig('EVENT_BUFFER_HOURS', '192'));
+  if (!Number.isFinite(retentionHours) || retentionHours <= 0) {
+    throw new Error('EVENT_BUFFER_HOURS must be a positive number');
+  }
+
+  const maxMessages = Number(getConfig('EVENT_BUFFER_MAX_MESSAGES', '5000'));
+  if (!Number.isInteger(maxMessages) || maxMessages <= 0) {
+    throw new Error('EVENT_BUFFER_MAX_MESSAGES must be a positive integer');
+  }
+
+  return {
+    enabled: !!signingSecret,
+    signingSecret,
+    buffer,
+    filePath: getConfig('EVENT_BUFFER_FILE', path.join(os.tmpdir(), 'poke-slack-events.json')),
+    redisUrl,
+    retentionMs: retentionHours * 60 * 60 * 1000,
+    maxMessages
+  };
+}
+
+/**
+ * Get Poke webhook sync settings
+ *
+ * /api/cron/sync only runs when POKE_WEBHOOK_URL is set, and then needs
+ * POKE_WEBHOOK_SECRET (to sign deliveries) and CRON_SECRET (to authenticate
+ * the scheduler). Cursors and the delivery ledger live in:
+ * - memory: per warm instance (only useful on a long-running server)
+ * - file: a JSON file, kept across invocations that share a filesystem
+ * - kv: a Redis-protocol key-value store (REDIS_URL), shared by all instances
+ *
+ * With the webhook set the store has no default: the ledger is what stops
+ * repeat deliveries, so losing it on a cold start has to be chosen on purpose.
+ *
+ * @returns {Object} { enabled, webhookUrl, webhookSecret, apiKey, cronSecret, store, filePath, redisUrl, initialHours, batchSize, maxMessages, maxRetries, timeBudgetMs }
+ * @throws {Error} If the webhook is set without its secrets or store, or a setting is invalid
+ */
+function getSyncConfig() {
+  const webhookUrl = getConfig('POKE_WEBHOOK_URL', '');
+  const store = getConfig('SYNC_STORE', webhookUrl ? '' : 'memory');
+  if (!store) {
+    throw new Error("SYNC_STORE is required when POKE_WEBHOOK_URL is set: 'kv' or 'file' ('memory' only on a single long-running server)");
+  }
+  if (!['memory', 'file', 'kv'].includes(store)) {
+    throw new Error(`SYNC_STORE must be 'memory', 'file' or 'kv', got '${store}'`);
+  }
+
+  const redisUrl = getConfig('REDIS_URL', '');
+  if (store === 'kv' && !/^rediss?:\/\//.test(redisUrl)) {
+    throw new Error('REDIS_URL must be a redis:// or rediss:// URL when SYNC_STORE=kv');
+  }
+
+  const webhookSecret = getConfig('POKE_WEBHOOK_SECRET', '');
+  const cronSecret = getConfig('CRON_SECRET', '');
+  if (webhookUrl) {
+    // SECURITY: Message content only leaves over TLS (plain HTTP for local testing)
+    if (!/^https:\/\//.test(webhookUrl) && !/^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?\//.test(webhookUrl)) {
+      throw new Error('POKE_WEBHOOK_URL must be an https:// URL');
+    }
+    if (!webhookSecret) {
+      throw new Error('POKE_WEBHOOK_SECRET is required when POKE_WEBHOOK_URL is set');
+    }
+    if (!cronSecret) {
+      throw new Error('CRON_SECRET is required when POKE_WEBHOOK_URL is set');
+    }
+  }
+
+  const batchSize = parseInt(getConfig('SYNC_BATCH_SIZE', '50'), 10);
+  const maxMessages = parseInt(getConfig('SYNC_MAX_MESSAGES', '500'), 10);
+  const maxRetries = parseInt(getConfig('SYNC_MAX_RETRIES', '3'), 10);
+  if (!(batchSize > 0) || !(maxMessages > 0) || !(maxRetries >= 0)) {
+    throw new Error('SYNC_BATCH_SIZE and SYNC_MAX_MESSAGES must be positive and SYNC_MAX_RETRIES non-negative');
+  }
+
+  const timeBudgetMs = Number(getConfig('SYNC_TIME_BUDGET_MS', '25000'));
+  if (!Number.isInteger(timeBudgetMs) || timeBudgetMs <= 0) {
+    throw new Error('SYNC_TIME_BUDGET_MS must be a positive integer');
+  }
+
+  return {
+    enabled: !!webhookUrl,
+    webhookUrl,
+    webhookSecret,
+    apiKey: getConfig('POKE_API_KEY', ''),
+    cronSecret,
+    store,
+    filePath: getConfig('SYNC_STATE_FILE', path.join(os.tmpdir(), 'poke-slack-sync.json')),
+    redisUrl,
+    initialHours: parseFloat(getConfig('SYNC_INITIAL_HOURS', '1')),
+    batchSize,
+    maxMessages,
+    maxRetries,
+    timeBudgetMs
+  };
+}
+
+/**
+ * Default priority scoring rules (see lib/priority.js)
+ */
+const PRIORITY_DEFAULT_RULES = require('./priority-rules.json');
+
+// Settings each priority signal accepts besides `points`, and their checks
+const PRIORITY_SIGNAL_SETTINGS = {
+  direct_mention: {},
+  vip_sender: { users: value => Array.isArray(value) && value.every(id => /^[UWB][A-Z0-9]+$/.test(id)) },
+  urgent_keyword: { keywords: value => Array.isArray(value) && value.every(k => typeof k === 'string' && k.trim().length > 0) },
+  question: {},
+  reaction_velocity: { per_hour: value => typeof value === 'number' && value > 0 },
+  thread_heat: {
+    replies: value => typeof value === 'number' && value > 0,
+    participants: value => typeof value === 'number' && value > 0
+  },
+  age: {
+    after_hours: value => typeof value === 'number' && value >= 0,
+    full_after_hours: value => typeof value === 'number' && value > 0
+  }
+};
+
+let priorityRulesCache = { file: null, rules: null };
+
+/**
+ * Get priority scoring rules
+ *
+ * config/priority-rules.json holds the defaults. PRIORITY_RULES_FILE points
+ * at a team's own JSON file, merged over the defaults signal by signal, so
+ * it only needs the settings it changes, e.g.
+ * {"user_id": "U123", "signals": {"vip_sender": {"users": ["U456"]}}}.
+ * A signal with 0 points is off. The file is read once per instance.
+ *
+ * @returns {Object} { user_id, signals }
+ * @throws {Error} If the file cannot be read or a rule is not valid
+ */
+function getPriorityRules() {
+  const file = getConfig('PRIORITY_RULES_FILE', '');
+  if (priorityRulesCache.rules && priorityRulesCache.file === file) {
+    return priorityRulesCache.rules;
+  }
+
+  let overrides = {};
+  if (file) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+    } catch (error) {
+      throw new Error(`PRIORITY_RULES_FILE ${file} is unreadable: ${error.message}`);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('PRIORITY_RULES_FILE must hold a JSON object');
+    }
+  }
+
+  const userId = overrides.user_id !== undefined ? overrides.user_id : PRIORITY_DEFAULT_RULES.user_id;
+  if (userId !== null && !(typeof userId === 'string' && /^[UW][A-Z0-9]+$/.test(userId))) {
+    throw new Error('Priority rules: user_id must be a Slack user ID or null');
+  }
+
+  const signals = {};
+  for (const [name, defaults] of Object.entries(PRIORITY_DEFAULT_RULES.signals)) {
+    signals[name] = { ...defaults, ...(overrides.signals && overrides.signals[name]) };
+  }
+
+  for (const [name, signal] of Object.entries({ ...overrides.signals, ...signals })) {
+    const settings = PRIORITY_SIGNAL_SETTINGS[name];
+    if (!settings) {
+      throw new Error(`Priority rules: unknown signal '${name}'`);
+    }
+    if (typeof signal.points !== 'number' || !Number.isFinite(signal.points)) {
+      throw new Error(`Priority rules: ${name}.points must be a number`);
+    }
+    for (const [setting, isValid] of Object.entries(settings)) {
+      if (!isValid(signal[setting])) {
+        throw new Error(`Priority rules: ${name}.${setting} is not valid`);
+      }
+    }
+  }
+  if (signals.age.full_after_hours <= signals.age.after_hours) {
+    throw new Error('Priority rules: age.full_after_hours must be greater than age.after_hours');
+  }
+
+  priorityRulesCache = { file, rules: { user_id: userId, signals } };
+  return priorityRulesCache.rules;
+}
+
+/**
+ * Get MCP session configuration (Streamable HTTP transport)
+ *
+ * When MCP_SESSION_SECRET is not set, the signing secret is derived from
+ * MCP_AUTH_TOKEN (or MCP_CLIENTS), so rotating credentials also invalidates
+ * sessions. OAuth-only deployments have no secret to derive it from (the
+ * issuer URL is public), so they must set MCP_SESSION_SECRET.
+ *
+ * @returns {Object} Session settings
+ * @throws {Error} If there is no secret to sign with, or a number is not valid
+ */
+function getSessionConfig() {
+  const baseSecret = getMcpAuthToken() || getConfig('MCP_CLIENTS', '');
+  const secret = getConfig('MCP_SESSION_SECRET', '') ||
+    (baseSecret && crypto.createHmac('sha256', baseSecret).update('mcp-session').digest('hex'));
+  if (!secret) {
+    throw new Error('MCP_SESSION_SECRET is required when OAuth is the only authentication method');
+  }
+
+  const ttlHours = Number(getConfig('MCP_SESSION_TTL_HOURS', '24'));
+  if (!Number.isFinite(ttlHours) || ttlHours <= 0) {
+    throw new Error('MCP_SESSION_TTL_HOURS must be a positive number');
+  }
+
+  const sseMaxMs = Number(getConfig('MCP_SSE_MAX_MS', '25000'));
+  if (!Number.isInteger(sseMaxMs) || sseMaxMs <= 0) {
+    throw new Error('MCP_SSE_MAX_MS must be a positive integer');
+  }
+
+  return {
+    secret,
+    ttlMs: ttlHours * 60 * 60 * 1000,
+    required: getConfig('MCP_REQUIRE_SESSION', 'false') === 'true',
+    sseMaxMs
   };
 }
 
@@ -171,11 +926,27 @@ module.exports = {
   validateConfig,
   getConfig,
   getMonitoredChannels,
+  getDmConfig,
+  getWriteChannels,
+  isWriteEnabled,
   isDevelopment,
   isProduction,
   includeUserEmails,
   getMcpAuthToken,
+  getMcpClients,
+  getOAuthConfig,
   getRateLimitConfig,
+  getSlackSchedulerConfig,
+  getDirectoryCacheConfig,
+  getWatermarkConfig,
+  getEventsConfig,
+  getSyncConfig,
+  getPriorityRules,
+  getSessionConfig,
   REQUIRED_ENV_VARS,
+  AUTH_ENV_VARS,
+  OAUTH_SCOPES,
+  RATE_LIMIT_DEFAULT_COSTS,
+  SLACK_METHOD_DEFAULT_BUDGETS,
   OPTIONAL_ENV_VARS
 };
@@ -0,0 +1,231 @@
+/**
+ * Client Authentication and Access
+ *
+ * Resolves who is calling from the bearer token, and what they may do:
+ *
+ * - MCP_CLIENTS: named clients (stored as SHA-256 token hashes) with
+ *   optional channel subsets, tool allowlists and rate limits
+ * - MCP_AUTH_TOKEN: the legacy single token, an unrestricted "default" client
+ * - OAuth 2.1 JWT access tokens, when OAUTH_ISSUER is set; their scopes
+ *   decide which tools the client gets
+ *
+ * Shared by every authenticated endpoint (the MCP endpoint and the export
+ * route), so the same token opens the same channels and tools everywhere.
+ * Helpers take a request context, { client, slack, ... }, as built by the
+ * endpoint.
+ */
+
+const crypto = require('crypto');
+const { z } = require('zod');
+const {
+  getMonitoredChannels,
+  getMcpAuthToken,
+  getMcpClients,
+  getOAuthConfig
+} = require('../config/constants');
+const { OAuthError, looksLikeJwt, verifyAccessToken } = require('./oauth');
+const { getDmAccess } = require('./dm-access');
+const logger = require('../utils/logger');
+
+// Client identity for the legacy single MCP_AUTH_TOKEN: no restrictions
+const DEFAULT_CLIENT = Object.freeze({
+  name: 'default',
+  channels: null,
+  tools: null,
+  rateLimit: null
+});
+
+/**
+ * Validate bearer token authentication and resolve the calling client
+ *
+ * Tokens are checked against MCP_CLIENTS (stored as SHA-256 hashes) and the
+ * legacy MCP_AUTH_TOKEN, which maps to an unrestricted "default" client.
+ * When OAuth is configured, JWT-shaped tokens are validated as OAuth access
+ * tokens and their scopes decide which tools the client gets.
+ *
+ * @param {Object} req - Request object
+ * @param {Function} scopeTools - (scopes) => names of the tools an OAuth token's scopes grant
+ * @returns {Promise<Object>} { authenticated: boolean, client?: Object, error?: string, oauthError?: OAuthError }
+ */
+async function authenticateRequest(req, scopeTools) {
+  const authHeader = req.headers.authorization;
+  const expectedToken = getMcpAuthToken();
+  const clients = getMcpClients();
+  const oauth = getOAuthConfig();
+
+  if (!expectedToken && clients.length === 0 && !oauth) {
+    logger.error('No API credentials configured (MCP_AUTH_TOKEN, MCP_CLIENTS or OAUTH_ISSUER)');
+    return { authenticated: false, error: 'Server misconfiguration' };
+  }
+
+  if (!authHeader) {
+    return { authenticated: false, error: 'Missing Authorization header' };
+  }
+
+  if (!authHeader.startsWith('Bearer ')) {
+    return { authenticated: false, error: 'Invalid Authorization format. Expected: Bearer <token>' };
+  }
+
+  const providedToken = authHeader.slice(7);
+
+  if (oauth && looksLikeJwt(providedToken)) {
+    return await authenticateOAuthToken(providedToken, scopeTools);
+  }
+
+  // Scoped clients: compare hashes in constant time, checking every entry
+  // so the response time does not reveal which (if any) matched
+  const providedHash = Buffer.from(crypto.createHash('sha256').update(providedToken).digest('hex'));
+  let matchedClient = null;
+  for (const client of clients) {
+    if (crypto.timingSafeEqual(providedHash, Buffer.from(client.tokenHash))) {
+      matchedClient = client;
+    }
+  }
+
+  if (matchedClient) {
+    return { authenticated: true, client: matchedClient };
+  }
+
+  if (!expectedToken) {
+    return { authenticated: false, error: 'Invalid token' };
+  }
+
+  // Use timing-safe comparison to prevent timing attacks
+  if (providedToken.length !== expectedToken.length) {
+    return { authenticated: false, error: 'Invalid token' };
+  }
+
+  // Simple constant-time comparison
+  let mismatch = 0;
+  for (let i = 0; i < providedToken.length; i++) {
+    mismatch |= providedToken.charCodeAt(i) ^ expectedToken.charCodeAt(i);
+  }
+
+  if (mismatch !== 0) {
+    return { authenticated: false, error: 'Invalid token' };
+  }
+
+  return { authenticated: true, client: DEFAULT_CLIENT };
+}
+
+/**
+ * Validate an OAuth access token and build the client it represents
+ *
+ * Scopes map to tools through `scopeTools`. Channel access is the full
+ * monitored set.
+ */
+async function authenticateOAuthToken(token, scopeTools) {
+  try {
+    const { subject, clientId, scopes } = await verifyAccessToken(token);
+    const tools = scopeTools(scopes);
+
+    return {
+      authenticated: true,
+      client: {
+        name: `oauth:${subject || clientId || 'unknown'}`,
+        channels: null,
+        tools,
+        rateLimit: null
+      }
+    };
+  } catch (error) {
+    if (!(error instanceof OAuthError)) {
+      // JWKS unreachable or unreadable: our problem, not the client's
+      logger.error('OAuth token validation failed:', error);
+      return { authenticated: false, error: 'Unable to validate token' };
+    }
+    return { authenticated: false, error: error.message, oauthError: error };
+  }
+}
+
+/**
+ * Channels the calling client may read: monitored channels plus, when
+ * SLACK_MONITOR_DMS opts in, DMs and group DMs, narrowed to the client's
+ * channel subset if it has one
+ *
+ * @param {Object} context - Request context
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDms=true] - Include DMs and group DMs
+ * @returns {Promise<Array<string>>} Conversation IDs
+ */
+async function getClientChannels(context, { includeDms = true } = {}) {
+  const { channels } = context.client;
+  const dmIds = includeDms
+    ? (await getDmAccess(context.slack)).conversations.map(conversation => conversation.id)
+    : [];
+  return [...getMonitoredChannels(), ...dmIds].filter(c => !channels || channels.includes(c));
+}
+
+/**
+ * Check whether the calling client may use a tool
+ *
+ * @param {Object} context - Request context
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True if allowed
+ */
+function isToolAllowed(context, toolName) {
+  const { tools } = context.client;
+  return !tools || tools.includes(toolName);
+}
+
+/**
+ * Throw a validation error unless the calling client may use a tool
+ *
+ * Resources and prompts check the tool that serves the same data.
+ */
+function assertToolAllowed(context, toolName) {
+  if (!isToolAllowed(context, toolName)) {
+    const error = new Error(`Not permitted for this client (requires ${toolName})`);
+    error.isValidationError = true;
+    throw error;
+  }
+}
+
+// Channel arguments take an ID or a #name, resolved against the channels
+// the caller may use (see resolveChannelRef)
+const ChannelRefSchema = z.string().regex(/^([CGD][A-Z0-9]+|#[^\s#<>|]{1,80})$/u, 'Invalid channel ID or #name format');
+
+/**
+ * Resolve a channel argument (an ID or #name) to a channel ID
+ *
+ * Names are only looked up among `channelIds`, the channels the caller may
+ * use for this operation, so a name can never reach a channel its ID would
+ * be refused for. Names come from the directory cache.
+ *
+ * @param {string} channelRef - Channel ID or #name
+ * @param {Array<string>} channelIds - Channels the name may resolve to
+ * @param {SlackClient} slack - Slack client
+ * @returns {Promise<string>} Channel ID (IDs are returned unchanged)
+ * @throws {Error} If no channel in the list has that name (validation error)
+ */
+async function resolveChannelRef(channelRef, channelIds, slack) {
+  if (!channelRef.startsWith('#')) {
+    return channelRef;
+  }
+
+  const name = channelRef.slice(1).toLowerCase();
+  for (const channelId of channelIds) {
+    try {
+      const channel = await slack.getChannelInfo(channelId);
+      if (channel?.name?.toLowerCase() === name) {
+        return channelId;
+      }
+    } catch (error) {
+      logger.warn(`Could not resolve name of ${channelId}:`, error.message);
+    }
+  }
+
+  const error = new Error(`Channel ${channelRef} not found among permitted channels`);
+  error.isValidationError = true;
+  throw error;
+}
+
+module.exports = {
+  DEFAULT_CLIENT,
+  authenticateRequest,
+  getClientChannels,
+  isToolAllowed,
+  assertToolAllowed,
+  resolveChannelRef,
+  ChannelRefSchema
+};
@@ -0,0 +1,455 @@
+/**
+ * Conversation Export
+ *
+ * Exports a monitored channel (or one thread) over a date range as a
+ * document, for the export_conversation tool and the /api/export route:
+ *
+ * - markdown: a readable transcript, grouped by day, replies nested under
+ *   their thread parent
+ * - csv: one row per message, parents followed by their replies
+ * - jsonl: one JSON object per message, the formatted message plus the raw
+ *   Slack fields under `raw` (file URLs that grant access are removed)
+ *
+ * Unlike get_slack_messages, the export walks the whole window, page after
+ * page, up to EXPORT_MAX_MESSAGES. A longer window comes back truncated to
+ * its newest messages, with `next_before` to export the rest. An export the
+ * Slack request deadline cut short ends the same way, at the last whole
+ * thread, and is also marked `partial`. Threads whose replies could not be
+ * read for another reason are kept without them and listed in the summary
+ * as `incomplete_threads`, so a gap is never mistaken for a quiet thread.
+ */
+
+const { z } = require('zod');
+const { compareTs, createInitialState, fetchMergedPage } = require('./history-pager');
+const { isDeadlineError } = require('./slack-scheduler');
+const { dateToTs } = require('./search-query');
+const { getClientChannels, resolveChannelRef, ChannelRefSchema } = require('./client-auth');
+const { formatConversation, formatMessage } = require('./message-format');
+const logger = require('../utils/logger');
+
+// Messages (thread replies included) one export may hold, keeps a call
+// inside the serverless timeout and the response a manageable size
+const EXPORT_MAX_MESSAGES = 5000;
+
+// Top-level messages read per history page
+const EXPORT_PAGE_SIZE = 200;
+
+// A Slack timestamp, accepted for after/before so next_before is exact
+const SLACK_TS_PATTERN = /^\d+\.\d{6}$/;
+
+// File fields that are signed or bot-authorized links to the file contents
+const PRIVATE_FILE_FIELD = /^(url_private|thumb_|permalink_public|deanimate)/;
+
+// Query string values arrive as text, tool arguments as JSON booleans
+const BooleanParamSchema = z.preprocess(
+  value => (value === 'true' ? true : value === 'false' ? false : value),
+  z.boolean()
+);
+
+const ExportConversationSchema = z.object({
+  channel_id: ChannelRefSchema,
+  thread_ts: z.string().regex(/^\d+\.\d+$/, 'Invalid thread timestamp format').optional(),
+  after: z.string().max(40).optional(),
+  before: z.string().max(40).optional(),
+  hours: z.coerce.number().min(1).max(720).default(24),  // Max 30 days
+  format: z.enum(['markdown', 'csv', 'jsonl']).default('markdown'),
+  include_replies: BooleanParamSchema.default(true)
+});
+
+/**
+ * Create a validation error the handlers surface to the client
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as a validation error
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Convert a Slack timestamp to an ISO datetime (millisecond precision)
+ *
+ * @param {string} ts - Slack timestamp
+ * @returns {string} ISO datetime
+ */
+function tsToIso(ts) {
+  return new Date(Math.floor(parseFloat(ts) * 1000)).toISOString();
+}
+
+/**
+ * Read an after/before bound: a Slack timestamp as is, else a date
+ *
+ * @param {string} value - Slack timestamp, YYYY-MM-DD or ISO datetime
+ * @param {string} field - Field name for error messages
+ * @param {boolean} endOfDay - For bare dates, use the end of that day
+ * @returns {string} Slack timestamp
+ */
+function boundToTs(value, field, endOfDay = false) {
+  return SLACK_TS_PATTERN.test(value) ? value : dateToTs(value, field, endOfDay);
+}
+
+/**
+ * Readable UTC time of a Slack timestamp, e.g. "2026-10-18 09:41 UTC"
+ */
+function tsToDisplay(ts) {
+  return `${tsToIso(ts).slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Check whether a history message is a thread reply also sent to the
+ * channel; with replies included it is exported once, inside its thread
+ */
+function isThreadBroadcast(message) {
+  return !!message.thread_ts && message.thread_ts !== message.ts;
+}
+
+/**
+ * Copy a raw Slack message without the file links that grant access
+ *
+ * @param {Object} message - Raw Slack message
+ * @returns {Object} Message safe to hand out
+ */
+function stripPrivateUrls(message) {
+  if (!message.files) {
+    return message;
+  }
+
+  return {
+    ...message,
+    files: message.files.map(file => Object.fromEntries(
+      Object.entries(file).filter(([key]) => !PRIVATE_FILE_FIELD.test(key))
+    ))
+  };
+}
+
+/**
+ * Read a window of channel history with each thread's replies
+ *
+ * Stops once EXPORT_MAX_MESSAGES are collected; a thread is always kept
+ * whole, so the total can run over by one thread. Also stops, marked
+ * partial, when the Slack deadline refuses a history page or a thread's
+ * replies; that thread is left for the next export. A thread whose replies
+ * fail to load for another reason is kept with none and flagged `incomplete`.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {string} channelId - Channel to read
+ * @param {string} oldest - Start of the window (Slack timestamp)
+ * @param {string|null} latest - End of the window (Slack timestamp), null for now
+ * @param {boolean} includeReplies - Fetch thread replies
+ * @param {Function} onProgress - Called with the number of messages collected so far
+ * @returns {Promise<Object>} { threads: Array<{ message, replies, incomplete }> oldest first, total, truncated, partial }
+ */
+async function collectChannel(slack, channelId, oldest, latest, includeReplies, onProgress) {
+  const threads = [];
+  let total = 0;
+  let truncated = false;
+  let partial = false;
+  let state = createInitialState([channelId], oldest, latest);
+
+  while (state && !truncated) {
+    const page = await fetchMergedPage(slack, state, EXPORT_PAGE_SIZE);
+    // The channel's messages from this page on were not read
+    if (page.unread.length > 0) {
+      truncated = partial = true;
+    }
+
+    for (const { message } of page.messages) {
+      if (total >= EXPORT_MAX_MESSAGES) {
+        truncated = true;
+        break;
+      }
+      if (includeReplies && isThreadBroadcast(message)) {
+        continue;
+      }
+
+      let replies = [];
+      let incomplete = false;
+      if (includeReplies && message.reply_count > 0) {
+        try {
+          replies = (await slack.getThreadReplies(channelId, message.ts)).filter(reply => reply.ts !== message.ts);
+        } catch (error) {
+          if (isDeadlineError(error)) {
+            truncated = partial = true;
+            break;
+          }
+          logger.warn(`Failed to read thread ${channelId}/${message.ts} for export:`, error.message);
+          incomplete = true;
+        }
+      }
+
+      threads.push({ message, replies, incomplete });
+      total += 1 + replies.length;
+    }
+
+    state = page.nextState;
+    onProgress(total);
+  }
+
+  return { threads: threads.reverse(), total, truncated, partial };
+}
+
+/**
+ * Read one thread, parent first
+ *
+ * @returns {Promise<Object>} Same shape as collectChannel
+ * @throws {Error} If the thread has no messages (validation error)
+ */
+async function collectThread(slack, channelId, threadTs) {
+  const messages = await slack.getThreadReplies(channelId, threadTs);
+  const parent = messages.find(message => message.ts === threadTs);
+  if (!parent) {
+    throw validationError('Thread not found');
+  }
+
+  const replies = messages.filter(message => message.ts !== threadTs);
+  return {
+    threads: [{ message: parent, replies, incomplete: false }],
+    total: 1 + replies.length,
+    truncated: false,
+    partial: false
+  };
+}
+
+// ============================================================================
+// RENDERERS
+// ============================================================================
+
+/**
+ * Markdown transcript: a header, then messages grouped by UTC day with
+ * replies quoted under their parent
+ *
+ * @param {Object} meta - Export summary (see exportConversation)
+ * @param {Array} entries - [{ formatted, raw, replies: [{ formatted, raw }], incomplete }], oldest first
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(meta, entries) {
+  const channelName = meta.channel.type ? meta.channel.name : `#${meta.channel.name}`;
+  const lines = [
+    `# Slack export: ${meta.thread_ts ? `thread in ${channelName}` : channelName}`,
+    '',
+    `- Channel: ${channelName} (${meta.channel.id})`,
+    meta.thread_ts
+      ? `- Thread: ${meta.thread_ts}`
+      : `- Range: ${tsToDisplay(meta.oldest)} to ${meta.latest ? tsToDisplay(meta.latest) : 'now'}`,
+    `- Messages: ${meta.total}`,
+    `- Exported: ${meta.exported_at.slice(0, 16).replace('T', ' ')} UTC`
+  ];
+  if (meta.partial) {
+    lines.push(`- Partial: Slack rate limits stopped the export early; export again${meta.next_before ? ` with before=${meta.next_before}` : ''} for the rest`);
+  } else if (meta.truncated) {
+    lines.push(`- Truncated: only the newest ${meta.total} messages; export again with before=${meta.next_before} for older ones`);
+  }
+  if (meta.incomplete_threads.length > 0) {
+    lines.push(`- Incomplete: replies of ${meta.incomplete_threads.length} thread(s) could not be read and are missing`);
+  }
+
+  const renderMessage = (formatted, prefix) => {
+    const author = formatted.user ? formatted.user.name : formatted.type === 'bot_message' ? 'Bot' : 'Unknown';
+    const block = [`**${author}** · ${tsToDisplay(formatted.timestamp)}`, ...formatted.text.split('\n')];
+    if (formatted.files) {
+      block.push(`_Files: ${formatted.files.map(file => file.title || file.name).join(', ')}_`);
+    }
+    if (formatted.reactions) {
+      block.push(`_Reactions: ${formatted.reactions.map(r => `:${r.name}: ${r.count}`).join(' · ')}_`);
+    }
+    lines.push(...block.map(line => `${prefix}${line}`.trimEnd()), '');
+  };
+
+  let day = null;
+  for (const { formatted, replies, incomplete } of entries) {
+    const messageDay = tsToIso(formatted.timestamp).slice(0, 10);
+    if (messageDay !== day) {
+      day = messageDay;
+      lines.push('', `## ${day}`, '');
+    }
+
+    renderMessage(formatted, '');
+    for (const reply of replies) {
+      renderMessage(reply.formatted, '> ');
+    }
+    if (incomplete) {
+      lines.push('> _Replies could not be read_', '');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+const CSV_COLUMNS = [
+  'timestamp', 'datetime', 'channel_id', 'channel_name', 'thread_ts', 'is_reply',
+  'user_id', 'user_name', 'type', 'text', 'reply_count', 'reactions', 'files', 'priority',
+  'replies_missing'
+];
+
+/**
+ * Quote a CSV field (RFC 4180)
+ *
+ * Text starting with =, +, - or @ is prefixed with an apostrophe so
+ * spreadsheets do not evaluate message text as a formula.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV: a header row and one row per message, replies after their parent
+ *
+ * @param {Object} meta - Export summary
+ * @param {Array} entries - As for renderMarkdown
+ * @returns {string} CSV document
+ */
+function renderCsv(meta, entries) {
+  const row = (formatted, raw, incomplete = false) => [
+    formatted.timestamp,
+    tsToIso(formatted.timestamp),
+    formatted.channel.id,
+    formatted.channel.name,
+    raw.thread_ts || '',
+    formatted.is_reply ? 'true' : 'false',
+    formatted.user ? formatted.user.id : raw.user || raw.bot_id || '',
+    formatted.user ? formatted.user.name : '',
+    formatted.type,
+    formatted.text,
+    raw.reply_count || 0,
+    (formatted.reactions || []).map(r => `${r.name}:${r.count}`).join(' '),
+    (formatted.files || []).map(file => file.name).join(' '),
+    formatted.priority,
+    incomplete ? 'true' : 'false'
+  ].map(csvField).join(',');
+
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const { formatted, raw, replies, incomplete } of entries) {
+    rows.push(row(formatted, raw, incomplete));
+    for (const reply of replies) {
+      rows.push(row(reply.formatted, reply.raw));
+    }
+  }
+
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+/**
+ * JSONL: one formatted message per line with its raw Slack fields under
+ * `raw`, replies after their parent. A parent whose replies could not be
+ * read carries `replies_missing: true`.
+ *
+ * @param {Object} meta - Export summary
+ * @param {Array} entries - As for renderMarkdown
+ * @returns {string} JSONL document
+ */
+function renderJsonl(meta, entries) {
+  const lines = [];
+  for (const { formatted, raw, replies, incomplete } of entries) {
+    lines.push(JSON.stringify({ ...formatted, ...(incomplete && { replies_missing: true }), raw: stripPrivateUrls(raw) }));
+    for (const reply of replies) {
+      lines.push(JSON.stringify({ ...reply.formatted, raw: stripPrivateUrls(reply.raw) }));
+    }
+  }
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+const EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderCsv },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl', render: renderJsonl }
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Export a channel or thread the caller may read
+ *
+ * `args` are the export_conversation arguments (query string values are
+ * accepted as text). With thread_ts the whole thread is exported and the
+ * date range is ignored; after/before are exclusive, as in search_messages.
+ *
+ * @param {Object} args - { channel_id, thread_ts?, after?, before?, hours?, format?, include_replies? }
+ * @param {Object} context - Request context ({ client, slack, sendProgress })
+ * @returns {Promise<Object>} { summary, document, contentType, filename }
+ * @throws {Error} Validation errors for bad arguments or channels outside the caller's list
+ */
+async function exportConversation(args, context) {
+  const parseResult = ExportConversationSchema.safeParse(args || {});
+  if (!parseResult.success) {
+    throw validationError(parseResult.error.issues[0]?.message || 'Invalid input');
+  }
+
+  const { thread_ts, after, before, hours, format, include_replies } = parseResult.data;
+  const { slack } = context;
+  const monitoredChannels = await getClientChannels(context);
+  const channelId = await resolveChannelRef(parseResult.data.channel_id, monitoredChannels, slack);
+
+  // SECURITY: Only export monitored channels
+  if (!monitoredChannels.includes(channelId)) {
+    throw validationError('Channel not in monitored list');
+  }
+
+  const oldest = after
+    ? boundToTs(after, 'after', true)
+    : ((Date.now() - hours * 60 * 60 * 1000) / 1000).toFixed(6);
+  const latest = before ? boundToTs(before, 'before') : null;
+  if (latest && compareTs(latest, oldest) <= 0) {
+    throw validationError('before must be later than after');
+  }
+
+  const channel = await slack.getChannelInfo(channelId);
+  const collected = thread_ts
+    ? await collectThread(slack, channelId, thread_ts)
+    : await collectChannel(slack, channelId, oldest, latest, include_replies, total =>
+      context.sendProgress(total, undefined, `Exported ${total} messages`)
+    );
+
+  const entries = [];
+  for (const { message, replies, incomplete } of collected.threads) {
+    const entry = { formatted: await formatMessage(slack, message, channel), raw: message, replies: [], incomplete };
+    for (const reply of replies) {
+      entry.replies.push({ formatted: await formatMessage(slack, reply, channel), raw: reply });
+    }
+    entries.push(entry);
+  }
+
+  const exportedAt = new Date().toISOString();
+  const summary = {
+    channel: await formatConversation(slack, channel),
+    ...(thread_ts ? { thread_ts } : { oldest, latest }),
+    format,
+    total: collected.total,
+    truncated: collected.truncated,
+    // Cut short by the Slack deadline rather than EXPORT_MAX_MESSAGES
+    partial: collected.partial,
+    // Exclusive bound for the next export when truncated, as a Slack
+    // timestamp so messages in the same millisecond are not skipped; the
+    // same range again when the deadline came before any message was read
+    next_before: !collected.truncated ? null
+      : entries.length > 0 ? entries[0].formatted.timestamp
+        : latest,
+    // Parents whose replies are missing from the document
+    incomplete_threads: collected.threads.filter(thread => thread.incomplete).map(thread => thread.message.ts),
+    exported_at: exportedAt
+  };
+
+  const { contentType, extension, render } = EXPORT_FORMATS[format];
+  const slug = String(summary.channel.name || channelId).replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '');
+  const filename = `slack-${slug || channelId}${thread_ts ? `-thread-${thread_ts}` : ''}-${exportedAt.slice(0, 10)}.${extension}`;
+
+  return {
+    summary,
+    document: render(summary, entries),
+    contentType,
+    filename
+  };
+}
+
+module.exports = {
+  EXPORT_MAX_MESSAGES,
+  exportConversation
+};
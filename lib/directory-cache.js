@@ -0,0 +1,545 @@
+/**
+ * Slack Directory Cache
+ *
+ * Caches Slack users, channels and usergroups with a TTL so message formatting
+ * does not call users.info / conversations.info for every author on every request.
+ * The cache is module-level, so it outlives the per-request SlackClient, and
+ * its backend decides how far it reaches:
+ *
+ * - MemoryCacheAdapter: this warm instance
+ * - FileCacheAdapter: every invocation sharing a filesystem
+ * - KvCacheAdapter: every instance, through a Redis-protocol key-value store
+ *
+ * All adapters implement:
+ *
+ *   get(key) -> Promise<value|undefined>
+ *   setMany([[key, value], ...], ttlMs) -> Promise<void>
+ *   clear() -> Promise<void>
+ *
+ * On the first miss the whole workspace is loaded in bulk with paginated
+ * users.list and conversations.list (a handful of calls instead of one per
+ * user), after which single lookups are only needed for anyone the bulk
+ * load did not cover (other workspaces in shared channels, newcomers). The
+ * IDs each load saw are kept as well, so find_users can search everyone
+ * without listing the workspace again.
+ *
+ * Only the fields this server uses are stored. Emails are kept only when
+ * INCLUDE_USER_EMAILS is enabled, so they never reach a shared cache
+ * otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDirectoryCacheConfig, includeUserEmails } = require('../config/constants');
+const { getRedisClient } = require('./redis-client');
+const logger = require('../utils/logger');
+
+// Prefix for keys in the shared key-value store
+const KV_PREFIX = 'poke-slack:directory:';
+
+// Entries per users.list / conversations.list page (Slack recommends <= 200)
+const PRELOAD_PAGE_SIZE = 200;
+
+// After a failed bulk load, wait this long before trying again
+const PRELOAD_RETRY_MS = 5 * 60 * 1000;
+
+// How long an ID Slack does not know (deleted user, foreign group) is remembered
+const MISSING_TTL_MS = 60 * 60 * 1000;
+
+// Key recording when the workspace was last bulk-loaded
+const PRELOAD_MARKER_KEY = 'preloaded';
+
+// Keys listing the IDs each bulk load saw, e.g. index:user
+const INDEX_KEY_PREFIX = 'index:';
+
+/**
+ * In-memory adapter (per warm instance)
+ */
+class MemoryCacheAdapter {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async setMany(entries, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    for (const [key, value] of entries) {
+      this.entries.set(key, { value, expiresAt });
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * JSON file adapter
+ *
+ * The file is read once per instance and rewritten (atomically, via a
+ * temporary file and rename) on every update, dropping expired entries.
+ */
+class FileCacheAdapter {
+  /**
+   * @param {string} filePath - Cache file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.memory = null;
+  }
+
+  load() {
+    if (this.memory) {
+      return;
+    }
+
+    this.memory = new MemoryCacheAdapter();
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        this.memory.entries.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable directory cache file ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  async get(key) {
+    this.load();
+    return this.memory.get(key);
+  }
+
+  async setMany(entries, ttlMs) {
+    this.load();
+    await this.memory.setMany(entries, ttlMs);
+    this.save();
+  }
+
+  async clear() {
+    this.memory = new MemoryCacheAdapter();
+    fs.rmSync(this.filePath, { force: true });
+  }
+
+  save() {
+    const now = Date.now();
+    const data = { entries: {} };
+    for (const [key, entry] of this.memory.entries) {
+      if (entry.expiresAt > now) {
+        data.entries[key] = entry;
+      }
+    }
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Redis-protocol key-value adapter (shared by all instances)
+ *
+ * Values are stored as JSON strings with a per-key expiry.
+ */
+class KvCacheAdapter {
+  /**
+   * @param {RedisClient} redis - Client from lib/redis-client
+   */
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  async get(key) {
+    const value = await this.redis.command('GET', KV_PREFIX + key);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  async setMany(entries, ttlMs) {
+    // Commands are pipelined on one connection, so this is one round trip
+    await Promise.all(entries.map(([key, value]) =>
+      this.redis.command('SET', KV_PREFIX + key, JSON.stringify(value), 'PX', Math.ceil(ttlMs))
+    ));
+  }
+
+  async clear() {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.redis.command('SCAN', cursor, 'MATCH', `${KV_PREFIX}*`, 'COUNT', 500);
+      if (keys.length > 0) {
+        await this.redis.command('DEL', ...keys);
+      }
+      cursor = next;
+    } while (cursor !== '0');
+  }
+}
+
+/**
+ * Keep the user fields this server reads
+ *
+ * @param {Object} user - Slack user object
+ * @returns {Object} Compact user
+ */
+function compactUser(user) {
+  const profile = user.profile || {};
+  return {
+    id: user.id,
+    team_id: user.team_id,
+    name: user.name,
+    real_name: user.real_name || profile.real_name,
+    deleted: user.deleted || false,
+    is_bot: user.is_bot || false,
+    tz: user.tz,
+    profile: {
+      display_name: profile.display_name,
+      real_name: profile.real_name,
+      title: profile.title,
+      status_text: profile.status_text,
+      status_emoji: profile.status_emoji,
+      image_72: profile.image_72,
+      ...(includeUserEmails() && profile.email && { email: profile.email })
+    }
+  };
+}
+
+/**
+ * Keep the channel fields this server reads
+ *
+ * @param {Object} channel - Slack conversation object
+ * @returns {Object} Compact channel
+ */
+function compactChannel(channel) {
+  return {
+    id: channel.id,
+    name: channel.name,
+    is_channel: channel.is_channel,
+    is_group: channel.is_group,
+    is_im: channel.is_im,
+    is_mpim: channel.is_mpim,
+    is_private: channel.is_private,
+    is_archived: channel.is_archived,
+    created: channel.created,
+    user: channel.user,
+    num_members: channel.num_members,
+    topic: channel.topic ? { value: channel.topic.value } : undefined,
+    purpose: channel.purpose ? { value: channel.purpose.value } : undefined
+  };
+}
+
+/**
+ * Keep the usergroup fields this server reads
+ *
+ * @param {Object} usergroup - Slack usergroup object
+ * @returns {Object} Compact usergroup
+ */
+function compactUsergroup(usergroup) {
+  return {
+    id: usergroup.id,
+    handle: usergroup.handle,
+    name: usergroup.name,
+    is_disabled: (usergroup.date_delete || 0) > 0
+  };
+}
+
+// How each kind of entry is trimmed before it is stored
+const COMPACTORS = {
+  user: compactUser,
+  channel: compactChannel,
+  usergroup: compactUsergroup
+};
+
+/**
+ * TTL cache of users, channels and usergroups with bulk preload
+ */
+class DirectoryCache {
+  /**
+   * @param {Object} adapter - Storage adapter (see module comment)
+   * @param {Object} config - Result of getDirectoryCacheConfig()
+   */
+  constructor(adapter, config) {
+    this.adapter = adapter;
+    this.config = config;
+    this.preloading = null;
+    this.preloadCheckedUntil = 0;
+    this.stats = {
+      backend: config.backend,
+      hits: 0,
+      misses: 0,
+      lookups: 0,
+      errors: 0,
+      preloads: 0,
+      lastPreload: null
+    };
+  }
+
+  /**
+   * Read a cached user, channel or usergroup
+   *
+   * @param {string} kind - 'user', 'channel' or 'usergroup'
+   * @param {string} id - Slack ID
+   * @returns {Promise<Object|null|undefined>} Cached entry (null: known not to exist), undefined on a miss
+   */
+  async get(kind, id) {
+    let value;
+    try {
+      value = await this.adapter.get(`${kind}:${id}`);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn(`Directory cache read failed for ${kind} ${id}:`, error.message);
+    }
+
+    if (value === undefined) {
+      this.stats.misses++;
+    } else {
+      this.stats.hits++;
+    }
+    return value;
+  }
+
+  /**
+   * Store users, channels or usergroups
+   *
+   * @param {string} kind - 'user', 'channel' or 'usergroup'
+   * @param {Array<Object>} items - Slack objects (compacted before storing)
+   */
+  async store(kind, items) {
+    const compact = COMPACTORS[kind];
+    try {
+      await this.adapter.setMany(items.map(item => [`${kind}:${item.id}`, compact(item)]), this.config.ttlMs);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn(`Directory cache write failed for ${items.length} ${kind}(s):`, error.message);
+    }
+  }
+
+  /**
+   * Look up an entry: cache, then bulk preload, then a single call
+   *
+   * @param {WebClient} client - Slack Web API client
+   * @param {string} kind - 'user', 'channel' or 'usergroup'
+   * @param {string} id - Slack ID
+   * @param {Function} fetchOne - Loads the entry from Slack when all else misses
+   *   (it may store more entries itself, e.g. a whole list)
+   * @returns {Promise<Object|null>} Compact entry, or null if fetchOne returned null
+   */
+  async lookup(client, kind, id, fetchOne) {
+    let value = await this.get(kind, id);
+    if (value !== undefined) {
+      return value;
+    }
+
+    if (await this.ensurePreloaded(client)) {
+      value = await this.get(kind, id);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+
+    this.stats.lookups++;
+    const fetched = await fetchOne();
+    if (!fetched) {
+      // Cached as null so unknown IDs do not cost a call on every message
+      await this.adapter.setMany([[`${kind}:${id}`, null]], Math.min(MISSING_TTL_MS, this.config.ttlMs))
+        .catch(error => logger.warn(`Directory cache write failed for ${kind} ${id}:`, error.message));
+      return null;
+    }
+
+    await this.store(kind, [fetched]);
+    return COMPACTORS[kind](fetched);
+  }
+
+  /**
+   * IDs of every user or channel seen by the last bulk load
+   *
+   * Triggers the load if it is due. The entries themselves are read with
+   * get() / lookup().
+   *
+   * @param {WebClient} client - Slack Web API client
+   * @param {string} kind - 'user' or 'channel'
+   * @returns {Promise<Array<string>|null>} IDs, or null if no load is cached
+   *   (preload disabled or failed)
+   */
+  async listIds(client, kind) {
+    const read = () => this.adapter.get(INDEX_KEY_PREFIX + kind).catch(error => {
+      this.stats.errors++;
+      logger.warn(`Directory cache read failed for ${kind} index:`, error.message);
+      return undefined;
+    });
+
+    let ids = await read();
+    if (ids === undefined && await this.ensurePreloaded(client)) {
+      ids = await read();
+    }
+    return ids || null;
+  }
+
+  /**
+   * Bulk-load the workspace unless that happened within the TTL
+   *
+   * Concurrent callers share one load. Whether a load is due is recorded in
+   * the cache itself, so instances sharing a backend load it only once.
+   *
+   * @param {WebClient} client - Slack Web API client
+   * @returns {Promise<boolean>} True if a load ran (callers should re-check the cache)
+   */
+  async ensurePreloaded(client) {
+    if (!this.config.preload || Date.now() < this.preloadCheckedUntil) {
+      return false;
+    }
+    if (this.preloading) {
+      return this.preloading;
+    }
+
+    this.preloading = (async () => {
+      try {
+        const marker = await this.adapter.get(PRELOAD_MARKER_KEY).catch(() => undefined);
+        if (marker) {
+          this.preloadCheckedUntil = marker.expiresAt;
+          return false;
+        }
+        await this.preload(client);
+        return true;
+      } finally {
+        this.preloading = null;
+      }
+    })();
+
+    return this.preloading;
+  }
+
+  /**
+   * Load all users and channels with paginated users.list / conversations.list
+   *
+   * Each list stops after DIRECTORY_PRELOAD_MAX_PAGES pages; anything beyond
+   * that falls back to single lookups. A list the token lacks scopes for is
+   * skipped.
+   *
+   * @param {WebClient} client - Slack Web API client
+   * @returns {Promise<Object>} { users, channels } counts
+   */
+  async preload(client) {
+    const startedAt = Date.now();
+    logger.info('Preloading Slack directory');
+
+    const loadAll = async (kind, method, options, field) => {
+      const ids = [];
+      let complete = false;
+      let cursor;
+      for (let page = 0; page < this.config.preloadMaxPages; page++) {
+        const result = await client.apiCall(method, { ...options, limit: PRELOAD_PAGE_SIZE, ...(cursor && { cursor }) });
+        const items = result[field] || [];
+        await this.store(kind, items);
+        ids.push(...items.map(item => item.id));
+
+        cursor = result.response_metadata?.next_cursor;
+        if (!cursor) {
+          complete = true;
+          break;
+        }
+      }
+      if (!complete) {
+        logger.warn(`Directory preload stopped ${method} after ${this.config.preloadMaxPages} pages`);
+      }
+
+      await this.adapter.setMany([[INDEX_KEY_PREFIX + kind, ids]], this.config.ttlMs)
+        .catch(error => logger.warn(`Could not record ${kind} index:`, error.message));
+      return { count: ids.length, complete };
+    };
+
+    const results = {};
+    let failed = false;
+    for (const [kind, method, options, field] of [
+      ['user', 'users.list', {}, 'members'],
+      ['channel', 'conversations.list', { types: 'public_channel,private_channel', exclude_archived: true }, 'channels']
+    ]) {
+      try {
+        results[kind] = await loadAll(kind, method, options, field);
+      } catch (error) {
+        failed = true;
+        results[kind] = { count: 0, complete: false };
+        logger.warn(`Directory preload via ${method} failed:`, error.data?.error || error.message);
+      }
+    }
+
+    // Remember the load (or the failure, for a shorter time) so it is not
+    // repeated on every miss
+    const retryIn = failed ? PRELOAD_RETRY_MS : this.config.ttlMs;
+    const expiresAt = Date.now() + retryIn;
+    this.preloadCheckedUntil = expiresAt;
+    await this.adapter.setMany([[PRELOAD_MARKER_KEY, { at: startedAt, expiresAt }]], retryIn)
+      .catch(error => logger.warn('Could not record directory preload:', error.message));
+
+    this.stats.preloads++;
+    this.stats.lastPreload = {
+      at: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      users: results.user.count,
+      channels: results.channel.count,
+      complete: results.user.complete && results.channel.complete
+    };
+    logger.info(`Preloaded ${results.user.count} users and ${results.channel.count} channels`);
+
+    return { users: results.user.count, channels: results.channel.count };
+  }
+
+  /**
+   * Drop everything cached (and force a new preload)
+   */
+  async clear() {
+    this.preloadCheckedUntil = 0;
+    await this.adapter.clear();
+  }
+
+  /**
+   * Hit/miss counters for this instance
+   *
+   * @returns {Object} { backend, hits, misses, hitRate, lookups, errors, preloads, lastPreload }
+   */
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: total > 0 ? Math.round((this.stats.hits / total) * 1000) / 1000 : null
+    };
+  }
+}
+
+let directoryCache = null;
+
+/**
+ * Get the shared directory cache (created once per instance)
+ *
+ * @returns {DirectoryCache} Cache using the configured backend
+ */
+function getDirectoryCache() {
+  if (!directoryCache) {
+    const config = getDirectoryCacheConfig();
+    const adapter = config.backend === 'file'
+      ? new FileCacheAdapter(config.filePath)
+      : config.backend === 'kv'
+        ? new KvCacheAdapter(getRedisClient(config.redisUrl))
+        : new MemoryCacheAdapter();
+    directoryCache = new DirectoryCache(adapter, config);
+  }
+  return directoryCache;
+}
+
+module.exports = {
+  DirectoryCache,
+  MemoryCacheAdapter,
+  FileCacheAdapter,
+  KvCacheAdapter,
+  getDirectoryCache
+};
@@ -0,0 +1,141 @@
+/**
+ * Direct Message Access
+ *
+ * Works out which DMs and group DMs (mpims) the server may read. Nothing
+ * outside the monitored channels is read unless SLACK_MONITOR_DMS opts in,
+ * either for every DM and group DM the bot is a member of ('all') or for a
+ * list of conversation IDs.
+ *
+ * Reading them takes scopes a channel-only install does not have:
+ *
+ * - DMs: im:read, im:history
+ * - Group DMs: mpim:read, mpim:history
+ *
+ * The token's scopes are checked first (from auth.test). A conversation type
+ * whose scopes are missing is left out and reported, instead of failing
+ * every tool that reads "all monitored channels".
+ *
+ * The result is cached per instance for a few minutes, as it is needed on
+ * every request that reads channels.
+ */
+
+const { getDmConfig } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Scopes each conversation type needs
+const DM_SCOPES = {
+  im: ['im:read', 'im:history'],
+  mpim: ['mpim:read', 'mpim:history']
+};
+
+// How long the resolved DM list is reused before asking Slack again
+const DM_CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cached = null;
+
+/**
+ * Conversation type of a DM or group DM ('im' / 'mpim'), null for channels
+ *
+ * @param {Object} conversation - Slack conversation object
+ * @returns {string|null} Type
+ */
+function getDmType(conversation) {
+  if (conversation.is_im) {
+    return 'im';
+  }
+  if (conversation.is_mpim) {
+    return 'mpim';
+  }
+  return null;
+}
+
+/**
+ * Scopes from `required` the token lacks
+ *
+ * @param {Array<string>|null} granted - Token scopes, null if Slack did not report them
+ * @param {Array<string>} required - Needed scopes
+ * @returns {Array<string>} Missing scopes (none when the grant is unknown)
+ */
+function missingFrom(granted, required) {
+  return granted ? required.filter(scope => !granted.includes(scope)) : [];
+}
+
+/**
+ * Resolve the DMs and group DMs the server may read
+ *
+ * @param {SlackClient} slack - Slack client
+ * @returns {Promise<Object>} { enabled, conversations, missingScopes } where
+ *   conversations are directory-cache conversation objects
+ */
+async function resolveDmAccess(slack) {
+  const config = getDmConfig();
+  if (!config) {
+    return { enabled: false, conversations: [], missingScopes: [] };
+  }
+
+  const granted = await slack.getGrantedScopes();
+  const missingScopes = [];
+  const readable = {};
+  for (const [type, scopes] of Object.entries(DM_SCOPES)) {
+    const missing = missingFrom(granted, scopes);
+    readable[type] = missing.length === 0;
+    missingScopes.push(...missing);
+  }
+
+  let candidates = [];
+  if (config.all) {
+    const types = Object.keys(readable).filter(type => readable[type]);
+    candidates = types.length > 0 ? await slack.listDmConversations(types) : [];
+  } else {
+    for (const id of config.ids) {
+      try {
+        const conversation = await slack.getChannelInfo(id);
+        if (!getDmType(conversation)) {
+          logger.warn(`Ignoring ${id} in SLACK_MONITOR_DMS: not a DM or group DM`);
+          continue;
+        }
+        candidates.push(conversation);
+      } catch (error) {
+        logger.warn(`Ignoring ${id} in SLACK_MONITOR_DMS:`, error.message);
+      }
+    }
+  }
+
+  const conversations = candidates.filter(conversation => readable[getDmType(conversation)]);
+  if (missingScopes.length > 0) {
+    logger.error(`DM access is missing Slack scopes: ${missingScopes.join(', ')}`);
+  }
+
+  return { enabled: true, conversations, missingScopes };
+}
+
+/**
+ * Get the DMs and group DMs the server may read (cached per instance)
+ *
+ * Failures are logged and treated as no DM access, so channel tools keep
+ * working.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @returns {Promise<Object>} { enabled, conversations, missingScopes }
+ */
+async function getDmAccess(slack) {
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.access;
+  }
+
+  let access;
+  try {
+    access = await resolveDmAccess(slack);
+  } catch (error) {
+    logger.error('Could not resolve DM access:', error);
+    access = { enabled: !!getDmConfig(), conversations: [], missingScopes: [], error: error.message };
+  }
+
+  cached = { access, expiresAt: Date.now() + DM_CACHE_TTL_MS };
+  return access;
+}
+
+module.exports = {
+  getDmAccess,
+  getDmType
+};
@@ -0,0 +1,624 @@
+/**
+ * Slack Event Buffer
+ *
+ * Keeps the messages /api/slack-events receives for monitored conversations,
+ * so reads that fall inside what the buffer has seen are answered without
+ * calling Slack. Messages are stored the way conversations.history returns
+ * them: thread parents carry reply_count, latest_reply and reply_users,
+ * edits replace the stored copy, deletions remove it and reactions are
+ * counted on the message.
+ *
+ * A buffer only knows a channel from the first event it received for it,
+ * so each channel records `since`: the timestamp from which its buffered
+ * history is complete. A read is served from the buffer only when its
+ * window starts at or after `since` (and inside EVENT_BUFFER_HOURS);
+ * anything older goes to Slack as before. `since` moves forward when old
+ * messages are dropped, and for every channel at once when Slack reports
+ * it dropped events (app_rate_limited).
+ *
+ * Storage adapters implement:
+ *
+ *   list(channelId) -> Promise<Array<message>>
+ *   get(channelId, ts) -> Promise<message|undefined>
+ *   put(channelId, [message]) -> Promise<void>
+ *   remove(channelId, [ts]) -> Promise<void>
+ *   getSince(channelId) -> Promise<string|null>
+ *   setSince(channelId, ts|null, onlyIfMissing) -> Promise<void>
+ *
+ * - MemoryEventAdapter: this warm instance
+ * - FileEventAdapter: every invocation sharing a filesystem
+ * - KvEventAdapter: every instance, through a Redis-protocol key-value store
+ *
+ * Concurrent events updating the same message (two reactions at once) can
+ * race on the file and kv adapters; the later write wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getEventsConfig } = require('../config/constants');
+const { compareTs } = require('./history-pager');
+const { getRedisClient } = require('./redis-client');
+const logger = require('../utils/logger');
+
+// Prefix for keys in the shared key-value store
+const KV_PREFIX = 'poke-slack:events:';
+
+// Cursors handed out for buffered history pages, "buffer:<ts of last message>"
+const BUFFER_CURSOR_PREFIX = 'buffer:';
+
+// `since` entry that applies to every channel (set by resetCoverage)
+const ALL_CHANNELS = '*';
+
+// Slack rate limits event delivery per minute; after app_rate_limited,
+// events may be missing until the end of that minute
+const DROPPED_EVENTS_WINDOW_S = 60;
+
+// Old messages are dropped at most this often per channel and instance
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Event fields that are not part of a conversations.history message
+const EVENT_ONLY_FIELDS = ['channel', 'channel_type', 'event_ts', 'hidden'];
+
+// Subtypes that describe a change to another message rather than a new one
+const CHANGE_SUBTYPES = ['message_changed', 'message_replied'];
+
+/**
+ * In-memory adapter (per warm instance)
+ */
+class MemoryEventAdapter {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  channel(channelId) {
+    if (!this.channels.has(channelId)) {
+      this.channels.set(channelId, { since: null, messages: new Map() });
+    }
+    return this.channels.get(channelId);
+  }
+
+  async list(channelId) {
+    return [...this.channel(channelId).messages.values()];
+  }
+
+  async get(channelId, ts) {
+    return this.channel(channelId).messages.get(ts);
+  }
+
+  async put(channelId, messages) {
+    const { messages: stored } = this.channel(channelId);
+    for (const message of messages) {
+      stored.set(message.ts, message);
+    }
+  }
+
+  async remove(channelId, tsList) {
+    const { messages: stored } = this.channel(channelId);
+    for (const ts of tsList) {
+      stored.delete(ts);
+    }
+  }
+
+  async getSince(channelId) {
+    return this.channel(channelId).since;
+  }
+
+  async setSince(channelId, ts, onlyIfMissing = false) {
+    const channel = this.channel(channelId);
+    if (!onlyIfMissing || !channel.since) {
+      channel.since = ts;
+    }
+  }
+}
+
+/**
+ * JSON file adapter
+ *
+ * The file is re-read on every call so the events endpoint and the MCP
+ * endpoint see each other's writes, and rewritten atomically (temporary
+ * file and rename).
+ */
+class FileEventAdapter {
+  /**
+   * @param {string} filePath - Buffer file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).channels || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Event buffer file ${this.filePath} is unreadable: ${error.message}`);
+    }
+  }
+
+  write(channels) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ channels }));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  update(channelId, change) {
+    const channels = this.read();
+    channels[channelId] = channels[channelId] || { since: null, messages: {} };
+    change(channels[channelId]);
+    this.write(channels);
+  }
+
+  async list(channelId) {
+    return Object.values(this.read()[channelId]?.messages || {});
+  }
+
+  async get(channelId, ts) {
+    return this.read()[channelId]?.messages[ts];
+  }
+
+  async put(channelId, messages) {
+    this.update(channelId, channel => {
+      for (const message of messages) {
+        channel.messages[message.ts] = message;
+      }
+    });
+  }
+
+  async remove(channelId, tsList) {
+    this.update(channelId, channel => {
+      for (const ts of tsList) {
+        delete channel.messages[ts];
+      }
+    });
+  }
+
+  async getSince(channelId) {
+    return this.read()[channelId]?.since || null;
+  }
+
+  async setSince(channelId, ts, onlyIfMissing = false) {
+    this.update(channelId, channel => {
+      if (!onlyIfMissing || !channel.since) {
+        channel.since = ts;
+      }
+    });
+  }
+}
+
+/**
+ * Redis-protocol key-value adapter (shared by all instances)
+ *
+ * Each channel is a hash of ts -> message JSON, with `since` in its own key.
+ */
+class KvEventAdapter {
+  /**
+   * @param {RedisClient} redis - Client from lib/redis-client
+   */
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  async list(channelId) {
+    const flat = await this.redis.command('HGETALL', `${KV_PREFIX}messages:${channelId}`);
+    const messages = [];
+    for (let i = 1; i < flat.length; i += 2) {
+      messages.push(JSON.parse(flat[i]));
+    }
+    return messages;
+  }
+
+  async get(channelId, ts) {
+    const value = await this.redis.command('HGET', `${KV_PREFIX}messages:${channelId}`, ts);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  async put(channelId, messages) {
+    if (messages.length > 0) {
+      await this.redis.command('HSET', `${KV_PREFIX}messages:${channelId}`,
+        ...messages.flatMap(message => [message.ts, JSON.stringify(message)]));
+    }
+  }
+
+  async remove(channelId, tsList) {
+    if (tsList.length > 0) {
+      await this.redis.command('HDEL', `${KV_PREFIX}messages:${channelId}`, ...tsList);
+    }
+  }
+
+  async getSince(channelId) {
+    return this.redis.command('GET', `${KV_PREFIX}since:${channelId}`);
+  }
+
+  async setSince(channelId, ts, onlyIfMissing = false) {
+    const key = `${KV_PREFIX}since:${channelId}`;
+    if (ts === null) {
+      await this.redis.command('DEL', key);
+    } else {
+      await this.redis.command('SET', key, ts, ...(onlyIfMissing ? ['NX'] : []));
+    }
+  }
+}
+
+/**
+ * Current time as a Slack timestamp
+ */
+function nowTs() {
+  return (Date.now() / 1000).toFixed(6);
+}
+
+/**
+ * Check whether a stored message is a thread reply
+ */
+function isReply(message) {
+  return !!message.thread_ts && message.thread_ts !== message.ts;
+}
+
+/**
+ * Copy an event's message without the event envelope fields
+ *
+ * @param {Object} message - Message from a message or app_mention event
+ * @returns {Object} Message shaped like conversations.history returns it
+ */
+function toStoredMessage(message) {
+  const stored = { ...message, type: 'message' };
+  for (const field of EVENT_ONLY_FIELDS) {
+    delete stored[field];
+  }
+  return stored;
+}
+
+/**
+ * Buffer of Slack events for monitored conversations
+ */
+class EventBuffer {
+  /**
+   * @param {Object} adapter - Storage adapter (see module comment)
+   * @param {Object} config - Result of getEventsConfig()
+   */
+  constructor(adapter, config) {
+    this.adapter = adapter;
+    this.config = config;
+    this.prunedAt = new Map();
+    this.stats = {
+      backend: config.buffer,
+      ingested: 0,
+      served: 0,
+      fallbacks: 0
+    };
+  }
+
+  /**
+   * Store one event
+   *
+   * Handles message events (new messages, replies, edits, deletions),
+   * reaction_added / reaction_removed and app_mention. Replaying an event
+   * (Slack retries) leaves the buffer as it was.
+   *
+   * @param {Object} event - The `event` of an event_callback
+   * @returns {Promise<boolean>} True if the event changed the buffer
+   */
+  async ingest(event) {
+    const channelId = event.type.startsWith('reaction_') ? event.item?.channel : event.channel;
+    if (!channelId) {
+      return false;
+    }
+
+    // The buffer is complete for this channel from its first event on
+    if (!(await this.adapter.getSince(channelId))) {
+      await this.adapter.setSince(channelId, nowTs(), true);
+    }
+
+    let changed;
+    switch (event.type) {
+      case 'message':
+        changed = await this.ingestMessage(channelId, event);
+        break;
+      case 'app_mention':
+        // Usually also delivered as a message event; store it once
+        changed = !(await this.adapter.get(channelId, event.ts)) &&
+          await this.addMessage(channelId, toStoredMessage(event));
+        break;
+      case 'reaction_added':
+      case 'reaction_removed':
+        changed = await this.ingestReaction(channelId, event);
+        break;
+      default:
+        changed = false;
+    }
+
+    if (changed) {
+      this.stats.ingested++;
+    }
+    await this.prune(channelId);
+    return changed;
+  }
+
+  /**
+   * Apply a message event: new message or reply, edit, or deletion
+   */
+  async ingestMessage(channelId, event) {
+    if (event.subtype === 'message_deleted') {
+      const existing = await this.adapter.get(channelId, event.deleted_ts);
+      if (!existing) {
+        return false;
+      }
+      await this.adapter.remove(channelId, [event.deleted_ts]);
+      if (isReply(existing)) {
+        await this.updateParent(channelId, existing.thread_ts, parent => {
+          parent.reply_count = Math.max(0, (parent.reply_count || 0) - 1);
+        });
+      }
+      return true;
+    }
+
+    if (CHANGE_SUBTYPES.includes(event.subtype)) {
+      if (!event.message?.ts) {
+        return false;
+      }
+      // Keep what the buffer counted itself (replies, reactions) unless the
+      // new copy carries them
+      const existing = await this.adapter.get(channelId, event.message.ts) || {};
+      const { reply_count, latest_reply, reply_users, reply_users_count, reactions } = existing;
+      await this.adapter.put(channelId, [{
+        ...(reply_count !== undefined && { reply_count, latest_reply, reply_users, reply_users_count }),
+        ...(reactions && { reactions }),
+        ...toStoredMessage(event.message)
+      }]);
+      return true;
+    }
+
+    if (!event.ts || await this.adapter.get(channelId, event.ts)) {
+      return false;
+    }
+    return this.addMessage(channelId, toStoredMessage(event));
+  }
+
+  /**
+   * Store a new message; a reply also updates its parent's thread fields
+   */
+  async addMessage(channelId, message) {
+    await this.adapter.put(channelId, [message]);
+
+    if (isReply(message)) {
+      await this.updateParent(channelId, message.thread_ts, parent => {
+        const users = new Set(parent.reply_users || []);
+        if (message.user) {
+          users.add(message.user);
+        }
+        parent.thread_ts = parent.ts;
+        parent.reply_count = (parent.reply_count || 0) + 1;
+        parent.reply_users = [...users];
+        parent.reply_users_count = users.size;
+        if (!parent.latest_reply || compareTs(message.ts, parent.latest_reply) > 0) {
+          parent.latest_reply = message.ts;
+        }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Change a buffered thread parent, if the buffer has it
+   */
+  async updateParent(channelId, threadTs, change) {
+    const parent = await this.adapter.get(channelId, threadTs);
+    if (parent) {
+      change(parent);
+      await this.adapter.put(channelId, [parent]);
+    }
+  }
+
+  /**
+   * Count a reaction on a buffered message (by user, so replays are harmless)
+   */
+  async ingestReaction(channelId, event) {
+    if (event.item?.type !== 'message' || !event.reaction || !event.user) {
+      return false;
+    }
+    const message = await this.adapter.get(channelId, event.item.ts);
+    if (!message) {
+      return false;
+    }
+
+    const reactions = message.reactions || [];
+    let reaction = reactions.find(r => r.name === event.reaction);
+    if (!reaction) {
+      reaction = { name: event.reaction, users: [], count: 0 };
+      reactions.push(reaction);
+    }
+
+    const users = new Set(reaction.users || []);
+    if (event.type === 'reaction_added') {
+      users.add(event.user);
+    } else {
+      users.delete(event.user);
+    }
+    reaction.users = [...users];
+    reaction.count = users.size;
+
+    const remaining = reactions.filter(r => r.count > 0);
+    if (remaining.length > 0) {
+      message.reactions = remaining;
+    } else {
+      delete message.reactions;
+    }
+    await this.adapter.put(channelId, [message]);
+    return true;
+  }
+
+  /**
+   * Drop messages past EVENT_BUFFER_HOURS and beyond EVENT_BUFFER_MAX_MESSAGES
+   * (oldest first), moving `since` past them
+   */
+  async prune(channelId) {
+    const last = this.prunedAt.get(channelId) || 0;
+    if (Date.now() - last < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.prunedAt.set(channelId, Date.now());
+
+    const cutoff = ((Date.now() - this.config.retentionMs) / 1000).toFixed(6);
+    const messages = (await this.adapter.list(channelId)).sort((a, b) => compareTs(b.ts, a.ts));
+    const dropped = messages.filter((message, index) =>
+      index >= this.config.maxMessages || compareTs(message.ts, cutoff) < 0
+    );
+    if (dropped.length === 0) {
+      return;
+    }
+
+    await this.adapter.remove(channelId, dropped.map(message => message.ts));
+    const since = await this.adapter.getSince(channelId);
+    const newestDropped = dropped[0].ts;
+    if (!since || compareTs(newestDropped, since) > 0) {
+      await this.adapter.setSince(channelId, newestDropped);
+    }
+    logger.debug(`Dropped ${dropped.length} old buffered message(s) in ${channelId}`);
+  }
+
+  /**
+   * Mark every channel's buffered history as incomplete up to the end of
+   * the current rate limit minute, after Slack dropped events
+   */
+  async resetCoverage() {
+    const until = (Date.now() / 1000 + DROPPED_EVENTS_WINDOW_S).toFixed(6);
+    await this.adapter.setSince(ALL_CHANNELS, until);
+  }
+
+  /**
+   * Check whether buffered history is complete after `oldest`
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string} oldest - Window start (Slack timestamp)
+   * @returns {Promise<boolean>} True if the buffer can answer
+   */
+  async covers(channelId, oldest) {
+    const since = await this.adapter.getSince(channelId);
+    if (!since || !oldest) {
+      return false;
+    }
+    const allSince = await this.adapter.getSince(ALL_CHANNELS);
+    const cutoff = ((Date.now() - this.config.retentionMs) / 1000).toFixed(6);
+    return compareTs(oldest, since) >= 0 && compareTs(oldest, cutoff) >= 0 &&
+      (!allSince || compareTs(oldest, allSince) >= 0);
+  }
+
+  /**
+   * Answer a conversations.history request from the buffer
+   *
+   * Takes the same arguments and returns the same shape as Slack, newest
+   * first. Thread replies are left out unless also sent to the channel.
+   * Pages continue with "buffer:" cursors.
+   *
+   * @param {Object} params - { channel, oldest, latest?, limit?, cursor? }
+   * @returns {Promise<Object|null>} { ok, messages, has_more, response_metadata }, or null
+   *   when the buffer does not cover the window
+   */
+  async getHistory({ channel, oldest, latest, limit = 100, cursor }) {
+    if (cursor && !cursor.startsWith(BUFFER_CURSOR_PREFIX)) {
+      return null;
+    }
+    if (!(await this.covers(channel, oldest))) {
+      this.stats.fallbacks++;
+      return null;
+    }
+
+    const before = cursor ? cursor.slice(BUFFER_CURSOR_PREFIX.length) : latest;
+    const messages = (await this.adapter.list(channel))
+      .filter(message => !isReply(message) || message.subtype === 'thread_broadcast')
+      .filter(message => compareTs(message.ts, oldest) > 0 && (!before || compareTs(message.ts, before) < 0))
+      .sort((a, b) => compareTs(b.ts, a.ts));
+
+    const page = messages.slice(0, limit);
+    const hasMore = messages.length > limit;
+    this.stats.served++;
+    logger.debug(`Served ${page.length} message(s) in ${channel} from the event buffer`);
+
+    return {
+      ok: true,
+      messages: page,
+      has_more: hasMore,
+      response_metadata: { next_cursor: hasMore ? BUFFER_CURSOR_PREFIX + page[page.length - 1].ts : '' }
+    };
+  }
+
+  /**
+   * Answer a thread read from the buffer, parent first
+   *
+   * Only threads whose parent arrived inside the buffered window are
+   * answered, and only if every reply the parent counts is buffered.
+   *
+   * @param {string} channelId - Channel ID
+   * @param {string} threadTs - Parent timestamp
+   * @param {Object} [options]
+   * @param {string} [options.oldest] - Only replies after this timestamp (the parent is kept)
+   * @returns {Promise<Array|null>} Messages oldest first, or null when not buffered
+   */
+  async getThread(channelId, threadTs, { oldest } = {}) {
+    const parent = await this.adapter.get(channelId, threadTs);
+    if (!parent || !(await this.covers(channelId, threadTs))) {
+      this.stats.fallbacks++;
+      return null;
+    }
+
+    const replies = (await this.adapter.list(channelId))
+      .filter(message => message.thread_ts === threadTs && message.ts !== threadTs);
+    if (replies.length < (parent.reply_count || 0)) {
+      this.stats.fallbacks++;
+      return null;
+    }
+
+    this.stats.served++;
+    return [
+      parent,
+      ...replies
+        .filter(reply => !oldest || compareTs(reply.ts, oldest) > 0)
+        .sort((a, b) => compareTs(a.ts, b.ts))
+    ];
+  }
+
+  /**
+   * Counters for this instance
+   *
+   * @returns {Object} { backend, ingested, served, fallbacks }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+let eventBuffer;
+
+/**
+ * Get the shared event buffer (created once per instance)
+ *
+ * @returns {EventBuffer|null} Buffer using the configured backend, or null
+ *   when Slack events are not configured (SLACK_SIGNING_SECRET unset)
+ */
+function getEventBuffer() {
+  if (eventBuffer === undefined) {
+    const config = getEventsConfig();
+    if (!config.enabled) {
+      eventBuffer = null;
+    } else {
+      const adapter = config.buffer === 'file'
+        ? new FileEventAdapter(config.filePath)
+        : config.buffer === 'kv'
+          ? new KvEventAdapter(getRedisClient(config.redisUrl))
+          : new MemoryEventAdapter();
+      eventBuffer = new EventBuffer(adapter, config);
+    }
+  }
+  return eventBuffer;
+}
+
+module.exports = {
+  BUFFER_CURSOR_PREFIX,
+  EventBuffer,
+  MemoryEventAdapter,
+  FileEventAdapter,
+  KvEventAdapter,
+  getEventBuffer
+};
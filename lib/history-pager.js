@@ -0,0 +1,350 @@
+/**
+ * Merged Channel History Pager
+ *
+ * This module walks the history of several Slack channels as one timeline,
+ * newest message first, and hands out opaque cursors so a client can resume
+ * exactly where the previous page stopped.
+ *
+ * Slack paginates conversations.history per channel. To merge those streams
+ * without repeats or gaps, the cursor carries two things:
+ * - The Slack cursor of the page each channel is currently being read from
+ * - The global merge position: the (ts, channel) of the last message returned
+ *
+ * On the next call each channel's current page is fetched again and anything
+ * at or before the merge position is skipped. The lookback boundary (`oldest`)
+ * is frozen into the cursor, so walking a long window does not drift as time
+ * passes between pages.
+ *
+ * A channel the request deadline kept from loading keeps its own position
+ * (the one it was left at), since the merge moved past messages it may also
+ * have. Its messages then come on a later page, possibly newer than the
+ * previous page's last message, but none are skipped.
+ *
+ * Cursors are signed with a key derived from the session secret, so a client
+ * cannot hand-craft one to move that boundary past what its tool allows.
+ */
+
+const crypto = require('crypto');
+const { getSessionConfig } = require('../config/constants');
+
+const { isDeadlineError } = require('./slack-scheduler');
+const logger = require('../utils/logger');
+
+/**
+ * Cursor format version, bumped if the encoded shape ever changes
+ */
+const CURSOR_VERSION = 1;
+
+/**
+ * Number of messages requested from Slack per conversations.history call
+ * (Slack recommends no more than 200)
+ */
+const SLACK_PAGE_SIZE = 200;
+
+/**
+ * Compare two Slack timestamps
+ *
+ * Slack timestamps ("1234567890.123456") carry more digits than a double can
+ * represent exactly, so they are compared as integer and fraction parts.
+ *
+ * @param {string} a - First timestamp
+ * @param {string} b - Second timestamp
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+function compareTs(a, b) {
+  const [aSec, aFrac = ''] = String(a).split('.');
+  const [bSec, bFrac = ''] = String(b).split('.');
+
+  const secDiff = parseInt(aSec, 10) - parseInt(bSec, 10);
+  if (secDiff !== 0) {
+    return secDiff;
+  }
+
+  const aPadded = aFrac.padEnd(6, '0');
+  const bPadded = bFrac.padEnd(6, '0');
+  return aPadded < bPadded ? -1 : aPadded > bPadded ? 1 : 0;
+}
+
+/**
+ * Compare two merge positions in timeline order (newest first)
+ *
+ * Ties on ts (possible across channels) are broken by channel ID so the
+ * order is total and stable between calls.
+ *
+ * @param {Object} a - { ts, channel }
+ * @param {Object} b - { ts, channel }
+ * @returns {number} Negative if a comes first in the timeline
+ */
+function compareTimelineOrder(a, b) {
+  const tsOrder = compareTs(b.ts, a.ts);
+  if (tsOrder !== 0) {
+    return tsOrder;
+  }
+  return a.channel < b.channel ? -1 : a.channel > b.channel ? 1 : 0;
+}
+
+/**
+ * Sign an encoded cursor payload
+ *
+ * The "history-cursor" label keeps a cursor signature from ever validating
+ * as a session signature, and the other way round.
+ *
+ * @param {string} encodedPayload - base64url payload
+ * @returns {string} base64url HMAC signature
+ */
+function signCursor(encodedPayload) {
+  return crypto.createHmac('sha256', getSessionConfig().secret)
+    .update(`history-cursor:${encodedPayload}`)
+    .digest('base64url');
+}
+
+/**
+ * Check a cursor's signature in constant time
+ *
+ * @param {string} encodedPayload - base64url payload
+ * @param {string} signature - Signature from the cursor
+ * @returns {boolean} True if the server issued this payload
+ */
+function hasValidSignature(encodedPayload, signature) {
+  const expected = Buffer.from(signCursor(encodedPayload));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Encode pager state into an opaque, signed cursor string
+ *
+ * @param {Object} state - Pager state
+ * @returns {string} URL-safe cursor, "<payload>.<signature>"
+ */
+function encodeCursor(state) {
+  const payload = {
+    v: CURSOR_VERSION,
+    oldest: state.oldest,
+    latest: state.latest || null,
+    position: state.position,
+    channels: state.channels
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+  return `${encodedPayload}.${signCursor(encodedPayload)}`;
+}
+
+/**
+ * Decode an opaque cursor string back into pager state
+ *
+ * @param {string} cursor - Cursor previously returned as next_cursor
+ * @returns {Object} Pager state
+ * @throws {Error} If the cursor is malformed or its signature does not match
+ *   (flagged as a validation error)
+ */
+function decodeCursor(cursor) {
+  const [encodedPayload, signature, extra] = String(cursor).split('.');
+
+  let payload = null;
+  if (encodedPayload && signature && extra === undefined && hasValidSignature(encodedPayload, signature)) {
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      payload = null;
+    }
+  }
+
+  const isPosition = position => position === null ||
+    (typeof position?.ts === 'string' && typeof position?.channel === 'string');
+
+  const valid = payload &&
+    payload.v === CURSOR_VERSION &&
+    typeof payload.oldest === 'string' &&
+    (payload.latest == null || typeof payload.latest === 'string') &&
+    payload.channels && typeof payload.channels === 'object' &&
+    Object.values(payload.channels).every(channel => channel?.position === undefined || isPosition(channel.position)) &&
+    isPosition(payload.position);
+
+  if (!valid) {
+    const error = new Error('Invalid cursor');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  return {
+    oldest: payload.oldest,
+    latest: payload.latest || null,
+    position: payload.position,
+    channels: payload.channels
+  };
+}
+
+/**
+ * Build the initial pager state for a fresh (cursor-less) request
+ *
+ * @param {Array<string>} channelIds - Channels to merge
+ * @param {string} oldest - Lookback boundary timestamp
+ * @param {string|null} [latest] - Optional upper boundary timestamp (exclusive)
+ * @returns {Object} Pager state
+ */
+function createInitialState(channelIds, oldest, latest = null) {
+  const channels = {};
+  for (const channelId of channelIds) {
+    channels[channelId] = { cursor: null, done: false };
+  }
+  return { oldest, latest, position: null, channels };
+}
+
+/**
+ * Fetch one page of the merged timeline
+ *
+ * The channels' first pages are fetched in parallel (the Slack client's
+ * scheduler bounds how many at once). Channels that fail to load are logged
+ * and dropped from the walk, matching the skip-and-continue behaviour of the
+ * other multi-channel tools. Channels the request deadline kept from loading
+ * are listed in `unread` and stay in `nextState` where they were, with their
+ * own position, so a later page reads them without a gap.
+ *
+ * If the deadline cuts off a channel's next page mid-merge, the page ends
+ * there. Everything returned is still in order, and the cursor resumes at
+ * the page that was not read.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Object} state - Pager state (from createInitialState or decodeCursor)
+ * @param {number} limit - Maximum messages to return
+ * @param {Object} [options]
+ * @param {Function} [options.filter] - Predicate (message, channelId); messages that fail it
+ *   are stepped over but not returned or counted towards the limit
+ * @param {number} [options.maxScanned] - Stop after stepping over this many messages
+ * @param {Function} [options.onProgress] - Called as (channelsLoaded, channelsTotal) while
+ *   the first page of each channel is fetched
+ * @returns {Promise<Object>} { messages: Array<{ channelId, message }>, scanned: number,
+ *   nextState: Object|null, unread: Array<string> }
+ */
+async function fetchMergedPage(slack, state, limit, options = {}) {
+  const { filter = null, maxScanned = Infinity, onProgress = () => {} } = options;
+  const position = state.position;
+  const streams = {};
+
+  /**
+   * Load the page at stream.cursor, dropping anything at or before
+   * stream.after (already returned)
+   */
+  async function loadPage(channelId, stream) {
+    const result = await slack.getChannelHistory({
+      channel: channelId,
+      oldest: state.oldest,
+      ...(state.latest && { latest: state.latest }),
+      limit: SLACK_PAGE_SIZE,
+      ...(stream.cursor && { cursor: stream.cursor })
+    });
+
+    const messages = (result.messages || []).filter(msg =>
+      !stream.after || compareTimelineOrder({ ts: msg.ts, channel: channelId }, stream.after) > 0
+    );
+
+    stream.buffer = messages;
+    stream.nextCursor = result.has_more ? result.response_metadata?.next_cursor || null : null;
+  }
+
+  /**
+   * Ensure a stream has a buffered message, following Slack cursors as needed
+   */
+  async function fill(channelId) {
+    const stream = streams[channelId];
+    while (stream.buffer.length === 0 && stream.nextCursor) {
+      stream.cursor = stream.nextCursor;
+      await loadPage(channelId, stream);
+    }
+  }
+
+  const pending = Object.entries(state.channels).filter(([, channelState]) => !channelState.done);
+  const unread = [];
+  const channels = {};
+  let loaded = 0;
+
+  await Promise.all(pending.map(async ([channelId, channelState]) => {
+    // A channel left behind by an earlier deadline resumes from its own position
+    const after = channelState.position !== undefined ? channelState.position : position;
+    const stream = { cursor: channelState.cursor, after, buffer: [], nextCursor: null };
+    try {
+      await loadPage(channelId, stream);
+      streams[channelId] = stream;
+      await fill(channelId);
+    } catch (error) {
+      if (isDeadlineError(error)) {
+        unread.push(channelId);
+        channels[channelId] = { cursor: channelState.cursor, done: false, position: after };
+      } else {
+        logger.error(`Error fetching messages from ${channelId}:`, error);
+      }
+      delete streams[channelId];
+    }
+    onProgress(++loaded, pending.length);
+  }));
+
+  const page = [];
+  let scanned = 0;
+  let lastPosition = position;
+  let interrupted = false;
+
+  while (page.length < limit && scanned < maxScanned && !interrupted) {
+    // Pick the newest buffered message across all channels
+    let pick = null;
+    for (const [channelId, stream] of Object.entries(streams)) {
+      if (stream.buffer.length === 0) {
+        continue;
+      }
+      const head = { ts: stream.buffer[0].ts, channel: channelId };
+      if (!pick || compareTimelineOrder(head, pick) < 0) {
+        pick = head;
+      }
+    }
+
+    if (!pick) {
+      break;
+    }
+
+    const stream = streams[pick.channel];
+    const message = stream.buffer.shift();
+    scanned++;
+    lastPosition = pick;
+
+    if (!filter || filter(message, pick.channel)) {
+      page.push({ channelId: pick.channel, message });
+    }
+
+    try {
+      await fill(pick.channel);
+    } catch (error) {
+      if (isDeadlineError(error)) {
+        // The unread page may hold the next message; stop, and resume there
+        interrupted = true;
+      } else {
+        logger.error(`Error fetching messages from ${pick.channel}:`, error);
+        delete streams[pick.channel];
+      }
+    }
+  }
+
+  // Work out where each channel stands for the next page (unread channels
+  // are already in). Every loaded stream has been merged up to lastPosition.
+  let hasMore = unread.length > 0;
+  for (const [channelId, stream] of Object.entries(streams)) {
+    const done = stream.buffer.length === 0 && !stream.nextCursor;
+    channels[channelId] = { cursor: stream.cursor || null, done };
+    hasMore = hasMore || !done;
+  }
+
+  return {
+    messages: page,
+    scanned,
+    nextState: hasMore
+      ? { oldest: state.oldest, latest: state.latest || null, position: lastPosition, channels }
+      : null,
+    unread: unread.sort()
+  };
+}
+
+module.exports = {
+  compareTs,
+  encodeCursor,
+  decodeCursor,
+  createInitialState,
+  fetchMergedPage
+};
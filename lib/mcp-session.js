@@ -0,0 +1,142 @@
+/**
+ * MCP Session Management (Streamable HTTP transport)
+ *
+ * The Streamable HTTP transport lets a server issue an `Mcp-Session-Id` on
+ * initialize and requires the client to echo it on every later request.
+ *
+ * Serverless instances share no memory, so session IDs are self-contained:
+ * a signed payload holding the session's random ID, issue time, negotiated
+ * protocol version and a fingerprint of the credential that created it. Any
+ * instance can validate one without a shared store.
+ *
+ * Terminated sessions (DELETE) are remembered in memory until they would
+ * have expired anyway. That list is per instance, so a terminated session
+ * may still validate on a different warm instance until its TTL runs out.
+ */
+
+const crypto = require('crypto');
+const { getSessionConfig } = require('../config/constants');
+
+// Session IDs terminated on this instance: id -> expiry time (ms)
+const terminatedSessions = new Map();
+
+/**
+ * Fingerprint a credential so a session can be bound to it without
+ * embedding the credential itself
+ *
+ * @param {string} credential - Bearer token (or other client identity)
+ * @returns {string} Short hex fingerprint
+ */
+function fingerprint(credential) {
+  return crypto.createHash('sha256').update(String(credential)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sign a session payload
+ *
+ * @param {string} encodedPayload - base64url payload
+ * @returns {string} base64url HMAC signature
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSessionConfig().secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a new session ID
+ *
+ * @param {Object} options
+ * @param {string} options.credential - Credential the session is bound to
+ * @param {string} options.protocolVersion - Negotiated MCP protocol version
+ * @returns {string} Session ID (visible ASCII only, as the spec requires)
+ */
+function createSession({ credential, protocolVersion }) {
+  const payload = {
+    sid: crypto.randomBytes(16).toString('hex'),
+    iat: Date.now(),
+    pv: protocolVersion,
+    cred: fingerprint(credential)
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Validate a session ID presented by a client
+ *
+ * @param {string} sessionId - Value of the Mcp-Session-Id header
+ * @param {string} credential - Credential used on this request
+ * @returns {Object} { valid: boolean, session?: { id, protocolVersion, issuedAt }, reason?: string }
+ */
+function validateSession(sessionId, credential) {
+  const [encodedPayload, signature, extra] = String(sessionId).split('.');
+
+  if (!encodedPayload || !signature || extra !== undefined) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  // A session belongs to the credential that initialized it
+  if (payload.cred !== fingerprint(credential)) {
+    return { valid: false, reason: 'credential_mismatch' };
+  }
+
+  const now = Date.now();
+  if (now > payload.iat + getSessionConfig().ttlMs) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  pruneTerminated(now);
+  if (terminatedSessions.has(payload.sid)) {
+    return { valid: false, reason: 'terminated' };
+  }
+
+  return {
+    valid: true,
+    session: {
+      id: payload.sid,
+      protocolVersion: payload.pv,
+      issuedAt: payload.iat
+    }
+  };
+}
+
+/**
+ * Terminate a session (client sent DELETE)
+ *
+ * @param {Object} session - Session returned by validateSession
+ */
+function terminateSession(session) {
+  terminatedSessions.set(session.id, session.issuedAt + getSessionConfig().ttlMs);
+}
+
+/**
+ * Drop terminated-session entries that have expired anyway
+ *
+ * @param {number} now - Current time (ms)
+ */
+function pruneTerminated(now) {
+  for (const [id, expiresAt] of terminatedSessions) {
+    if (now > expiresAt) {
+      terminatedSessions.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  createSession,
+  validateSession,
+  terminateSession
+};
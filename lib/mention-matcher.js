@@ -0,0 +1,114 @@
+/**
+ * Mention Matcher for get_mentions
+ *
+ * Decides whether a Slack message is addressed to a user, and why:
+ *
+ * - mention: <@U123> names the user
+ * - usergroup: <!subteam^S123> names a user group they belong to
+ * - keyword: a watched word or name appears (whole words, any case)
+ * - broadcast: <!here>, <!channel> or <!everyone>
+ *
+ * Text, blocks and attachments are all checked (see message-content.js),
+ * since integrations often put the @mention in a block. When a message
+ * matches several ways, the most specific reason is reported, in the order
+ * above. Only direct mentions count in the user's own messages.
+ */
+
+const { flattenMessageContent } = require('./message-content');
+const { decodeEntities } = require('./mrkdwn');
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word, case-insensitive pattern for a keyword, in any script: no
+ * letter, digit or _ on either side
+ *
+ * @param {string} keyword - Word or phrase
+ * @returns {RegExp} Pattern
+ */
+function keywordPattern(keyword) {
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+/**
+ * What people read in flattened content: <...> markup reduced to its label,
+ * entities decoded
+ *
+ * @param {string} content - Flattened message content
+ * @returns {string} Text to match keywords against
+ */
+function readableText(content) {
+  return decodeEntities(content.replace(/<[^<>|\n]+(?:\|([^<>\n]*))?>/g, (match, label) => ` ${label || ''} `));
+}
+
+/**
+ * Build a matcher for one user
+ *
+ * @param {Object} options
+ * @param {string} options.userId - User to find mentions of
+ * @param {Map<string, string>} [options.usergroups] - Their user groups, ID -> handle
+ * @param {Array<string>} [options.keywords] - Words or names to watch for
+ * @param {boolean} [options.broadcasts=false] - Count @here / @channel / @everyone
+ * @returns {Function} (message) => { match_reason, matched } or null
+ *
+ * @example
+ * const match = createMentionMatcher({ userId: 'U1', keywords: ['deploy'] });
+ * match({ user: 'U2', text: 'Deploy is done' });
+ * // Returns: { match_reason: 'keyword', matched: 'deploy' }
+ */
+function createMentionMatcher({ userId, usergroups = new Map(), keywords = [], broadcasts = false }) {
+  const mentionPattern = new RegExp(`<@${escapeRegExp(userId)}(\\|[^>]*)?>`);
+  const usergroupPattern = /<!subteam\^(S[A-Z0-9]+)(\|[^>]*)?>/g;
+  const broadcastPattern = /<!(here|channel|everyone)(\|[^>]*)?>/;
+  const keywordPatterns = keywords.map(keyword => ({ keyword, pattern: keywordPattern(keyword) }));
+
+  return message => {
+    const content = flattenMessageContent(message);
+    if (!content) {
+      return null;
+    }
+
+    if (mentionPattern.test(content)) {
+      return { match_reason: 'mention', matched: `<@${userId}>` };
+    }
+
+    // Everything else is noise in the user's own messages
+    if (message.user === userId) {
+      return null;
+    }
+
+    for (const [, usergroupId] of content.matchAll(usergroupPattern)) {
+      if (usergroups.has(usergroupId)) {
+        return { match_reason: 'usergroup', matched: `@${usergroups.get(usergroupId)}` };
+      }
+    }
+
+    if (keywordPatterns.length > 0) {
+      const text = readableText(content);
+      const hit = keywordPatterns.find(({ pattern }) => pattern.test(text));
+      if (hit) {
+        return { match_reason: 'keyword', matched: hit.keyword };
+      }
+    }
+
+    if (broadcasts) {
+      const broadcast = content.match(broadcastPattern);
+      if (broadcast) {
+        return { match_reason: 'broadcast', matched: `@${broadcast[1]}` };
+      }
+    }
+
+    return null;
+  };
+}
+
+module.exports = {
+  createMentionMatcher,
+  keywordPattern,
+  readableText
+};
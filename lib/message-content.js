@@ -0,0 +1,251 @@
+/**
+ * Message Content Flattener
+ *
+ * Integrations (PagerDuty, GitHub, Jira, ...) put their content in Block Kit
+ * `blocks` or legacy `attachments`, leaving `text` empty or as a short
+ * fallback. This module flattens all three into a single mrkdwn string that
+ * lib/mrkdwn.js can then render:
+ *
+ * - header -> ## Title
+ * - section -> its text, then each field on its own line
+ * - context -> elements joined with " · "
+ * - rich_text -> sections, lists, quotes and code with their styling
+ * - divider -> ---
+ * - attachments -> pretext, author, linked title, text, "*Field:* value", footer
+ *
+ * Everything is converted to mrkdwn (not rendered) here, so it stays
+ * synchronous and can also be used for matching, e.g. by search.
+ */
+
+/**
+ * Escape plain text so the mrkdwn renderer shows it literally
+ *
+ * @param {string} text - Plain text
+ * @returns {string} mrkdwn-safe text
+ */
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Convert a Block Kit text object to mrkdwn
+ *
+ * @param {Object} textObject - { type: 'mrkdwn' | 'plain_text', text }
+ * @returns {string} mrkdwn
+ */
+function textObject(textObject) {
+  if (!textObject || typeof textObject.text !== 'string') {
+    return '';
+  }
+  return textObject.type === 'plain_text' ? escapeText(textObject.text) : textObject.text;
+}
+
+/**
+ * Apply a rich_text style (bold, italic, strike, code) to some mrkdwn
+ */
+function applyStyle(text, style) {
+  if (!style || !text.trim()) {
+    return text;
+  }
+  let styled = text;
+  if (style.code) {
+    styled = `\`${styled}\``;
+  }
+  if (style.strike) {
+    styled = `~${styled}~`;
+  }
+  if (style.italic) {
+    styled = `_${styled}_`;
+  }
+  if (style.bold) {
+    styled = `*${styled}*`;
+  }
+  return styled;
+}
+
+/**
+ * Turn an emoji element's `unicode` ("1f44d" or "1f468-200d-1f4bb") into
+ * its characters
+ *
+ * @param {string} [unicode] - Dash-separated hex code points
+ * @returns {string|null} The emoji, or null if any code point is unusable
+ */
+function emojiCharacters(unicode) {
+  if (typeof unicode !== 'string' || !unicode) {
+    return null;
+  }
+  const codePoints = unicode.split('-').map(code => (/^[0-9a-f]+$/i.test(code) ? parseInt(code, 16) : NaN));
+  if (!codePoints.every(code => Number.isFinite(code) && code <= 0x10ffff)) {
+    return null;
+  }
+  return String.fromCodePoint(...codePoints);
+}
+
+/**
+ * Convert the inline elements of a rich_text section to mrkdwn
+ *
+ * Mentions and links go back to Slack's <...> syntax so the renderer
+ * resolves them the same way as in message text.
+ *
+ * @param {Array<Object>} elements - Inline rich_text elements
+ * @returns {string} mrkdwn
+ */
+function richTextInline(elements = []) {
+  return elements.map(element => {
+    switch (element.type) {
+      case 'text':
+        return applyStyle(escapeText(element.text || ''), element.style);
+      case 'link':
+        return applyStyle(element.text ? `<${element.url}|${escapeText(element.text)}>` : `<${element.url}>`, element.style);
+      case 'user':
+        return `<@${element.user_id}>`;
+      case 'channel':
+        return `<#${element.channel_id}>`;
+      case 'usergroup':
+        return `<!subteam^${element.usergroup_id}>`;
+      case 'broadcast':
+        return `<!${element.range}>`;
+      case 'emoji':
+        return emojiCharacters(element.unicode) || `:${element.name}:`;
+      case 'date':
+        return `<!date^${element.timestamp}^${element.format}|${escapeText(element.fallback || '')}>`;
+      default:
+        return element.text ? escapeText(element.text) : '';
+    }
+  }).join('');
+}
+
+/**
+ * Convert a rich_text block to mrkdwn
+ *
+ * @param {Object} block - rich_text block
+ * @returns {string} mrkdwn
+ */
+function richText(block) {
+  return (block.elements || []).map(element => {
+    switch (element.type) {
+      case 'rich_text_section':
+        return richTextInline(element.elements);
+      case 'rich_text_list': {
+        const indent = '  '.repeat(element.indent || 0);
+        return (element.elements || []).map((item, index) =>
+          `${indent}${element.style === 'ordered' ? `${index + 1}.` : '-'} ${richTextInline(item.elements)}`
+        ).join('\n');
+      }
+      case 'rich_text_quote':
+        return richTextInline(element.elements).split('\n').map(line => `> ${line}`).join('\n');
+      case 'rich_text_preformatted':
+        return `\`\`\`\n${richTextInline(element.elements)}\n\`\`\``;
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Convert Block Kit blocks to mrkdwn
+ *
+ * Interactive-only blocks (actions, inputs) and unknown types are skipped.
+ *
+ * @param {Array<Object>} blocks - Message blocks
+ * @returns {string} mrkdwn, blocks separated by newlines
+ */
+function renderBlocks(blocks = []) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'header':
+        return `## ${textObject(block.text)}`;
+      case 'section':
+        return [
+          textObject(block.text),
+          ...(block.fields || []).map(textObject)
+        ].filter(Boolean).join('\n');
+      case 'context':
+        return (block.elements || [])
+          .map(element => (element.type === 'image' ? escapeText(element.alt_text || '') : textObject(element)))
+          .filter(Boolean)
+          .join(' · ');
+      case 'rich_text':
+        return richText(block);
+      case 'divider':
+        return '---';
+      case 'image':
+        return block.title ? `[image: ${textObject(block.title)}]` : '';
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Convert legacy attachments to mrkdwn
+ *
+ * @param {Array<Object>} attachments - Message attachments
+ * @returns {string} mrkdwn, attachments separated by blank lines
+ */
+function renderAttachments(attachments = []) {
+  return attachments.map(attachment => {
+    // Newer integrations nest Block Kit inside attachments
+    if (attachment.blocks && attachment.blocks.length > 0) {
+      return renderBlocks(attachment.blocks);
+    }
+
+    const lines = [];
+    if (attachment.pretext) {
+      lines.push(attachment.pretext);
+    }
+    if (attachment.author_name) {
+      lines.push(`_${escapeText(attachment.author_name)}_`);
+    }
+    if (attachment.title) {
+      const title = escapeText(attachment.title);
+      lines.push(attachment.title_link ? `*<${attachment.title_link}|${title}>*` : `*${title}*`);
+    }
+    if (attachment.text) {
+      lines.push(attachment.text);
+    }
+    for (const field of attachment.fields || []) {
+      lines.push(field.title ? `*${escapeText(field.title)}:* ${field.value || ''}` : field.value || '');
+    }
+    if (attachment.footer) {
+      lines.push(attachment.footer);
+    }
+
+    // Nothing structured: the fallback is all there is
+    if (lines.length === 0 && attachment.fallback) {
+      lines.push(attachment.fallback);
+    }
+
+    return lines.filter(Boolean).join('\n');
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Flatten a message's text, blocks and attachments into one mrkdwn string
+ *
+ * When blocks carry the content, `text` is only Slack's notification
+ * fallback and is replaced by the blocks. Messages typed by people carry a
+ * rich_text copy of their text; for those the text itself is kept.
+ *
+ * @param {Object} message - Slack message object
+ * @returns {string} mrkdwn
+ */
+function flattenMessageContent(message) {
+  const text = message.text || '';
+  const blocks = message.blocks || [];
+  const onlyRichText = blocks.every(block => block.type === 'rich_text');
+
+  let body = text;
+  if (blocks.length > 0 && !(onlyRichText && text)) {
+    body = renderBlocks(blocks) || text;
+  }
+
+  const attachments = renderAttachments(message.attachments);
+  return [body, attachments].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  renderBlocks,
+  renderAttachments,
+  flattenMessageContent
+};
@@ -0,0 +1,185 @@
+/**
+ * Message Formatting
+ *
+ * Turns raw Slack messages, conversations and users into the shapes every
+ * tool, resource, prompt and export returns:
+ *
+ * - formatMessage: rendered text, sender, channel, thread, reactions, file
+ *   metadata (never private URLs), and the priority score
+ * - formatConversation: channel, DM ("@Jane Doe") or group DM name and type
+ * - formatExcerpt: a short message reference for digests
+ * - formatUserProfile: public profile fields
+ *
+ * Emails are only included when INCLUDE_USER_EMAILS is enabled.
+ */
+
+const { includeUserEmails } = require('../config/constants');
+const { renderMrkdwn } = require('./mrkdwn');
+const { flattenMessageContent } = require('./message-content');
+const { getDmType } = require('./dm-access');
+const { scoreMessage } = require('./priority');
+const logger = require('../utils/logger');
+
+/**
+ * Readable name of a conversation: the channel name, "@Jane Doe" for a DM,
+ * or the members' handles for a group DM
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Object} channel - Conversation from the directory cache
+ * @returns {Promise<string>} Name
+ */
+async function getConversationName(slack, channel) {
+  switch (getDmType(channel)) {
+    case 'im': {
+      try {
+        const user = await slack.getUserInfo(channel.user);
+        return `@${user ? user.real_name || user.name : channel.user}`;
+      } catch (error) {
+        logger.warn(`Failed to fetch user ${channel.user}:`, error.message);
+        return `@${channel.user}`;
+      }
+    }
+    case 'mpim':
+      // Slack names group DMs mpdm-alice--bob--carol-1
+      return (channel.name || channel.id).replace(/^mpdm-/, '').replace(/-\d+$/, '').split('--').join(', ');
+    default:
+      return channel.name;
+  }
+}
+
+/**
+ * Format the channel a message belongs to; DMs and group DMs carry a `type`
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Object} channel - Conversation from the directory cache
+ * @returns {Promise<Object>} { id, name, type? }
+ */
+async function formatConversation(slack, channel) {
+  const type = getDmType(channel);
+  return {
+    id: channel.id,
+    name: await getConversationName(slack, channel),
+    ...(type && { type })
+  };
+}
+
+/**
+ * Shorten a formatted message to what a digest needs
+ *
+ * @param {Object} formatted - Result of formatMessage
+ * @returns {Object} { timestamp, user, text } with text cut to 280 characters
+ */
+function formatExcerpt(formatted) {
+  const { text } = formatted;
+  return {
+    timestamp: formatted.timestamp,
+    user: formatted.user ? formatted.user.name : null,
+    text: text.length > 280 ? `${text.slice(0, 279)}…` : text
+  };
+}
+
+/**
+ * Format a directory user for get_user / find_users
+ *
+ * @param {Object} user - User from the directory cache
+ * @returns {Object} Public profile fields (email only if INCLUDE_USER_EMAILS)
+ */
+function formatUserProfile(user) {
+  const profile = user.profile || {};
+  const formatted = {
+    id: user.id,
+    name: user.real_name || user.name,
+    display_name: profile.display_name || null,
+    handle: user.name,
+    title: profile.title || null,
+    timezone: user.tz || null,
+    status: profile.status_text || profile.status_emoji
+      ? { text: profile.status_text || '', emoji: profile.status_emoji || '' }
+      : null,
+    is_bot: !!user.is_bot,
+    deleted: !!user.deleted
+  };
+
+  // Only include email if explicitly enabled
+  if (includeUserEmails() && profile.email) {
+    formatted.email = profile.email;
+  }
+
+  return formatted;
+}
+
+/**
+ * Format a Slack message with user enrichment
+ * `text` is rendered from mrkdwn (names resolved), including blocks and
+ * attachments from integrations; `raw_text` is Slack's original `text`
+ * `priority` and `signals` come from lib/priority.js; `scoring` can name the
+ * user it is for (default: the rules' user_id) and a get_mentions match_reason
+ * Respects INCLUDE_USER_EMAILS configuration
+ */
+async function formatMessage(slack, message, channel, scoring = {}) {
+  const formatted = {
+    timestamp: message.ts,
+    text: await renderMrkdwn(flattenMessageContent(message), slack),
+    raw_text: message.text || '',
+    type: message.subtype || 'message',
+    channel: await formatConversation(slack, channel)
+  };
+
+  // Add user information
+  if (message.user) {
+    try {
+      const user = await slack.getUserInfo(message.user);
+      if (user) {
+        formatted.user = {
+          id: user.id,
+          name: user.real_name || user.name
+        };
+
+        // Only include email if explicitly enabled
+        if (includeUserEmails() && user.profile?.email) {
+          formatted.user.email = user.profile.email;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to fetch user ${message.user}:`, error.message);
+    }
+  }
+
+  // Add thread information
+  if (message.thread_ts && message.thread_ts !== message.ts) {
+    formatted.is_reply = true;
+    formatted.thread_ts = message.thread_ts;
+  }
+
+  // Add reactions
+  if (message.reactions) {
+    formatted.reactions = message.reactions.map(r => ({
+      name: r.name,
+      count: r.count
+    }));
+  }
+
+  // Add files (metadata only, not private URLs)
+  if (message.files && message.files.length > 0) {
+    formatted.files = message.files.map(f => ({
+      id: f.id,
+      name: f.name,
+      title: f.title,
+      filetype: f.filetype
+      // Removed: url: f.url_private (security risk)
+    }));
+  }
+
+  return Object.assign(formatted, scoreMessage(message, {
+    ...scoring,
+    isDirectMessage: getDmType(channel) === 'im'
+  }));
+}
+
+module.exports = {
+  getConversationName,
+  formatConversation,
+  formatExcerpt,
+  formatUserProfile,
+  formatMessage
+};
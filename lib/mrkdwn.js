@@ -0,0 +1,220 @@
+/**
+ * Slack mrkdwn Renderer
+ *
+ * Turns Slack's wire format into readable markdown for agents:
+ * - <@U123> -> @Jane Doe, <#C123|eng> -> #eng, <!subteam^S123> -> @oncall
+ * - <!here>, <!channel>, <!everyone> -> @here, @channel, @everyone
+ * - <!date^1700000000^{date}|Nov 14> -> Nov 14
+ * - <https://x|label> -> [label](https://x), <mailto:a@b.c|a@b.c> -> a@b.c
+ * - *bold* -> **bold**, ~strike~ -> ~~strike~~ (italics and code are
+ *   already markdown)
+ * - &amp; &lt; &gt; -> & < >
+ *
+ * Code spans and blocks keep their contents apart from links and entities.
+ * Names come from the directory cache; anything that cannot be resolved
+ * falls back to the label Slack sent, or the raw ID.
+ */
+
+const logger = require('../utils/logger');
+
+// Anything Slack wraps in angle brackets: mentions, links, commands
+const REFERENCE_PATTERN = /<([^<>\n]+)>/g;
+
+// ``` blocks and `inline` code, which are left unformatted
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]+`)/;
+
+// Slack only escapes these three, but integrations send the others too
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': ' '
+};
+
+/**
+ * Decode the HTML entities Slack uses in message text
+ *
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Split a reference body into its target and optional label
+ *
+ * @param {string} body - Text between < and >
+ * @returns {Object} { target, label }
+ */
+function splitReference(body) {
+  const pipe = body.indexOf('|');
+  return pipe === -1
+    ? { target: body, label: null }
+    : { target: body.slice(0, pipe), label: body.slice(pipe + 1) || null };
+}
+
+/**
+ * Find the users, channels and usergroups a text refers to
+ *
+ * @param {string} text - Raw mrkdwn
+ * @returns {Object} { users, channels, usergroups } as Sets of IDs
+ */
+function collectReferences(text) {
+  const refs = { users: new Set(), channels: new Set(), usergroups: new Set() };
+
+  for (const [, body] of text.matchAll(REFERENCE_PATTERN)) {
+    const { target } = splitReference(body);
+    if (/^@[UW][A-Z0-9]+$/.test(target)) {
+      refs.users.add(target.slice(1));
+    } else if (/^#[CGD][A-Z0-9]+$/.test(target)) {
+      refs.channels.add(target.slice(1));
+    } else if (/^!subteam\^S[A-Z0-9]+$/.test(target)) {
+      refs.usergroups.add(target.slice('!subteam^'.length));
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Resolve referenced IDs to display names through the Slack client
+ *
+ * Lookups that fail are logged and left out; the renderer then falls back
+ * to Slack's label or the ID.
+ *
+ * @param {SlackClient} slack - Slack client (directory cache backed)
+ * @param {Object} refs - Result of collectReferences
+ * @returns {Promise<Object>} { users, channels, usergroups } as Maps of ID -> name
+ */
+async function resolveReferences(slack, refs) {
+  const names = { users: new Map(), channels: new Map(), usergroups: new Map() };
+
+  const resolve = async (kind, ids, fetch, pickName) => {
+    await Promise.all([...ids].map(async id => {
+      try {
+        const entry = await fetch(id);
+        const name = entry && pickName(entry);
+        if (name) {
+          names[kind].set(id, name);
+        }
+      } catch (error) {
+        logger.debug(`Could not resolve ${kind} ${id}:`, error.message);
+      }
+    }));
+  };
+
+  await Promise.all([
+    resolve('users', refs.users, id => slack.getUserInfo(id), user => user.real_name || user.name),
+    resolve('channels', refs.channels, id => slack.getChannelInfo(id), channel => channel.name),
+    resolve('usergroups', refs.usergroups, id => slack.getUsergroupInfo(id), group => group.handle)
+  ]);
+
+  return names;
+}
+
+/**
+ * Render one angle-bracket reference
+ *
+ * @param {string} body - Text between < and >
+ * @param {Object} names - Result of resolveReferences
+ * @returns {string} Readable replacement
+ */
+function renderReference(body, names) {
+  const { target, label } = splitReference(body);
+
+  if (target.startsWith('@')) {
+    const id = target.slice(1);
+    return `@${names.users.get(id) || label || id}`;
+  }
+
+  if (target.startsWith('#')) {
+    const id = target.slice(1);
+    return `#${names.channels.get(id) || label || id}`;
+  }
+
+  if (target.startsWith('!')) {
+    const [command, ...args] = target.slice(1).split('^');
+
+    switch (command) {
+      case 'here':
+      case 'channel':
+      case 'everyone':
+        return `@${command}`;
+      case 'subteam': {
+        const handle = names.usergroups.get(args[0]) || label?.replace(/^@/, '') || args[0];
+        return `@${handle}`;
+      }
+      case 'date': {
+        // <!date^epoch^format^optional_link|fallback>
+        if (label) {
+          return label;
+        }
+        // Without a fallback, a bad or out-of-range epoch is shown as sent
+        const time = parseInt(args[0], 10) * 1000;
+        const date = new Date(time);
+        return Number.isFinite(time) && !Number.isNaN(date.getTime()) ? date.toISOString() : `<${body}>`;
+      }
+      default:
+        return label || `@${command}`;
+    }
+  }
+
+  // A link: <url> or <url|label>
+  if (target.startsWith('mailto:')) {
+    return label || target.slice('mailto:'.length);
+  }
+  if (!label || label === target) {
+    return target;
+  }
+  return `[${label}](${target})`;
+}
+
+/**
+ * Convert Slack's bold and strikethrough to markdown
+ *
+ * Only markers that sit on word boundaries count, as in Slack, so
+ * 2*3*4 or file~name~ are left alone.
+ *
+ * @param {string} text - Text outside code
+ * @returns {string} Text with markdown emphasis
+ */
+function convertEmphasis(text) {
+  return text
+    .replace(/(^|[\s(])\*([^*\n]+?)\*(?=$|[\s).,!?:;])/gm, '$1**$2**')
+    .replace(/(^|[\s(])~([^~\n]+?)~(?=$|[\s).,!?:;])/gm, '$1~~$2~~');
+}
+
+/**
+ * Render Slack mrkdwn as readable markdown
+ *
+ * @param {string} text - Raw message text
+ * @param {SlackClient} slack - Slack client used to resolve names
+ * @returns {Promise<string>} Rendered text
+ *
+ * @example
+ * await renderMrkdwn('<!here> *deploy* by <@U123> in <#C456|eng>: <https://ci.example.com/1|build> &amp; tests', slack);
+ * // Returns: '@here **deploy** by @Jane Doe in #eng: [build](https://ci.example.com/1) & tests'
+ */
+async function renderMrkdwn(text, slack) {
+  if (!text) {
+    return '';
+  }
+
+  const names = await resolveReferences(slack, collectReferences(text));
+
+  // Odd segments are code: links and entities only, no emphasis
+  return text.split(CODE_PATTERN).map((segment, index) => {
+    const isCode = index % 2 === 1;
+    const formatted = isCode ? segment : convertEmphasis(segment);
+    return decodeEntities(formatted.replace(REFERENCE_PATTERN, (match, body) => renderReference(body, names)));
+  }).join('');
+}
+
+module.exports = {
+  renderMrkdwn,
+  decodeEntities
+};
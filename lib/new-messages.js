@@ -0,0 +1,250 @@
+/**
+ * New Message Scanning
+ *
+ * Finds what a channel gained after a stored position: new top-level
+ * messages plus new replies in threads of any age. Shared by
+ * get_new_messages (positions are the client's acked watermarks) and the
+ * Poke webhook sync (positions are the sync cursors).
+ *
+ * A thread reply does not show up in channel history, only its parent's
+ * latest_reply does, so a second history walk reaches
+ * ACTIVE_THREAD_LOOKBACK_HOURS further back to find older threads that
+ * gained replies.
+ *
+ * A position means "everything up to here was handled", so a scan does not
+ * let one move past something it did not read. Slack returns history
+ * newest first; a channel with more new messages than one walk holds is
+ * read again over a narrower window starting at the position, and the scan
+ * reports how far it got (`scannedTo`). A thread the request deadline kept
+ * from being read stops the scan short of its parent, since its replies
+ * all come after it. The next scan carries on from there.
+ *
+ * The one exception is a channel with more than NEW_MESSAGES_MAX_THREADS
+ * threads gaining replies at once: every later scan would meet the same
+ * threads again, so the least recently active are skipped and returned as
+ * `skippedThreads` for the caller to report.
+ */
+
+const { compareTs } = require('./history-pager');
+const { isDeadlineError } = require('./slack-scheduler');
+const { renderMrkdwn } = require('./mrkdwn');
+const { flattenMessageContent } = require('./message-content');
+const { formatMessage } = require('./message-format');
+const logger = require('../utils/logger');
+
+// How far before the window to look for older threads with new replies
+const ACTIVE_THREAD_LOOKBACK_HOURS = 168;
+
+// Slack history pages per walk (200 messages each), and threads with new
+// replies to expand per channel
+const NEW_MESSAGES_MAX_PAGES = 10;
+const NEW_MESSAGES_MAX_THREADS = 50;
+
+// Narrower windows tried when the new messages do not fit in one walk
+const NEW_MESSAGES_MAX_NARROWING = 2;
+
+// Stop this far short of "now" so messages still being written are not
+// skipped by a position that already passed their timestamp
+const NEW_MESSAGES_SETTLE_SECONDS = 5;
+
+// Thread parent text shown with a reply
+const PARENT_EXCERPT_LENGTH = 280;
+
+/**
+ * Upper bound for a scan starting now
+ *
+ * @returns {string} Slack timestamp NEW_MESSAGES_SETTLE_SECONDS ago
+ */
+function getScanUntil() {
+  return (Date.now() / 1000 - NEW_MESSAGES_SETTLE_SECONDS).toFixed(6);
+}
+
+/**
+ * Move a Slack timestamp by a number of microseconds, exactly
+ *
+ * @param {string} ts - Slack timestamp
+ * @param {number} micros - Microseconds to add (negative to subtract)
+ * @returns {string} Slack timestamp
+ */
+function shiftTs(ts, micros) {
+  const [seconds, fraction = ''] = ts.split('.');
+  const total = BigInt(seconds) * 1000000n + BigInt(fraction.padEnd(6, '0').slice(0, 6)) + BigInt(micros);
+  return `${total / 1000000n}.${String(total % 1000000n).padStart(6, '0')}`;
+}
+
+/**
+ * Walk a channel's history between two timestamps (both exclusive), newest
+ * first, for up to NEW_MESSAGES_MAX_PAGES pages
+ *
+ * @returns {Promise<Object>} { messages, complete } - complete: reached `oldest`
+ */
+async function walkHistory(slack, channelId, oldest, latest) {
+  const messages = [];
+  let cursor;
+  let pages = 0;
+
+  do {
+    const result = await slack.getChannelHistory({
+      channel: channelId,
+      oldest,
+      latest,
+      limit: 200,
+      ...(cursor && { cursor })
+    });
+    messages.push(...(result.messages || []));
+    cursor = result.has_more ? result.response_metadata?.next_cursor : null;
+    pages++;
+  } while (cursor && pages < NEW_MESSAGES_MAX_PAGES);
+
+  return { messages, complete: !cursor };
+}
+
+/**
+ * Collect a channel's new messages and thread replies after `since`
+ *
+ * Only items up to `scannedTo` are returned; a channel whose items are all
+ * handled moves there. It is `until` less a microsecond when the scan read
+ * everything, earlier when the channel had too much to read at once (see
+ * the module comment), and `since` itself when it could not move at all.
+ * Thread broadcasts appear in both history and replies and are kept once.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {string} channelId - Channel to check
+ * @param {string} since - Position (exclusive)
+ * @param {string} until - Upper bound (exclusive)
+ * @returns {Promise<Object>} { items: Array<{ channelId, message, parent? }>, scannedTo, complete, skippedThreads }
+ */
+async function collectNewItems(slack, channelId, since, until) {
+  // New top-level messages; a window too busy for one walk is narrowed to
+  // its oldest part, about half the span the last walk covered
+  let latest = until;
+  let window = await walkHistory(slack, channelId, since, latest);
+  for (let attempt = 0; !window.complete && attempt < NEW_MESSAGES_MAX_NARROWING; attempt++) {
+    const covered = parseFloat(latest) - parseFloat(window.messages[window.messages.length - 1].ts);
+    latest = (parseFloat(since) + Math.max(covered / 2, 0.000001)).toFixed(6);
+    window = await walkHistory(slack, channelId, since, latest);
+  }
+  if (!window.complete) {
+    logger.warn(`${channelId}: too many new messages to read from ${since}, leaving its position there`);
+    return { items: [], scannedTo: since, complete: false, skippedThreads: [] };
+  }
+  let scannedTo = shiftTs(latest, -1);
+
+  // Older parents, up to and including the one at `since`
+  const scanOldest = (parseFloat(since) - ACTIVE_THREAD_LOOKBACK_HOURS * 60 * 60).toFixed(6);
+  const lookback = await walkHistory(slack, channelId, scanOldest, shiftTs(since, 1));
+  if (!lookback.complete) {
+    logger.debug(`${channelId}: looked for active threads back to ${lookback.messages[lookback.messages.length - 1].ts} only`);
+  }
+
+  const activeParents = [...window.messages, ...lookback.messages]
+    .filter(message => message.reply_count > 0 && message.latest_reply && compareTs(message.latest_reply, since) > 0)
+    .sort((a, b) => compareTs(b.latest_reply, a.latest_reply));
+  const skippedThreads = activeParents.slice(NEW_MESSAGES_MAX_THREADS).map(parent => parent.ts);
+  if (skippedThreads.length > 0) {
+    logger.warn(`${channelId}: ${activeParents.length} threads with new replies, skipping the ${skippedThreads.length} least recently active`);
+  }
+
+  // Oldest parents first, so a deadline refusal still lets the scan get as
+  // far as the parent it could not read
+  const replies = [];
+  for (const parent of activeParents.slice(0, NEW_MESSAGES_MAX_THREADS).sort((a, b) => compareTs(a.ts, b.ts))) {
+    try {
+      const thread = await slack.getThreadReplies(channelId, parent.ts, { oldest: since });
+      replies.push(...thread.filter(reply => reply.ts !== parent.ts).map(reply => ({ reply, parent })));
+    } catch (error) {
+      if (!isDeadlineError(error)) {
+        throw error;
+      }
+      scannedTo = compareTs(parent.ts, since) > 0 ? parent.ts : since;
+      break;
+    }
+  }
+
+  const items = [];
+  const seen = new Set();
+  const isNew = ts => !seen.has(ts) && compareTs(ts, since) > 0 && compareTs(ts, scannedTo) <= 0;
+  for (const message of window.messages) {
+    if (isNew(message.ts)) {
+      items.push({ channelId, message });
+      seen.add(message.ts);
+    }
+  }
+  for (const { reply, parent } of replies) {
+    if (isNew(reply.ts)) {
+      items.push({ channelId, message: reply, parent });
+      seen.add(reply.ts);
+    }
+  }
+
+  return { items, scannedTo, complete: compareTs(scannedTo, shiftTs(until, -1)) === 0, skippedThreads };
+}
+
+/**
+ * Sort collected items oldest first (channel ID breaks ties)
+ *
+ * @param {Array} items - Items from collectNewItems
+ * @returns {Array} The same array, sorted
+ */
+function sortNewItems(items) {
+  return items.sort((a, b) => compareTs(a.message.ts, b.message.ts) || (a.channelId < b.channelId ? -1 : 1));
+}
+
+/**
+ * Work out how far each scanned channel got once `handled` (a prefix of the
+ * sorted items) is delivered
+ *
+ * A channel whose items were all handled moves to its scan's `scannedTo`;
+ * otherwise it stops after its last handled item, and a channel with none
+ * handled stays where it was.
+ *
+ * @param {Object} scannedTo - { channelId: scannedTo } for the channels that were scanned
+ * @param {Array} items - Every collected item, sorted
+ * @param {Array} handled - Prefix of `items` that was delivered
+ * @returns {Object} { channelId: ts }
+ */
+function getReachedPositions(scannedTo, items, handled) {
+  const reached = {};
+  for (const [channelId, position] of Object.entries(scannedTo)) {
+    const done = handled.filter(item => item.channelId === channelId);
+    const allDone = done.length === items.filter(item => item.channelId === channelId).length;
+    if (allDone) {
+      reached[channelId] = position;
+    } else if (done.length > 0) {
+      reached[channelId] = done[done.length - 1].message.ts;
+    }
+  }
+  return reached;
+}
+
+/**
+ * Format a collected item, with a short excerpt of the thread parent for
+ * replies
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {Object} item - { channelId, message, parent? }
+ * @returns {Promise<Object>} Formatted message
+ */
+async function formatNewItem(slack, { channelId, message, parent }) {
+  const channel = await slack.getChannelInfo(channelId);
+  const formatted = await formatMessage(slack, message, channel);
+  if (parent) {
+    const parentText = await renderMrkdwn(flattenMessageContent(parent), slack);
+    formatted.thread_parent = {
+      timestamp: parent.ts,
+      text: parentText.length > PARENT_EXCERPT_LENGTH
+        ? `${parentText.slice(0, PARENT_EXCERPT_LENGTH - 1)}…`
+        : parentText
+    };
+  }
+  return formatted;
+}
+
+module.exports = {
+  ACTIVE_THREAD_LOOKBACK_HOURS,
+  getScanUntil,
+  collectNewItems,
+  sortNewItems,
+  getReachedPositions,
+  formatNewItem
+};
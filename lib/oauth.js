@@ -0,0 +1,323 @@
+/**
+ * OAuth 2.1 Protected Resource Support
+ *
+ * Lets the MCP endpoint accept JWT access tokens issued by an external
+ * authorization server, as described by the MCP authorization spec:
+ * - Protected resource metadata (RFC 9728) for client discovery
+ * - JWT validation: signature (against a JWKS), issuer, audience, expiry
+ *   and scopes
+ *
+ * Signatures are verified with Node's built-in crypto (JWK import), so no
+ * extra dependencies are needed. The JWKS comes from a local file or a URL;
+ * a fetched JWKS is cached and refetched when an unknown key ID shows up,
+ * which covers key rotation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getOAuthConfig } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * JWS algorithms we accept, mapped to Node digest and signature options and
+ * the key type (and curve) a key must have to verify them.
+ * "none" and HMAC algorithms are deliberately absent.
+ */
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', digest: 'sha256' },
+  RS384: { kty: 'RSA', digest: 'sha384' },
+  RS512: { kty: 'RSA', digest: 'sha512' },
+  PS256: { kty: 'RSA', digest: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { kty: 'RSA', digest: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { kty: 'RSA', digest: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { kty: 'EC', crv: 'P-256', digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { kty: 'EC', crv: 'P-384', digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { kty: 'EC', crv: 'P-521', digest: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { kty: 'OKP', digest: null }
+};
+
+// Allowed difference between our clock and the issuer's (seconds)
+const CLOCK_SKEW_SECONDS = 60;
+
+// How long a fetched JWKS is trusted before refetching
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+
+// Minimum gap between refetches triggered by unknown key IDs
+const JWKS_REFETCH_COOLDOWN_MS = 30 * 1000;
+
+// How long a JWKS fetch may take; every authenticated request waits on it
+const JWKS_TIMEOUT_MS = 5000;
+
+// Cached JWKS: { source, keys, fetchedAt }
+let jwksCache = null;
+
+/**
+ * Error raised when an access token is rejected
+ *
+ * `code` follows RFC 6750 (invalid_token / insufficient_scope) so the
+ * caller can build a WWW-Authenticate header.
+ */
+class OAuthError extends Error {
+  constructor(message, code = 'invalid_token') {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether a bearer token looks like a JWT (three base64url segments)
+ *
+ * @param {string} token - Bearer token
+ * @returns {boolean} True if the token has JWT shape
+ */
+function looksLikeJwt(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/**
+ * Decode one base64url JWT segment as a JSON object
+ *
+ * @throws {OAuthError} If the segment is not JSON, or is JSON but not an
+ *   object (e.g. `null` or an array)
+ */
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new OAuthError('Malformed token');
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new OAuthError('Malformed token');
+  }
+  return value;
+}
+
+/**
+ * Load the JWKS key list from the configured file or URL
+ *
+ * @param {Object} config - OAuth configuration
+ * @param {boolean} forceRefresh - Bypass the cache (unknown kid)
+ * @returns {Promise<Array<Object>>} JWK objects
+ */
+async function loadJwks(config, forceRefresh = false) {
+  const source = config.jwksFile || config.jwksUrl;
+  const now = Date.now();
+
+  if (jwksCache && jwksCache.source === source) {
+    const fresh = now - jwksCache.fetchedAt < JWKS_CACHE_MS;
+    const coolingDown = now - jwksCache.fetchedAt < JWKS_REFETCH_COOLDOWN_MS;
+    if ((fresh && !forceRefresh) || coolingDown) {
+      return jwksCache.keys;
+    }
+  }
+
+  let jwks;
+  if (config.jwksFile) {
+    const filePath = path.resolve(process.cwd(), config.jwksFile);
+    jwks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    logger.debug(`Fetching JWKS from ${config.jwksUrl}`);
+    const response = await fetch(config.jwksUrl, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(JWKS_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`JWKS fetch failed with HTTP ${response.status}`);
+    }
+    jwks = await response.json();
+  }
+
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('JWKS has no "keys" array');
+  }
+
+  jwksCache = { source, keys: jwks.keys, fetchedAt: now };
+  return jwks.keys;
+}
+
+/**
+ * Find the verification key for a token header
+ *
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+async function findKey(config, header) {
+  // A key without an "alg" is only used for algorithms of its own type, so
+  // e.g. an RSA key never verifies a token claiming ES256
+  const { kty, crv } = ALGORITHMS[header.alg];
+  const pick = keys => keys.find(key =>
+    (!header.kid || key.kid === header.kid) &&
+    (!key.use || key.use === 'sig') &&
+    (!key.alg || key.alg === header.alg) &&
+    key.kty === kty &&
+    (!crv || key.crv === crv)
+  );
+
+  let jwk = pick(await loadJwks(config));
+  if (!jwk && header.kid) {
+    // Possibly a rotated key we have not seen yet
+    jwk = pick(await loadJwks(config, true));
+  }
+
+  if (!jwk) {
+    throw new OAuthError('No matching signing key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Read the granted scopes from the `scope` (space-separated) or `scp` claim
+ */
+function readScopes(claims) {
+  if (typeof claims.scope === 'string') {
+    return claims.scope.split(' ').filter(Boolean);
+  }
+  if (Array.isArray(claims.scp)) {
+    return claims.scp.filter(s => typeof s === 'string');
+  }
+  return [];
+}
+
+/**
+ * Validate a JWT access token
+ *
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} { subject, clientId, scopes, claims }
+ * @throws {OAuthError} If the token is invalid, expired, for another
+ *   audience, or carries none of the supported scopes
+ */
+async function verifyAccessToken(token) {
+  const config = getOAuthConfig();
+  if (!config) {
+    throw new OAuthError('OAuth is not configured');
+  }
+
+  if (typeof token !== 'string' || !looksLikeJwt(token)) {
+    throw new OAuthError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  // Own properties only: "constructor" or "__proto__" must not pass
+  const algorithm = typeof header.alg === 'string' && Object.hasOwn(ALGORITHMS, header.alg)
+    ? ALGORITHMS[header.alg]
+    : null;
+  if (!algorithm) {
+    throw new OAuthError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  // RFC 9068 access tokens are typed at+jwt; plain JWT is also common
+  if (header.typ && !['at+jwt', 'application/at+jwt', 'JWT'].includes(header.typ)) {
+    throw new OAuthError('Unexpected token type');
+  }
+
+  const key = await findKey(config, header);
+  const signedData = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  const valid = crypto.verify(
+    algorithm.digest,
+    signedData,
+    {
+      key,
+      ...(algorithm.padding && { padding: algorithm.padding, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }),
+      ...(algorithm.dsaEncoding && { dsaEncoding: algorithm.dsaEncoding })
+    },
+    signature
+  );
+
+  if (!valid) {
+    throw new OAuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.iss !== config.issuer) {
+    throw new OAuthError('Token issuer not trusted');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(config.audience)) {
+    throw new OAuthError('Token not issued for this resource');
+  }
+
+  if (typeof claims.exp !== 'number' || now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new OAuthError('Token expired');
+  }
+
+  if (typeof claims.nbf === 'number' && now + CLOCK_SKEW_SECONDS < claims.nbf) {
+    throw new OAuthError('Token not yet valid');
+  }
+
+  const scopes = readScopes(claims).filter(scope => config.scopesSupported.includes(scope));
+  if (scopes.length === 0) {
+    throw new OAuthError('Token has no supported scope', 'insufficient_scope');
+  }
+
+  return {
+    subject: claims.sub || null,
+    clientId: claims.client_id || claims.azp || null,
+    scopes,
+    claims
+  };
+}
+
+/**
+ * Build the protected resource metadata document (RFC 9728)
+ *
+ * @returns {Object|null} Metadata, or null when OAuth is not configured
+ */
+function getProtectedResourceMetadata() {
+  const config = getOAuthConfig();
+  if (!config) {
+    return null;
+  }
+
+  return {
+    resource: config.audience,
+    authorization_servers: config.authorizationServers,
+    scopes_supported: config.scopesSupported,
+    bearer_methods_supported: ['header'],
+    resource_name: 'Slack MCP Server'
+  };
+}
+
+/**
+ * Build a WWW-Authenticate header value for a rejected request
+ *
+ * Points clients at the metadata document so they can discover the
+ * authorization server (MCP authorization spec).
+ *
+ * @param {OAuthError} [error] - Why the token was rejected, if one was sent
+ * @returns {string|null} Header value, or null when OAuth is not configured
+ */
+function buildWwwAuthenticate(error) {
+  const config = getOAuthConfig();
+  if (!config) {
+    return null;
+  }
+
+  const parts = [`resource_metadata="${config.metadataUrl}"`];
+  if (error) {
+    parts.push(`error="${error.code}"`);
+    parts.push(`error_description="${error.message.replace(/"/g, "'")}"`);
+  }
+  if (error?.code === 'insufficient_scope') {
+    parts.push(`scope="${config.scopesSupported.join(' ')}"`);
+  }
+
+  return `Bearer ${parts.join(', ')}`;
+}
+
+module.exports = {
+  OAuthError,
+  looksLikeJwt,
+  verifyAccessToken,
+  getProtectedResourceMetadata,
+  buildWwwAuthenticate
+};
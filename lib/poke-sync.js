@@ -0,0 +1,253 @@
+/**
+ * Poke Webhook Sync
+ *
+ * One run of the scheduled push: scan every monitored conversation for
+ * messages and thread replies newer than its sync cursor, drop the ones the
+ * ledger says were already delivered, and POST the rest to POKE_WEBHOOK_URL
+ * in batches, oldest first.
+ *
+ * Delivery is at most once per message:
+ * - each batch is recorded in the ledger, and the cursors moved past it, as
+ *   soon as the webhook accepts it, so a run that dies half way does not
+ *   resend what already went out
+ * - cursors only move past messages that were delivered (or were already
+ *   in the ledger); a failed batch stops the run and everything from it
+ *   onward is picked up by the next run
+ * - a lock keeps overlapping runs from delivering the same messages
+ *
+ * A run stops starting batches, and retrying them, once SYNC_TIME_BUDGET_MS
+ * is used up, so it ends (and releases the lock) before the platform stops
+ * the function. Its Slack calls stop DELIVERY_RESERVE_MS earlier, leaving
+ * the last batches time to go out. Channels furthest behind are scanned
+ * first, so ones the Slack deadline leaves out are not always the same.
+ * What is left waits for the next run.
+ *
+ * The one gap is a batch the webhook accepted whose ledger write then
+ * failed; its X-Poke-Slack-Delivery ID is stable, so the receiver can drop
+ * the repeat.
+ */
+
+const crypto = require('crypto');
+const SlackClient = require('./slack-client');
+const { getSyncConfig } = require('../config/constants');
+const { getClientChannels, DEFAULT_CLIENT } = require('./client-auth');
+const { compareTs } = require('./history-pager');
+const { isDeadlineError } = require('./slack-scheduler');
+const { getScanUntil, collectNewItems, sortNewItems, getReachedPositions, formatNewItem } = require('./new-messages');
+const { getSyncLedger, getDeliveryKey, getDeliveredExpiry } = require('./sync-ledger');
+const { getDeliveryId, deliverBatch } = require('./poke-webhook');
+const logger = require('../utils/logger');
+
+// How long a run holds the lock; longer than any function timeout, so a run
+// that was killed only blocks the next few cron ticks
+const SYNC_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Time a batch needs to be worth starting: formatting plus one attempt
+const MIN_BATCH_TIME_MS = 3000;
+
+// End of the time budget kept from Slack calls for delivery, at most a
+// quarter of it
+const DELIVERY_RESERVE_MS = 5000;
+
+/**
+ * Ledger key for a collected item
+ */
+function getItemKey(item) {
+  return getDeliveryKey(item.channelId, item.message.ts);
+}
+
+/**
+ * Scan the channels for items after their cursors
+ *
+ * Channels are read furthest behind first. A channel that fails to scan,
+ * or that the Slack deadline left out (`skipped`), keeps its cursor, so
+ * nothing is lost. One with more than a scan reads is listed in `behind`
+ * and carries on from `caught_up_to` next run.
+ *
+ * @param {SlackClient} slack - Slack client
+ * @param {string[]} channels - Channels to scan
+ * @param {Object} cursors - { channelId: ts }
+ * @param {string} firstSyncSince - Start for channels without a cursor
+ * @param {string} until - Upper bound of the scan
+ * @returns {Promise<Object>} { items, scannedTo, behind, skippedThreads, skipped, channelErrors }
+ */
+async function scanChannels(slack, channels, cursors, firstSyncSince, until) {
+  const items = [];
+  const scannedTo = {};
+  const behind = [];
+  const skippedThreads = [];
+  const skipped = [];
+  const channelErrors = [];
+
+  const sinceFor = channelId => cursors[channelId] || firstSyncSince;
+  const ordered = [...channels].sort((a, b) => compareTs(sinceFor(a), sinceFor(b)));
+
+  for (const channelId of ordered) {
+    const since = sinceFor(channelId);
+    try {
+      const scan = await collectNewItems(slack, channelId, since, until);
+      items.push(...scan.items);
+      scannedTo[channelId] = scan.scannedTo;
+      if (!scan.complete) {
+        behind.push({ channel_id: channelId, caught_up_to: scan.scannedTo });
+      }
+      skippedThreads.push(...scan.skippedThreads.map(threadTs => ({ channel_id: channelId, thread_ts: threadTs })));
+    } catch (error) {
+      if (isDeadlineError(error)) {
+        skipped.push(channelId);
+        continue;
+      }
+      logger.error(`Sync could not read ${channelId}:`, error);
+      channelErrors.push(channelId);
+    }
+  }
+
+  return { items: sortNewItems(items), scannedTo, behind, skippedThreads, skipped, channelErrors };
+}
+
+/**
+ * Run one sync
+ *
+ * @param {Object} [options]
+ * @param {SlackClient} [options.slack] - Slack client; by default one whose
+ *   deadline keeps DELIVERY_RESERVE_MS of the time budget for delivery
+ * @param {Object} [options.ledger] - Sync ledger (default: getSyncLedger())
+ * @returns {Promise<Object>} { success, skipped?, summary }
+ */
+async function runSync({ slack, ledger = getSyncLedger() } = {}) {
+  const config = getSyncConfig();
+  const deadline = Date.now() + config.timeBudgetMs;
+  const lockToken = crypto.randomUUID();
+  slack = slack || new SlackClient({
+    deadlineMs: config.timeBudgetMs - Math.min(DELIVERY_RESERVE_MS, config.timeBudgetMs / 4)
+  });
+
+  if (!(await ledger.acquireLock(lockToken, SYNC_LOCK_TTL_MS))) {
+    logger.info('Sync skipped: another run holds the lock');
+    return { success: true, skipped: true, summary: { reason: 'Another sync is already running' } };
+  }
+
+  try {
+    const channels = await getClientChannels({ client: DEFAULT_CLIENT, slack });
+    const cursors = await ledger.getCursors();
+    const until = getScanUntil();
+    const firstSyncSince = ((Date.now() - config.initialHours * 60 * 60 * 1000) / 1000).toFixed(6);
+
+    const { items, scannedTo, behind, skippedThreads, skipped, channelErrors } = await scanChannels(slack, channels, cursors, firstSyncSince, until);
+
+    // Pick this run's messages: not yet delivered, oldest first, up to the cap.
+    // `stopIndex` is where the cap cut the list off.
+    const undelivered = new Set(await ledger.filterUndelivered(items.map(getItemKey)));
+    const toSend = [];
+    let stopIndex = items.length;
+    for (const [index, item] of items.entries()) {
+      if (!undelivered.has(getItemKey(item))) {
+        continue;
+      }
+      if (toSend.length === config.maxMessages) {
+        stopIndex = index;
+        break;
+      }
+      toSend.push({ index, item });
+    }
+
+    let messagesSent = 0;
+    let batchesSent = 0;
+    let failure = null;
+    let outOfTime = false;
+    let advancedTo = 0;
+
+    // Move the cursors past items[0, end): delivered now or earlier
+    const moveCursors = async end => {
+      const reached = getReachedPositions(scannedTo, items, items.slice(0, end));
+      if (Object.keys(reached).length > 0) {
+        await ledger.advanceCursors(reached);
+      }
+      advancedTo = end;
+    };
+
+    for (let start = 0; start < toSend.length; start += config.batchSize) {
+      const batch = toSend.slice(start, start + config.batchSize);
+      const keys = batch.map(({ item }) => getItemKey(item));
+      const deliveryId = getDeliveryId(keys);
+
+      if (deadline - Date.now() < MIN_BATCH_TIME_MS) {
+        logger.warn(`Sync out of time, leaving ${toSend.length - start} message(s) for the next run`);
+        outOfTime = true;
+        stopIndex = batch[0].index;
+        break;
+      }
+
+      let messages;
+      try {
+        messages = [];
+        for (const { item } of batch) {
+          messages.push({ id: getItemKey(item), ...(await formatNewItem(slack, item)) });
+        }
+      } catch (error) {
+        if (isDeadlineError(error)) {
+          logger.warn(`Sync out of Slack time, leaving ${toSend.length - start} message(s) for the next run`);
+          outOfTime = true;
+          stopIndex = batch[0].index;
+          break;
+        }
+        logger.error(`Sync could not format batch ${deliveryId}:`, error);
+        failure = { delivery_id: deliveryId, error: 'Could not read message details from Slack' };
+      }
+
+      if (!failure) {
+        const result = await deliverBatch(config, {
+          source: 'slack',
+          delivery_id: deliveryId,
+          sent_at: new Date().toISOString(),
+          messages
+        }, deliveryId, { deadline });
+
+        if (result.delivered) {
+          await ledger.markDelivered(keys, getDeliveredExpiry());
+          messagesSent += batch.length;
+          batchesSent++;
+          // Up to the next batch's first item, or to the end of this run's share
+          await moveCursors(toSend[start + config.batchSize]?.index ?? stopIndex);
+          continue;
+        }
+        failure = { delivery_id: deliveryId, attempts: result.attempts, error: result.error };
+      }
+
+      // Stop at the first failed batch so delivery stays in order
+      stopIndex = batch[0].index;
+      break;
+    }
+
+    // Everything before stopIndex was delivered now or earlier
+    if (advancedTo !== stopIndex) {
+      await moveCursors(stopIndex);
+    }
+
+    const summary = {
+      channelsPolled: Object.keys(scannedTo).length,
+      totalMessages: items.length,
+      alreadyDelivered: items.length - undelivered.size,
+      messagesSent,
+      batchesSent,
+      pending: undelivered.size - messagesSent,
+      ...(skipped.length > 0 && { channelsSkipped: skipped }),
+      ...(channelErrors.length > 0 && { channelErrors }),
+      ...(behind.length > 0 && { behind }),
+      ...(skippedThreads.length > 0 && { skippedThreads }),
+      ...(outOfTime && { outOfTime: true }),
+      ...(failure && { failedBatch: failure })
+    };
+
+    logger.info('Sync complete', summary);
+    return { success: !failure && channelErrors.length === 0, summary };
+  } finally {
+    await ledger.releaseLock(lockToken).catch(error => {
+      logger.error('Could not release the sync lock:', error);
+    });
+  }
+}
+
+module.exports = {
+  runSync
+};
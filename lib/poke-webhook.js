@@ -0,0 +1,174 @@
+/**
+ * Poke Webhook Delivery
+ *
+ * POSTs a batch of messages to POKE_WEBHOOK_URL, signed so the receiver can
+ * check it came from this server:
+ *
+ *   X-Poke-Slack-Timestamp: 1531420618
+ *   X-Poke-Slack-Signature: v1=<hex HMAC-SHA256 of "v1:<timestamp>:<raw body>">
+ *   X-Poke-Slack-Delivery: <delivery ID, the same on every retry>
+ *
+ * The scheme mirrors Slack's request signing: the receiver recomputes the
+ * HMAC over the raw body with POKE_WEBHOOK_SECRET, compares in constant
+ * time, and rejects timestamps more than five minutes old.
+ *
+ * Network errors, timeouts, 429 and 5xx are retried with exponential
+ * backoff (a Retry-After header wins). Other responses are final. Attempts
+ * and waits never run past the caller's deadline, so a sync run finishes
+ * (and releases its lock) before the function is stopped.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SIGNATURE_VERSION = 'v1';
+
+// Per-attempt timeout
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Backoff: 1s, 2s, 4s, ... never more than the cap (Retry-After included)
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// An attempt is not started with less time than this before the deadline
+const MIN_ATTEMPT_MS = 1000;
+
+/**
+ * Compute the X-Poke-Slack-Signature value for a body
+ *
+ * @param {string} secret - POKE_WEBHOOK_SECRET
+ * @param {string|number} timestamp - Unix seconds, as sent in X-Poke-Slack-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Signature, e.g. "v1=5d2f..."
+ */
+function computeWebhookSignature(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${SIGNATURE_VERSION}:${timestamp}:${body}`);
+  return `${SIGNATURE_VERSION}=${hmac.digest('hex')}`;
+}
+
+/**
+ * Stable ID for a batch, derived from the messages it carries
+ *
+ * A retried batch keeps its ID, so a receiver that saw the first attempt
+ * succeed (but whose response was lost) can drop the repeat.
+ *
+ * @param {string[]} keys - Delivery keys of the batch's messages
+ * @returns {string} Delivery ID
+ */
+function getDeliveryId(keys) {
+  return crypto.createHash('sha256').update([...keys].sort().join('\n')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Milliseconds to wait before the next attempt
+ *
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {string|null} retryAfter - Retry-After header, seconds or an HTTP date
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = /^\d+$/.test(retryAfter)
+      ? parseInt(retryAfter, 10)
+      : (Date.parse(retryAfter) - Date.now()) / 1000;
+    if (Number.isFinite(seconds)) {
+      return Math.min(Math.max(seconds * 1000, 0), RETRY_MAX_DELAY_MS);
+    }
+  }
+
+  // Jitter keeps instances that failed together from retrying together
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.random() * RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Check whether a response status is worth retrying
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Deliver one batch to the webhook
+ *
+ * Each attempt's timeout is cut to the time left before `deadline`, and a
+ * retry whose wait would end too close to it is not made.
+ *
+ * @param {Object} config - From getSyncConfig()
+ * @param {Object} payload - JSON body to send
+ * @param {string} deliveryId - From getDeliveryId()
+ * @param {Object} [options]
+ * @param {number} [options.deadline=Infinity] - Time (ms since epoch) by which to give up
+ * @returns {Promise<Object>} { delivered, attempts, status?, error? }
+ */
+async function deliverBatch(config, payload, deliveryId, { deadline = Infinity } = {}) {
+  const body = JSON.stringify(payload);
+  const maxAttempts = config.maxRetries + 1;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timeLeft = deadline - Date.now();
+    if (timeLeft < MIN_ATTEMPT_MS) {
+      logger.warn(`Webhook delivery ${deliveryId} not attempted: out of time`);
+      return { delivered: false, attempts: attempt - 1, error: 'Out of time before the delivery could be attempted' };
+    }
+    const timeoutMs = Math.min(WEBHOOK_TIMEOUT_MS, timeLeft);
+
+    // Signed per attempt, so a late retry still has a fresh timestamp
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'slack-poke-integration',
+      'X-Poke-Slack-Delivery': deliveryId,
+      'X-Poke-Slack-Timestamp': timestamp,
+      'X-Poke-Slack-Signature': computeWebhookSignature(config.webhookSecret, timestamp, body),
+      ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` })
+    };
+
+    let status = null;
+    let retryAfter = null;
+    let failure;
+    try {
+      const response = await fetch(config.webhookUrl, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = response.status;
+      retryAfter = response.headers.get('retry-after');
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+
+      if (response.ok) {
+        return { delivered: true, attempts: attempt, status };
+      }
+      failure = `HTTP ${status}`;
+      if (!isRetryableStatus(status)) {
+        logger.error(`Webhook rejected delivery ${deliveryId}: ${failure}`);
+        return { delivered: false, attempts: attempt, status, error: failure };
+      }
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+    }
+
+    const delay = getRetryDelay(attempt, retryAfter);
+    if (attempt < maxAttempts && Date.now() + delay + MIN_ATTEMPT_MS <= deadline) {
+      logger.warn(`Webhook delivery ${deliveryId} failed (${failure}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    } else {
+      logger.error(`Webhook delivery ${deliveryId} failed after ${attempt} attempt(s): ${failure}`);
+      return { delivered: false, attempts: attempt, ...(status && { status }), error: failure };
+    }
+  }
+}
+
+module.exports = {
+  computeWebhookSignature,
+  getDeliveryId,
+  deliverBatch
+};
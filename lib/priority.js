@@ -0,0 +1,157 @@
+/**
+ * Priority Scoring for Triage
+ *
+ * Gives a Slack message a 0-100 `priority` and the `signals` behind it, so
+ * clients can triage without inferring urgency from raw JSON:
+ *
+ * - direct_mention: names the user (<@U123>), or is a 1:1 DM
+ * - vip_sender: sent by one of the configured users or bots
+ * - urgent_keyword: an urgent word appears (whole words, any case)
+ * - question: a question in a message aimed at the user
+ * - reaction_velocity: reactions per hour since it was posted
+ * - thread_heat: replies and people in its thread
+ * - age: negative, grows once the message is old
+ *
+ * Each signal's points and settings come from the priority rules (see
+ * getPriorityRules in config/constants.js); signals that scale, like
+ * reaction velocity, earn up to their points. The score is the sum, clamped
+ * to 0-100. The user's own messages score 0.
+ *
+ * With no user (the rules' user_id is null by default and only get_mentions
+ * passes one), direct_mention and question fire for 1:1 DMs only.
+ */
+
+const { getPriorityRules } = require('../config/constants');
+const { flattenMessageContent } = require('./message-content');
+const { keywordPattern, readableText } = require('./mention-matcher');
+const { isQuestion } = require('./thread-digest');
+
+// Below this age reactions are counted as if over this many hours, so a
+// single early reaction does not look like a surge
+const MIN_VELOCITY_HOURS = 0.25;
+
+// Compiled urgent keyword patterns per rules object
+const keywordPatterns = new WeakMap();
+
+/**
+ * Urgent keyword patterns for a set of rules
+ */
+function getKeywordPatterns(rules) {
+  if (!keywordPatterns.has(rules)) {
+    keywordPatterns.set(rules, rules.signals.urgent_keyword.keywords.map(keyword => ({
+      keyword,
+      pattern: keywordPattern(keyword.trim())
+    })));
+  }
+  return keywordPatterns.get(rules);
+}
+
+/**
+ * Score a message
+ *
+ * @param {Object} message - Raw Slack message
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Who the triage is for (default: the rules' user_id)
+ * @param {boolean} [options.isDirectMessage=false] - Message is in a 1:1 DM
+ * @param {string} [options.matchReason] - get_mentions match_reason, if any
+ * @param {number} [options.now] - Current time in ms (default: Date.now())
+ * @returns {Object} { priority, signals } where signals are { signal, points, detail? }
+ *
+ * @example
+ * scoreMessage({ user: 'U2', ts: '1700000000.000100', text: '<@U1> prod is down, can you look?' }, { userId: 'U1' });
+ * // Returns: { priority: 75, signals: [{ signal: 'direct_mention', points: 35, detail: 'mention' }, ...] }
+ */
+function scoreMessage(message, options = {}) {
+  const rules = getPriorityRules();
+  const { signals: config } = rules;
+  const {
+    userId = rules.user_id,
+    isDirectMessage = false,
+    matchReason,
+    now = Date.now()
+  } = options;
+
+  if (userId && message.user === userId) {
+    return { priority: 0, signals: [] };
+  }
+
+  const signals = [];
+  const add = (signal, points, detail) => {
+    const rounded = Math.round(points);
+    if (rounded !== 0) {
+      signals.push({ signal, points: rounded, ...(detail !== undefined && { detail }) });
+    }
+  };
+
+  const content = flattenMessageContent(message) || '';
+  const text = readableText(content);
+  const ageHours = Math.max(0, (now / 1000 - parseFloat(message.ts)) / 3600);
+
+  // Direct mention, and questions aimed at the user
+  const mentioned = matchReason === 'mention' || (!!userId && content.includes(`<@${userId}`));
+  const direct = mentioned || isDirectMessage;
+  if (direct) {
+    add('direct_mention', config.direct_mention.points, mentioned ? 'mention' : 'dm');
+  }
+  if (direct && isQuestion(text)) {
+    add('question', config.question.points);
+  }
+
+  // VIP sender (users or bots)
+  const sender = message.user || message.bot_id;
+  if (sender && config.vip_sender.users.includes(sender)) {
+    add('vip_sender', config.vip_sender.points, sender);
+  }
+
+  // Urgent keywords: the first one found
+  const keyword = getKeywordPatterns(rules).find(({ pattern }) => pattern.test(text));
+  if (keyword) {
+    add('urgent_keyword', config.urgent_keyword.points, keyword.keyword);
+  }
+
+  // Reaction velocity: reactions per hour, full points at per_hour
+  const reactions = (message.reactions || []).reduce((sum, reaction) => sum + (reaction.count || 0), 0);
+  if (reactions > 0) {
+    const velocity = reactions / Math.max(ageHours, MIN_VELOCITY_HOURS);
+    const { points, per_hour } = config.reaction_velocity;
+    add('reaction_velocity', points * Math.min(1, velocity / per_hour), `${Math.round(velocity * 10) / 10}/h`);
+  }
+
+  // Thread heat: full points at `replies` replies or `participants` people
+  if (message.reply_count > 0) {
+    const people = message.reply_users_count || (message.reply_users || []).length;
+    const { points, replies, participants } = config.thread_heat;
+    const heat = Math.min(1, Math.max(message.reply_count / replies, people / participants));
+    add('thread_heat', points * heat, `${message.reply_count} replies, ${people} people`);
+  }
+
+  // Age: nothing until after_hours, full (negative) points at full_after_hours
+  const { points: agePoints, after_hours, full_after_hours } = config.age;
+  if (ageHours > after_hours) {
+    const decay = Math.min(1, (ageHours - after_hours) / (full_after_hours - after_hours));
+    add('age', agePoints * decay, `${Math.round(ageHours)}h old`);
+  }
+
+  const total = signals.reduce((sum, signal) => sum + signal.points, 0);
+  return { priority: Math.max(0, Math.min(100, total)), signals };
+}
+
+/**
+ * Apply the list tools' sort and min_priority options to formatted messages
+ *
+ * @param {Array<Object>} messages - Formatted messages carrying `priority`
+ * @param {Object} options
+ * @param {string} [options.sort='time'] - 'time' keeps the given order,
+ *   'priority' puts the highest first (ties keep the given order)
+ * @param {number} [options.min_priority=0] - Drop messages scoring lower
+ * @returns {Array<Object>} Messages to return
+ */
+function applyPriorityOptions(messages, { sort = 'time', min_priority = 0 } = {}) {
+  const kept = messages.filter(message => message.priority >= min_priority);
+  return sort === 'priority' ? kept.sort((a, b) => b.priority - a.priority) : kept;
+}
+
+module.exports = {
+  scoreMessage,
+  applyPriorityOptions
+};
@@ -0,0 +1,252 @@
+/**
+ * Token Bucket Rate Limiter
+ *
+ * Each client (keyed on its authenticated identity, never on a header the
+ * caller controls) has a bucket of RATE_LIMIT_MAX units that refills
+ * continuously over RATE_LIMIT_WINDOW_MS. A request takes its cost from the
+ * bucket, so a 720-hour scan of every channel uses up more than a single
+ * thread lookup. Costs come from getRateLimitConfig().costs.
+ *
+ * Buckets live behind a small store interface:
+ *
+ *   store.take(key, { capacity, refillPerMs, cost }) -> Promise<{ allowed, tokens }>
+ *
+ * - MemoryRateLimitStore: per instance, resets on cold start
+ * - RedisRateLimitStore: shared by all instances through any server that
+ *   speaks the Redis protocol; the update runs as one Lua script, so
+ *   concurrent requests cannot both spend the same tokens
+ *
+ * If the store is unreachable the request is let through (and logged):
+ * a rate limiter outage should not take the whole server down with it.
+ */
+
+const { getRateLimitConfig } = require('../config/constants');
+const { getRedisClient } = require('./redis-client');
+const logger = require('../utils/logger');
+
+// Prefix for bucket keys in shared stores
+const KEY_PREFIX = 'poke-slack:ratelimit:';
+
+// Drop idle buckets from memory once the map grows past this size
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+/**
+ * In-memory bucket store (one per serverless instance)
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async take(key, { capacity, refillPerMs, cost }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) {
+      bucket.tokens -= cost;
+    }
+
+    this.buckets.set(key, bucket);
+    if (this.buckets.size > MEMORY_SWEEP_THRESHOLD) {
+      this.sweep(now, capacity, refillPerMs);
+    }
+
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  /**
+   * Forget buckets that have refilled completely (same as a new bucket)
+   */
+  sweep(now, capacity, refillPerMs) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Refill and take in one atomic step, using the server clock so instances
+ * with drifting clocks agree. Buckets expire once they would be full again.
+ *
+ * KEYS[1] bucket key; ARGV capacity, refill per ms, cost
+ * Returns { allowed (0/1), tokens (string, to keep the fraction) }
+ */
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(bucket[1]) or capacity
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * refill)
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Redis-protocol bucket store, shared by every instance
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {RedisClient} redis - Client from lib/redis-client
+   */
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  async take(key, { capacity, refillPerMs, cost }) {
+    const [allowed, tokens] = await this.redis.command(
+      'EVAL', TAKE_SCRIPT, 1, KEY_PREFIX + key, capacity, refillPerMs, cost
+    );
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+}
+
+let store = null;
+
+/**
+ * Get the configured bucket store (created once per instance)
+ *
+ * @returns {Object} Store implementing take()
+ */
+function getRateLimitStore() {
+  if (!store) {
+    const config = getRateLimitConfig();
+    store = config.store === 'redis'
+      ? new RedisRateLimitStore(getRedisClient(config.redisUrl))
+      : new MemoryRateLimitStore();
+  }
+  return store;
+}
+
+/**
+ * Work out what a request body costs
+ *
+ * tools/call is priced by tool name, other methods by method name, anything
+ * unlisted costs 1 and notifications are free. A batch costs the sum of its
+ * messages. Every HTTP request costs at least 1.
+ *
+ * @param {*} body - Parsed JSON-RPC message or batch (null for GET/DELETE)
+ * @returns {number} Cost in bucket units
+ */
+function getRequestCost(body) {
+  const { costs } = getRateLimitConfig();
+
+  const messageCost = message => {
+    if (!message || typeof message !== 'object' || message.id === undefined) {
+      return 0;
+    }
+    const key = message.method === 'tools/call' ? message.params?.name : message.method;
+    return Object.prototype.hasOwnProperty.call(costs, key) ? costs[key] : 1;
+  };
+
+  const total = (Array.isArray(body) ? body : [body]).reduce((sum, message) => sum + messageCost(message), 0);
+  return Math.max(1, total);
+}
+
+/**
+ * Take `cost` units from a client's bucket
+ *
+ * A cost larger than the bucket is capped at the bucket size, so an
+ * expensive call is still possible with a full bucket.
+ *
+ * @param {string} key - Bucket key (e.g. "client:poke")
+ * @param {Object} options
+ * @param {number} options.cost - Units to take (0 only checks)
+ * @param {number} [options.capacity] - Bucket size (default: RATE_LIMIT_MAX)
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetSeconds, retryAfterSeconds, windowSeconds }
+ */
+async function consume(key, { cost, capacity }) {
+  const config = getRateLimitConfig();
+  const limit = capacity || config.maxRequests;
+  const refillPerMs = limit / config.windowMs;
+  const effectiveCost = Math.min(cost, limit);
+
+  let result;
+  try {
+    result = await getRateLimitStore().take(key, { capacity: limit, refillPerMs, cost: effectiveCost });
+  } catch (error) {
+    logger.error(`Rate limit store unavailable, allowing request for ${key}:`, error.message);
+    return null;
+  }
+
+  // A zero-cost check passes as long as the bucket is not empty
+  const allowed = effectiveCost === 0 ? result.tokens >= 1 : result.allowed;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(result.tokens),
+    resetSeconds: Math.ceil((limit - result.tokens) / refillPerMs / 1000),
+    retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((Math.max(effectiveCost, 1) - result.tokens) / refillPerMs / 1000)),
+    windowSeconds: Math.ceil(config.windowMs / 1000)
+  };
+}
+
+/**
+ * Get the address a request came from, for keying auth-failure buckets
+ *
+ * Each proxy appends the address it received the request from to
+ * X-Forwarded-For, so only the last entry, added by the platform's edge
+ * (Vercel), can be trusted; earlier entries and X-Real-IP can be whatever
+ * the caller sent, and rotating them must not reset the failure count.
+ * Without the header (e.g. `vercel dev`), the socket address is used.
+ *
+ * @param {Object} req - HTTP request
+ * @returns {string} Client address, or 'unknown'
+ */
+function getClientAddress(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  return forwarded[forwarded.length - 1] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Set RateLimit-* headers (IETF httpapi draft) and Retry-After when denied
+ *
+ * @param {Object} res - HTTP response
+ * @param {Object|null} result - Result of consume(); null sets nothing
+ */
+function setRateLimitHeaders(res, result) {
+  if (!result) {
+    return;
+  }
+
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.resetSeconds);
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', result.retryAfterSeconds);
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  getRateLimitStore,
+  getRequestCost,
+  consume,
+  getClientAddress,
+  setRateLimitHeaders
+};
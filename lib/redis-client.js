@@ -0,0 +1,285 @@
+/**
+ * Minimal Redis Client (RESP2)
+ *
+ * A small dependency-free client for the Redis protocol, enough for the
+ * shared stores in this project (rate limits, caches, state). It works with
+ * Redis, Valkey, KeyDB, Dragonfly and hosted services that speak RESP,
+ * including TLS endpoints (rediss://).
+ *
+ * One connection is kept per URL and reused across invocations of a warm
+ * serverless instance. Commands are pipelined: replies arrive in the order
+ * commands were sent, so each reply resolves the oldest pending command.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const logger = require('../utils/logger');
+
+// Fail fast rather than hold a serverless invocation on a dead connection
+const CONNECT_TIMEOUT_MS = 3000;
+const COMMAND_TIMEOUT_MS = 3000;
+
+/**
+ * Error reply from Redis (e.g. WRONGTYPE, NOSCRIPT)
+ */
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ *
+ * @param {Array} args - Command name and arguments
+ * @returns {Buffer} Encoded command
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg), 'utf8');
+    parts.push(`$${value.length}\r\n`, value, '\r\n');
+  }
+  return Buffer.concat(parts.map(p => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'utf8'))));
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ *
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Where to start
+ * @returns {Object|null} { value, offset } or null if the reply is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type byte: ${type}`);
+  }
+}
+
+/**
+ * Redis connection for one URL
+ */
+class RedisClient {
+  /**
+   * @param {string} url - redis://[user:password@]host[:port][/db] or rediss:// for TLS
+   */
+  constructor(url) {
+    this.url = new URL(url);
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Open the connection (once) and run AUTH / SELECT
+   *
+   * The connection only becomes this.socket once AUTH and SELECT succeed. If
+   * either fails the socket is closed and the error thrown, so the next
+   * command tries again instead of using an unauthenticated connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.socket) {
+      return;
+    }
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Connect, authenticate and select the database
+   *
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const socket = await new Promise((resolve, reject) => {
+      const useTls = this.url.protocol === 'rediss:';
+      const options = {
+        host: this.url.hostname,
+        port: parseInt(this.url.port || '6379', 10),
+        ...(useTls && { servername: this.url.hostname })
+      };
+
+      const socket = useTls ? tls.connect(options) : net.connect(options);
+      socket.setTimeout(CONNECT_TIMEOUT_MS);
+
+      socket.once(useTls ? 'secureConnect' : 'connect', () => {
+        socket.setTimeout(0);
+        socket.setKeepAlive(true);
+        resolve(socket);
+      });
+
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+      socket.on('error', error => {
+        logger.warn('Redis connection error:', error.message);
+        reject(error);
+      });
+      socket.on('close', () => this.onClose(socket));
+    });
+
+    try {
+      const password = decodeURIComponent(this.url.password || '');
+      const username = decodeURIComponent(this.url.username || '');
+      if (password) {
+        await this.send(socket, username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+
+      const db = this.url.pathname.replace('/', '');
+      if (db) {
+        await this.send(socket, ['SELECT', db]);
+      }
+    } catch (error) {
+      logger.error('Redis connection setup failed:', error.message);
+      socket.destroy();
+      throw error;
+    }
+
+    this.socket = socket;
+  }
+
+  /**
+   * Resolve pending commands with replies as they arrive
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let parsed;
+    while (this.pending.length > 0 && (parsed = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(parsed.offset);
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (parsed.value instanceof RedisReplyError) {
+        reject(parsed.value);
+      } else {
+        resolve(parsed.value);
+      }
+    }
+  }
+
+  /**
+   * Fail anything still waiting and allow a fresh connect
+   *
+   * @param {net.Socket} socket - The socket that closed
+   */
+  onClose(socket) {
+    // A late close from an earlier socket must not drop the current one
+    if (this.socket && this.socket !== socket) {
+      return;
+    }
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    const pending = this.pending;
+    this.pending = [];
+    for (const { reject, timer } of pending) {
+      clearTimeout(timer);
+      reject(new Error('Redis connection closed'));
+    }
+  }
+
+  /**
+   * Send a command and wait for its reply
+   *
+   * @param {...(string|number|Buffer)} args - Command name and arguments
+   * @returns {Promise<*>} Reply (string, number, null or array)
+   *
+   * @example
+   * await redis.command('SET', 'key', 'value', 'PX', 60000);
+   * const value = await redis.command('GET', 'key');
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(this.socket, args);
+  }
+
+  /**
+   * Write a command to a socket and wait for its reply
+   *
+   * @param {net.Socket} socket - Connected socket
+   * @param {Array} args - Command name and arguments
+   * @returns {Promise<*>} Reply
+   */
+  send(socket, args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // Replies are positional: after a timeout the stream cannot be trusted
+        socket.destroy(new Error(`Redis command timed out: ${args[0]}`));
+      }, COMMAND_TIMEOUT_MS);
+
+      this.pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+}
+
+// One client per URL for the life of the instance
+const clients = new Map();
+
+/**
+ * Get the shared client for a Redis URL
+ *
+ * @param {string} url - Redis URL
+ * @returns {RedisClient} Client (connects lazily on first command)
+ */
+function getRedisClient(url) {
+  if (!clients.has(url)) {
+    clients.set(url, new RedisClient(url));
+  }
+  return clients.get(url);
+}
+
+module.exports = {
+  RedisClient,
+  RedisReplyError,
+  getRedisClient
+};
@@ -0,0 +1,204 @@
+/**
+ * Message Search Query Parser
+ *
+ * Parses a Slack-style search string into structured filters and matches
+ * Slack message objects against them. Search runs locally over
+ * conversations.history, so only a bot token is needed (no user-token
+ * search:read scope).
+ *
+ * Supported syntax:
+ * - Bare words: every word must appear in the message (case-insensitive)
+ * - "quoted phrases": the exact phrase must appear
+ * - from:U123 or from:<@U123>: sent by that user
+ * - in:C123, in:<#C123|name> or in:#name: posted in that channel
+ * - has:file, has:reaction: message carries files / reactions
+ * - is:thread: message started or belongs to a thread
+ * - after:YYYY-MM-DD, before:YYYY-MM-DD: date range (UTC days)
+ *
+ * As in Slack, both bounds exclude the given day itself: after:2026-01-10
+ * starts at 2026-01-11 00:00 UTC.
+ */
+
+const { flattenMessageContent } = require('./message-content');
+
+/**
+ * Token pattern: a modifier (key:value, value may be quoted), a quoted
+ * phrase, or a bare word
+ */
+const TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create a validation error the tool handlers surface to the client
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as a validation error
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.isValidationError = true;
+  return error;
+}
+
+/**
+ * Convert a YYYY-MM-DD date (or ISO datetime) into a Slack timestamp string
+ *
+ * @param {string} value - Date string
+ * @param {string} field - Field name for error messages
+ * @param {boolean} endOfDay - For bare dates, use the end of that day instead of the start
+ * @returns {string} Slack timestamp (seconds with 6 decimals)
+ */
+function dateToTs(value, field, endOfDay = false) {
+  const isBareDate = DATE_PATTERN.test(value);
+  const ms = Date.parse(isBareDate ? `${value}T00:00:00Z` : value);
+
+  if (Number.isNaN(ms)) {
+    throw validationError(`Invalid ${field} date: ${value}`);
+  }
+
+  const adjusted = isBareDate && endOfDay ? ms + 24 * 60 * 60 * 1000 : ms;
+  return (adjusted / 1000).toFixed(6);
+}
+
+/**
+ * Strip Slack's <@U123> / <#C123|name> wrappers from an ID
+ *
+ * @param {string} value - Raw modifier value
+ * @returns {string} Bare ID
+ */
+function unwrapId(value) {
+  const match = value.match(/^<[@#]([A-Z0-9]+)(\|[^>]*)?>$/);
+  return match ? match[1] : value.replace(/^[@#]/, '');
+}
+
+/**
+ * Read an in: value as a channel ID, or as a #name for the caller to resolve
+ *
+ * @param {string} value - Raw modifier value
+ * @returns {string} Channel ID or #name
+ */
+function channelRef(value) {
+  const id = unwrapId(value);
+  return /^[CGD][A-Z0-9]+$/.test(id) ? id : `#${id}`;
+}
+
+/**
+ * Parse a search string into filters
+ *
+ * @param {string} query - Search string
+ * @returns {Object} { terms, phrases, from, in, hasFile, hasReaction, isThread, after, before }
+ * @throws {Error} Validation error for unknown or malformed modifiers
+ */
+function parseSearchQuery(query) {
+  const filters = {
+    terms: [],
+    phrases: [],
+    from: null,
+    in: null,
+    hasFile: false,
+    hasReaction: false,
+    isThread: false,
+    after: null,
+    before: null
+  };
+
+  for (const match of (query || '').matchAll(TOKEN_PATTERN)) {
+    const [, key, rawValue, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        filters.phrases.push(phrase.toLowerCase());
+      }
+      continue;
+    }
+
+    if (word !== undefined) {
+      filters.terms.push(word.toLowerCase());
+      continue;
+    }
+
+    const value = rawValue.replace(/^"|"$/g, '');
+
+    switch (key.toLowerCase()) {
+      case 'from':
+        filters.from = unwrapId(value);
+        break;
+      case 'in':
+        filters.in = channelRef(value);
+        break;
+      case 'has':
+        if (value === 'file') {
+          filters.hasFile = true;
+        } else if (value === 'reaction') {
+          filters.hasReaction = true;
+        } else {
+          throw validationError(`Unsupported filter: has:${value}`);
+        }
+        break;
+      case 'is':
+        if (value !== 'thread') {
+          throw validationError(`Unsupported filter: is:${value}`);
+        }
+        filters.isThread = true;
+        break;
+      case 'after':
+        filters.after = dateToTs(value, 'after', true);
+        break;
+      case 'before':
+        filters.before = dateToTs(value, 'before');
+        break;
+      default:
+        // Not a modifier we know (e.g. a URL like https://...), treat as text
+        filters.terms.push(match[0].toLowerCase());
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Check whether a Slack message satisfies the content filters
+ *
+ * Channel and date filters are applied by the caller when choosing which
+ * history to scan, so they are not re-checked here.
+ *
+ * @param {Object} message - Slack message object
+ * @param {Object} filters - Result of parseSearchQuery
+ * @returns {boolean} True if the message matches
+ */
+function matchesSearch(message, filters) {
+  if (filters.from && message.user !== filters.from) {
+    return false;
+  }
+
+  if (filters.hasFile && !(message.files && message.files.length > 0)) {
+    return false;
+  }
+
+  if (filters.hasReaction && !(message.reactions && message.reactions.length > 0)) {
+    return false;
+  }
+
+  if (filters.isThread && !message.thread_ts) {
+    return false;
+  }
+
+  if (filters.terms.length === 0 && filters.phrases.length === 0) {
+    return true;
+  }
+
+  // Search the text (with blocks and attachments from integrations) plus
+  // attached file titles so "has:file report" works
+  const fileText = (message.files || []).map(f => `${f.title || ''} ${f.name || ''}`).join(' ');
+  const haystack = `${flattenMessageContent(message)} ${fileText}`.toLowerCase();
+
+  return filters.terms.every(term => haystack.includes(term)) &&
+    filters.phrases.every(phrase => haystack.includes(phrase));
+}
+
+module.exports = {
+  parseSearchQuery,
+  matchesSearch,
+  dateToTs
+};
@@ -8,28 +8,99 @@
  * The Slack Web API uses OAuth 2.0 Bot tokens for authentication. The token
  * should be stored securely in environment variables and never committed to
  * version control.
+ *
+ * Every API call goes through the client's request scheduler (see
+ * lib/slack-scheduler.js), which bounds parallelism, budgets each method,
+ * handles 429s and refuses calls past the request's deadline.
  */
 
 const { WebClient } = require('@slack/web-api');
+const { getSlackSchedulerConfig } = require('../config/constants');
+const { getDirectoryCache } = require('./directory-cache');
+const { getEventBuffer, BUFFER_CURSOR_PREFIX } = require('./event-buffer');
+const { SlackScheduler } = require('./slack-scheduler');
 const logger = require('../utils/logger');
 
+// Upper bound on conversations.replies pages for one thread (1000 messages each)
+const MAX_REPLY_PAGES = 10;
+
+// Upper bound on users.list pages when the directory has no user index (200 each)
+const MAX_USER_PAGES = 20;
+
+// Upper bound on conversations.members pages for one channel (1000 each)
+const MAX_MEMBER_PAGES = 10;
+
+// Upper bound on users.conversations pages when listing DMs (200 each)
+const MAX_DM_PAGES = 10;
+
+// Per-call HTTP timeout (cut to the time left before the request deadline),
+// and the retries the Web API client makes on network errors; 429s are
+// rejected straight away and retried by the scheduler. Posts get neither the
+// cut nor the retries: one that timed out may have gone through anyway, and
+// trying again would post it twice.
+const SLACK_CALL_TIMEOUT_MS = 10000;
+const SLACK_RETRY_CONFIG = { retries: 2, minTimeout: 500, maxTimeout: 2000 };
+const SLACK_WRITE_RETRY_CONFIG = { retries: 0 };
+
+/**
+ * Web API client whose calls all go through a SlackScheduler
+ *
+ * The method helpers (client.conversations.history, ...) are bound to
+ * apiCall when the client is built, so overriding apiCall covers every call,
+ * including the directory cache's bulk preload.
+ */
+class ScheduledWebClient extends WebClient {
+  /**
+   * @param {string} token - Bot token
+   * @param {SlackScheduler} scheduler - Scheduler for this client's calls
+   * @param {Object} [options]
+   * @param {boolean} [options.write=false] - For posts: no retries, and the
+   *   full SLACK_CALL_TIMEOUT_MS even near the deadline
+   */
+  constructor(token, scheduler, { write = false } = {}) {
+    super(token, {
+      rejectRateLimitedCalls: true,
+      retryConfig: write ? SLACK_WRITE_RETRY_CONFIG : SLACK_RETRY_CONFIG,
+      timeout: SLACK_CALL_TIMEOUT_MS,
+      // Set per attempt, so a call started just before the deadline (or a
+      // network retry of one) does not run past it; axios reads 0 as no limit
+      ...(!write && {
+        requestInterceptor: config => ({
+          ...config,
+          timeout: Math.min(SLACK_CALL_TIMEOUT_MS, scheduler.timeLeft())
+        })
+      })
+    });
+    this.scheduler = scheduler;
+  }
+
+  apiCall(method, options) {
+    return this.scheduler.run(method, () => super.apiCall(method, options));
+  }
+}
+
 /**
  * Slack API Client
  *
  * Provides methods for:
  * - Fetching complete conversation threads
  * - Retrieving user information for message enrichment
+ * - Listing users and channel members for the user directory tools
  * - Retrieving channel metadata
+ * - Posting messages and thread replies
  *
  * All methods include error handling and respect Slack's rate limits.
+ * One SlackClient serves one request: its deadline starts when it is built.
  */
 class SlackClient {
   /**
    * Initialize the Slack Web API client
    *
+   * @param {Object} [options]
+   * @param {number} [options.deadlineMs] - Deadline in place of SLACK_DEADLINE_MS
    * @throws {Error} If SLACK_BOT_TOKEN is not set in environment variables
    */
-  constructor() {
+  constructor({ deadlineMs } = {}) {
     const token = process.env.SLACK_BOT_TOKEN;
 
     if (!token) {
@@ -37,13 +108,83 @@ class SlackClient {
     }
 
     // Initialize the Slack Web API client
-    // This handles authentication, rate limiting, and retries automatically
-    this.client = new WebClient(token);
+    // Rate limits, parallelism and the request deadline are the scheduler's
+    this.scheduler = new SlackScheduler({ ...getSlackSchedulerConfig(), ...(deadlineMs && { deadlineMs }) });
+    this.client = new ScheduledWebClient(token, this.scheduler);
+    // Posts share the scheduler, but are neither retried nor cut short
+    this.writeClient = new ScheduledWebClient(token, this.scheduler, { write: true });
+
+    // Lookups in flight, so parallel formatting asks Slack once per ID
+    this.pendingLookups = new Map();
+
+    // User and channel info comes from the shared directory cache, which
+    // outlives this client (see lib/directory-cache.js)
+    this.directory = getDirectoryCache();
+
+    // Messages received through /api/slack-events, when configured; reads
+    // it covers skip Slack (see lib/event-buffer.js)
+    this.events = getEventBuffer();
+  }
+
+  /**
+   * Whether a call was refused because the request's deadline came
+   *
+   * Tools check this to mark their results partial.
+   *
+   * @returns {boolean} True once the deadline has cut something off
+   */
+  get deadlineReached() {
+    return this.scheduler.deadlineReached;
+  }
 
-    // Cache for user and channel info to reduce API calls
-    // In production, consider using Redis for distributed caching
-    this.userCache = new Map();
-    this.channelCache = new Map();
+  /**
+   * Share one in-flight lookup between concurrent callers asking for the
+   * same key
+   *
+   * @param {string} key - Lookup key, e.g. "user:U123"
+   * @param {Function} lookup - () => Promise
+   * @returns {Promise<*>} The lookup's result
+   */
+  coalesce(key, lookup) {
+    if (!this.pendingLookups.has(key)) {
+      this.pendingLookups.set(key, lookup().finally(() => this.pendingLookups.delete(key)));
+    }
+    return this.pendingLookups.get(key);
+  }
+
+  /**
+   * Read one page of channel history (conversations.history)
+   *
+   * Answered from the event buffer when it holds the whole window, from
+   * Slack otherwise. A buffer cursor whose page has since left the buffer
+   * continues from Slack at the same position.
+   *
+   * Required Slack OAuth scopes:
+   * - channels:history (public channels)
+   * - groups:history (private channels)
+   *
+   * @param {Object} params - conversations.history arguments { channel, oldest, latest?, limit?, cursor? }
+   * @returns {Promise<Object>} { messages, has_more, response_metadata }, newest first
+   * @throws {Error} If the API call fails
+   */
+  async getChannelHistory(params) {
+    if (this.events) {
+      try {
+        const buffered = await this.events.getHistory(params);
+        if (buffered) {
+          return buffered;
+        }
+      } catch (error) {
+        logger.warn(`Event buffer read failed for ${params.channel}:`, error.message);
+      }
+    }
+
+    if (params.cursor?.startsWith(BUFFER_CURSOR_PREFIX)) {
+      const { cursor, ...rest } = params;
+      return this.client.conversations.history({ ...rest, latest: cursor.slice(BUFFER_CURSOR_PREFIX.length) });
+    }
+
+    return this.client.conversations.history(params);
   }
 
   /**
@@ -51,10 +192,8 @@ class SlackClient {
    *
    * A thread in Slack is identified by the timestamp (ts) of the parent message.
    * This method fetches the parent message and all replies using the
-   * conversations.replies API endpoint.
-   *
-   * Note: The Slack API returns a maximum of 1000 messages per request.
-   * For threads with more messages, pagination would be required.
+   * conversations.replies API endpoint, following pagination for long threads.
+   * Threads the event buffer holds completely are answered from it instead.
    *
    * Required Slack OAuth scopes:
    * - channels:history (for public channels)
@@ -62,7 +201,10 @@ class SlackClient {
    *
    * @param {string} channelId - The channel ID (e.g., "C1234567890")
    * @param {string} threadTs - The timestamp of the thread's parent message (e.g., "1234567890.123456")
-   * @returns {Promise<Array>} Array of message objects from Slack API
+   * @param {Object} [options]
+   * @param {string} [options.oldest] - Only return replies after this timestamp
+   *   (the parent is still included)
+   * @returns {Promise<Array>} Array of message objects from Slack API, oldest first
    * @throws {Error} If the API call fails
    *
    * @example
@@ -73,22 +215,45 @@ class SlackClient {
    * //   ...
    * // ]
    */
-  async getThreadReplies(channelId, threadTs) {
+  async getThreadReplies(channelId, threadTs, options = {}) {
+    if (this.events) {
+      try {
+        const buffered = await this.events.getThread(channelId, threadTs, options);
+        if (buffered) {
+          return buffered;
+        }
+      } catch (error) {
+        logger.warn(`Event buffer read failed for ${channelId}/${threadTs}:`, error.message);
+      }
+    }
+
     try {
       logger.info(`Fetching thread replies for ${channelId}/${threadTs}`);
 
-      // Call the conversations.replies API
-      // This returns all messages in the thread, including the parent
-      const result = await this.client.conversations.replies({
-        channel: channelId,
-        ts: threadTs,
-        limit: 1000, // Maximum allowed by Slack API
-        inclusive: true // Include the parent message in the results
-      });
+      const messages = [];
+      let cursor;
+      let pages = 0;
 
-      logger.info(`Fetched ${result.messages.length} messages from thread`);
+      do {
+        // Call the conversations.replies API
+        // This returns all messages in the thread, including the parent
+        const result = await this.client.conversations.replies({
+          channel: channelId,
+          ts: threadTs,
+          limit: 1000, // Maximum allowed by Slack API
+          inclusive: true, // Include the parent message in the results
+          ...(options.oldest && { oldest: options.oldest }),
+          ...(cursor && { cursor })
+        });
 
-      return result.messages;
+        messages.push(...(result.messages || []));
+        cursor = result.has_more ? result.response_metadata?.next_cursor : null;
+        pages++;
+      } while (cursor && pages < MAX_REPLY_PAGES);
+
+      logger.info(`Fetched ${messages.length} messages from thread`);
+
+      return messages;
     } catch (error) {
       logger.error('Error fetching thread replies:', error);
 
@@ -107,14 +272,15 @@ class SlackClient {
    * Retrieve detailed information about a Slack user
    *
    * Fetches user profile data including name, email, avatar, and other metadata.
-   * Results are cached to minimize API calls and improve performance.
+   * Results come from the directory cache when fresh; the first miss bulk-loads
+   * the workspace, and only users that load did not cover cost a users.info call.
    *
    * Required Slack OAuth scopes:
    * - users:read (for basic user info)
    * - users:read.email (for email addresses, optional)
    *
    * @param {string} userId - The user ID (e.g., "U1234567890")
-   * @returns {Promise<Object>} User object from Slack API
+   * @returns {Promise<Object|null>} User object (the fields this server uses), null if not found
    * @throws {Error} If the API call fails
    *
    * @example
@@ -132,34 +298,135 @@ class SlackClient {
    * // }
    */
   async getUserInfo(userId) {
-    // Check cache first to avoid unnecessary API calls
-    if (this.userCache.has(userId)) {
-      logger.debug(`Using cached user info for ${userId}`);
-      return this.userCache.get(userId);
+    return this.coalesce(`user:${userId}`, () => this.directory.lookup(this.client, 'user', userId, async () => {
+      try {
+        logger.debug(`Fetching user info for ${userId}`);
+
+        // Call the users.info API
+        const result = await this.client.users.info({
+          user: userId
+        });
+
+        return result.user;
+      } catch (error) {
+        logger.error(`Error fetching user info for ${userId}:`, error);
+
+        // Return null for missing users instead of throwing
+        // This allows processing to continue even if some users are deleted
+        if (error.data?.error === 'user_not_found') {
+          logger.warn(`User ${userId} not found, returning null`);
+          return null;
+        }
+
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * List every user in the workspace
+   *
+   * IDs come from the directory cache's last bulk load, and each user from
+   * getUserInfo (so from the cache). When there is no bulk load to use
+   * (DIRECTORY_PRELOAD=false, or it failed), users.list is paged directly.
+   *
+   * Required Slack OAuth scopes:
+   * - users:read
+   *
+   * @returns {Promise<Array<Object>>} User objects (deleted users included)
+   * @throws {Error} If the API call fails
+   */
+  async listUsers() {
+    let ids = await this.directory.listIds(this.client, 'user');
+
+    if (!ids) {
+      try {
+        logger.info('Listing workspace users');
+
+        ids = [];
+        let cursor;
+        let pages = 0;
+        do {
+          const result = await this.client.users.list({
+            limit: 200,
+            ...(cursor && { cursor })
+          });
+          const members = result.members || [];
+          await this.directory.store('user', members);
+          ids.push(...members.map(member => member.id));
+          cursor = result.response_metadata?.next_cursor;
+          pages++;
+        } while (cursor && pages < MAX_USER_PAGES);
+      } catch (error) {
+        logger.error('Error listing users:', error);
+
+        if (error.data?.error === 'missing_scope') {
+          throw new Error('Slack app is missing the users:read scope');
+        }
+
+        throw error;
+      }
     }
 
+    const users = await Promise.all(ids.map(id => this.getUserInfo(id)));
+    return users.filter(Boolean);
+  }
+
+  /**
+   * Get a user's presence
+   *
+   * Required Slack OAuth scopes:
+   * - users:read
+   *
+   * @param {string} userId - The user ID (e.g., "U1234567890")
+   * @returns {Promise<string|null>} 'active' or 'away', null if unavailable
+   */
+  async getUserPresence(userId) {
     try {
-      logger.debug(`Fetching user info for ${userId}`);
+      const result = await this.client.users.getPresence({ user: userId });
+      return result.presence || null;
+    } catch (error) {
+      logger.warn(`Could not get presence for ${userId}:`, error.data?.error || error.message);
+      return null;
+    }
+  }
 
-      // Call the users.info API
-      const result = await this.client.users.info({
-        user: userId
-      });
+  /**
+   * List the members of a channel
+   *
+   * Required Slack OAuth scopes:
+   * - channels:read (for public channels)
+   * - groups:read (for private channels, if applicable)
+   *
+   * @param {string} channelId - The channel ID (e.g., "C1234567890")
+   * @returns {Promise<Array<string>>} Member user IDs
+   * @throws {Error} If the API call fails
+   */
+  async getChannelMembers(channelId) {
+    try {
+      logger.debug(`Fetching members of ${channelId}`);
+
+      const members = [];
+      let cursor;
+      let pages = 0;
 
-      // Cache the result for future use
-      // Cache entries don't expire in this simple implementation
-      // In production, consider adding TTL (time-to-live)
-      this.userCache.set(userId, result.user);
+      do {
+        const result = await this.client.conversations.members({
+          channel: channelId,
+          limit: 1000,
+          ...(cursor && { cursor })
+        });
+        members.push(...(result.members || []));
+        cursor = result.response_metadata?.next_cursor;
+        pages++;
+      } while (cursor && pages < MAX_MEMBER_PAGES);
 
-      return result.user;
+      return members;
     } catch (error) {
-      logger.error(`Error fetching user info for ${userId}:`, error);
+      logger.error(`Error fetching members of ${channelId}:`, error);
 
-      // Return null for missing users instead of throwing
-      // This allows processing to continue even if some users are deleted
-      if (error.data?.error === 'user_not_found') {
-        logger.warn(`User ${userId} not found, returning null`);
-        return null;
+      if (error.data?.error === 'channel_not_found') {
+        throw new Error(`Channel ${channelId} not found or bot not invited`);
       }
 
       throw error;
@@ -170,14 +437,14 @@ class SlackClient {
    * Retrieve detailed information about a Slack channel
    *
    * Fetches channel metadata including name, topic, purpose, and member count.
-   * Results are cached to minimize API calls.
+   * Results come from the directory cache when fresh (see getUserInfo).
    *
    * Required Slack OAuth scopes:
    * - channels:read (for public channels)
    * - groups:read (for private channels, if applicable)
    *
    * @param {string} channelId - The channel ID (e.g., "C1234567890")
-   * @returns {Promise<Object>} Channel object from Slack API
+   * @returns {Promise<Object>} Channel object (the fields this server uses)
    * @throws {Error} If the API call fails
    *
    * @example
@@ -191,30 +458,188 @@ class SlackClient {
    * // }
    */
   async getChannelInfo(channelId) {
-    // Check cache first
-    if (this.channelCache.has(channelId)) {
-      logger.debug(`Using cached channel info for ${channelId}`);
-      return this.channelCache.get(channelId);
+    return this.coalesce(`channel:${channelId}`, () => this.directory.lookup(this.client, 'channel', channelId, async () => {
+      try {
+        logger.debug(`Fetching channel info for ${channelId}`);
+
+        // Call the conversations.info API
+        const result = await this.client.conversations.info({
+          channel: channelId,
+          include_num_members: true
+        });
+
+        return result.channel;
+      } catch (error) {
+        logger.error(`Error fetching channel info for ${channelId}:`, error);
+
+        // Provide more context about common errors
+        if (error.data?.error === 'channel_not_found') {
+          throw new Error(`Channel ${channelId} not found or bot not invited`);
+        }
+
+        throw error;
+      }
+    }));
+  }
+
+  /**
+   * List the DMs and group DMs the bot is a member of
+   *
+   * Required Slack OAuth scopes:
+   * - im:read (for DMs)
+   * - mpim:read (for group DMs)
+   *
+   * @param {Array<string>} types - 'im' and/or 'mpim'
+   * @returns {Promise<Array<Object>>} Conversation objects (also stored in the directory cache)
+   * @throws {Error} If the API call fails
+   */
+  async listDmConversations(types) {
+    try {
+      logger.info(`Listing ${types.join('/')} conversations`);
+
+      const conversations = [];
+      let cursor;
+      let pages = 0;
+
+      do {
+        const result = await this.client.users.conversations({
+          types: types.join(','),
+          exclude_archived: true,
+          limit: 200,
+          ...(cursor && { cursor })
+        });
+        conversations.push(...(result.channels || []));
+        cursor = result.response_metadata?.next_cursor;
+        pages++;
+      } while (cursor && pages < MAX_DM_PAGES);
+
+      await this.directory.store('channel', conversations);
+      return conversations;
+    } catch (error) {
+      logger.error('Error listing DM conversations:', error);
+
+      if (error.data?.error === 'missing_scope') {
+        throw new Error(`Slack app is missing a scope to list ${types.join('/')} conversations`);
+      }
+
+      throw error;
     }
+  }
+
+  /**
+   * Get the OAuth scopes granted to the bot token
+   *
+   * @returns {Promise<Array<string>|null>} Scopes, null if Slack did not report them
+   * @throws {Error} If the API call fails
+   */
+  async getGrantedScopes() {
+    const result = await this.client.auth.test();
+    return result.response_metadata?.scopes || null;
+  }
+
+  /**
+   * Retrieve a usergroup (e.g. @oncall) by ID
+   *
+   * Slack has no single-usergroup lookup, so a miss loads the whole list
+   * with usergroups.list and caches every group from it.
+   *
+   * Required Slack OAuth scopes:
+   * - usergroups:read
+   *
+   * @param {string} usergroupId - The usergroup ID (e.g., "S1234567890")
+   * @returns {Promise<Object|null>} { id, handle, name, is_disabled }, null if unknown
+   * @throws {Error} If the API call fails
+   */
+  async getUsergroupInfo(usergroupId) {
+    return this.directory.lookup(this.client, 'usergroup', usergroupId, async () => {
+      try {
+        logger.debug(`Fetching usergroups to resolve ${usergroupId}`);
 
+        const result = await this.client.usergroups.list({ include_disabled: true });
+        const usergroups = result.usergroups || [];
+        await this.directory.store('usergroup', usergroups);
+
+        return usergroups.find(group => group.id === usergroupId) || null;
+      } catch (error) {
+        logger.error(`Error fetching usergroups for ${usergroupId}:`, error);
+
+        if (error.data?.error === 'missing_scope') {
+          throw new Error('Slack app is missing the usergroups:read scope');
+        }
+
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * List the user groups a user belongs to
+   *
+   * Required Slack OAuth scopes:
+   * - usergroups:read
+   *
+   * @param {string} userId - The user ID (e.g., "U1234567890")
+   * @returns {Promise<Array<Object>>} Active groups as { id, handle }
+   * @throws {Error} If the API call fails
+   */
+  async getUserUsergroups(userId) {
     try {
-      logger.debug(`Fetching channel info for ${channelId}`);
+      logger.debug(`Fetching usergroups of ${userId}`);
 
-      // Call the conversations.info API
-      const result = await this.client.conversations.info({
-        channel: channelId
-      });
+      const result = await this.client.usergroups.list({ include_users: true });
+      const usergroups = result.usergroups || [];
+      await this.directory.store('usergroup', usergroups);
 
-      // Cache the result
-      this.channelCache.set(channelId, result.channel);
+      return usergroups
+        .filter(group => !(group.date_delete > 0) && (group.users || []).includes(userId))
+        .map(group => ({ id: group.id, handle: group.handle }));
+    } catch (error) {
+      logger.error(`Error fetching usergroups of ${userId}:`, error);
 
-      return result.channel;
+      if (error.data?.error === 'missing_scope') {
+        throw new Error('Slack app is missing the usergroups:read scope');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Post a message to a channel or thread
+   *
+   * Callers are responsible for checking the channel against the write
+   * allowlist (SLACK_WRITE_CHANNELS) before calling this method.
+   *
+   * Required Slack OAuth scopes:
+   * - chat:write
+   *
+   * @param {Object} payload - chat.postMessage arguments (channel, text, thread_ts, ...)
+   * @returns {Promise<Object>} { channel, ts, thread_ts } of the posted message
+   * @throws {Error} If the API call fails
+   *
+   * @example
+   * const posted = await slackClient.postMessage({ channel: 'C1234567890', text: 'Deployed' });
+   * // Returns: { channel: 'C1234567890', ts: '1234567890.123456', thread_ts: null }
+   */
+  async postMessage(payload) {
+    try {
+      logger.info(`Posting message to ${payload.channel}${payload.thread_ts ? `/${payload.thread_ts}` : ''}`);
+
+      const result = await this.writeClient.chat.postMessage(payload);
+
+      return {
+        channel: result.channel,
+        ts: result.ts,
+        thread_ts: payload.thread_ts || null
+      };
     } catch (error) {
-      logger.error(`Error fetching channel info for ${channelId}:`, error);
+      logger.error(`Error posting message to ${payload.channel}:`, error);
 
       // Provide more context about common errors
-      if (error.data?.error === 'channel_not_found') {
-        throw new Error(`Channel ${channelId} not found or bot not invited`);
+      if (error.data?.error === 'channel_not_found' || error.data?.error === 'not_in_channel') {
+        throw new Error(`Channel ${payload.channel} not found or bot not invited`);
+      } else if (error.data?.error === 'missing_scope') {
+        throw new Error('Slack app is missing the chat:write scope');
       }
 
       throw error;
@@ -225,13 +650,14 @@ class SlackClient {
    * Clear all caches
    *
    * Useful for testing or when you need to force fresh data from the API.
-   * In a serverless environment, caches are automatically cleared between
-   * cold starts.
+   * This clears the shared directory cache for every client using the same
+   * backend, and the next lookup triggers a new bulk preload.
+   *
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    logger.info('Clearing Slack client caches');
-    this.userCache.clear();
-    this.channelCache.clear();
+  async clearCache() {
+    logger.info('Clearing Slack directory cache');
+    await this.directory.clear();
   }
 }
 
@@ -0,0 +1,244 @@
+/**
+ * Slack Request Scheduler
+ *
+ * Every Slack Web API call a SlackClient makes goes through its scheduler
+ * (see ScheduledWebClient in lib/slack-client.js), which keeps a request
+ * inside Slack's rate limits and inside the serverless timeout:
+ *
+ * - Bounded parallelism: at most SLACK_MAX_CONCURRENCY calls in flight per
+ *   request, so tools can read many channels at once without a burst
+ * - Per-method budgets: a token bucket per Slack method, refilled at the
+ *   method's calls-per-minute budget and shared by every request on the
+ *   instance (Slack's tiers are per method)
+ * - Retry-After: a 429 pauses that method for as long as Slack asks, for
+ *   every request on the instance, and the call is retried
+ * - Deadline: a call that cannot start before the request's deadline is
+ *   refused with a deadline error. Callers skip what it was for and return
+ *   what they have, marked partial.
+ *
+ * Reads that gather results (history, replies, members) stop a little
+ * before the deadline, leaving DEADLINE_RESERVE_MS for the user and channel
+ * lookups that label them.
+ */
+
+const { ErrorCode } = require('@slack/web-api');
+const logger = require('../utils/logger');
+
+// Methods that gather results; they give up early so the lookups that
+// format those results still have time
+const GATHERING_METHODS = new Set([
+  'conversations.history',
+  'conversations.replies',
+  'conversations.members',
+  'users.conversations'
+]);
+
+// Time before the deadline kept back for lookups, at most a quarter of it
+const DEADLINE_RESERVE_MS = 3000;
+
+// Retries of one call after 429 responses
+const MAX_RATE_LIMIT_RETRIES = 2;
+
+// Token buckets and Retry-After pauses per method, shared by every request
+// on this instance: { tokens, updatedAt, pausedUntil }
+const methodBuckets = new Map();
+
+// Counters for /api/health, per instance
+const stats = {
+  calls: 0,
+  rateLimited: 0,
+  deadlineRefusals: 0
+};
+
+/**
+ * Take one call from a method's budget
+ *
+ * @param {string} method - Slack method, e.g. 'users.info'
+ * @param {number} perMinute - The method's budget
+ * @returns {number} 0 if taken, otherwise ms until a call is available
+ */
+function takeToken(method, perMinute) {
+  const now = Date.now();
+  const refillPerMs = perMinute / 60000;
+  const bucket = methodBuckets.get(method) || { tokens: perMinute, updatedAt: now, pausedUntil: 0 };
+  methodBuckets.set(method, bucket);
+
+  bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+
+  if (now < bucket.pausedUntil) {
+    return bucket.pausedUntil - now;
+  }
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / refillPerMs);
+}
+
+/**
+ * Pause a method after a 429, keeping the longer of two pauses
+ *
+ * @param {string} method - Slack method
+ * @param {number} ms - Retry-After in ms
+ */
+function pauseMethod(method, ms) {
+  const bucket = methodBuckets.get(method) || { tokens: 0, updatedAt: Date.now(), pausedUntil: 0 };
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  methodBuckets.set(method, bucket);
+}
+
+/**
+ * Create the error a refused call fails with
+ *
+ * @param {string} method - Slack method that was refused
+ * @returns {Error} Error flagged with isDeadlineExceeded
+ */
+function createDeadlineError(method) {
+  const error = new Error(`Request deadline reached before ${method} could run`);
+  error.isDeadlineExceeded = true;
+  return error;
+}
+
+/**
+ * Check whether an error is a deadline refusal
+ *
+ * @param {Error} error - Any error
+ * @returns {boolean} True if the scheduler refused the call
+ */
+function isDeadlineError(error) {
+  return !!error?.isDeadlineExceeded;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Scheduler for one request's Slack calls
+ */
+class SlackScheduler {
+  /**
+   * The deadline starts counting now
+   *
+   * @param {Object} config - From getSlackSchedulerConfig()
+   */
+  constructor(config) {
+    this.config = config;
+    this.deadline = Date.now() + config.deadlineMs;
+    this.reserveMs = Math.min(DEADLINE_RESERVE_MS, config.deadlineMs / 4);
+    this.active = 0;
+    this.waiting = [];
+    this.deadlineReached = false;
+  }
+
+  /**
+   * Run a Slack call within the limits
+   *
+   * @param {string} method - Slack method
+   * @param {Function} call - () => Promise, the actual API call
+   * @returns {Promise<*>} The call's result
+   * @throws {Error} A deadline error (see isDeadlineError), or the call's own error
+   */
+  async run(method, call) {
+    for (let attempt = 1; ; attempt++) {
+      await this.waitForBudget(method);
+      await this.acquire();
+      try {
+        // Queued behind other calls, so the deadline may have come meanwhile
+        this.checkDeadline(method, 0);
+        stats.calls++;
+        return await call();
+      } catch (error) {
+        if (error.code !== ErrorCode.RateLimitedError || attempt > MAX_RATE_LIMIT_RETRIES) {
+          throw error;
+        }
+        stats.rateLimited++;
+        const retryAfterMs = (error.retryAfter || 1) * 1000;
+        pauseMethod(method, retryAfterMs);
+        logger.warn(`Slack rate limited ${method}, retrying in ${retryAfterMs}ms`);
+      } finally {
+        this.release();
+      }
+    }
+  }
+
+  /**
+   * Wait until the method's budget has a call, or refuse if that is too late
+   */
+  async waitForBudget(method) {
+    const perMinute = this.config.budgets[method] || this.config.defaultBudget;
+    for (;;) {
+      const wait = takeToken(method, perMinute);
+      if (wait === 0) {
+        return;
+      }
+      this.checkDeadline(method, wait);
+      logger.debug(`Waiting ${wait}ms for the ${method} budget`);
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Refuse a call that would start too close to the deadline
+   *
+   * @param {string} method - Slack method
+   * @param {number} waitMs - How long until it could start
+   * @throws {Error} Deadline error
+   */
+  checkDeadline(method, waitMs) {
+    const cutoff = GATHERING_METHODS.has(method) ? this.deadline - this.reserveMs : this.deadline;
+    if (Date.now() + waitMs >= cutoff) {
+      if (!this.deadlineReached) {
+        logger.warn(`Slack request deadline reached, returning partial results (refused ${method})`);
+      }
+      this.deadlineReached = true;
+      stats.deadlineRefusals++;
+      throw createDeadlineError(method);
+    }
+  }
+
+  /**
+   * Milliseconds left before the deadline, never less than 1
+   */
+  timeLeft() {
+    return Math.max(this.deadline - Date.now(), 1);
+  }
+
+  async acquire() {
+    if (this.active < this.config.concurrency) {
+      this.active++;
+      return;
+    }
+    // release() hands its slot straight to the next waiter
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * Scheduler counters for this instance
+ *
+ * @returns {Object} { calls, rateLimited, deadlineRefusals, pausedMethods }
+ */
+function getSchedulerStats() {
+  const now = Date.now();
+  const pausedMethods = [...methodBuckets.entries()]
+    .filter(([, bucket]) => bucket.pausedUntil > now)
+    .map(([method]) => method);
+  return { ...stats, pausedMethods };
+}
+
+module.exports = {
+  SlackScheduler,
+  isDeadlineError,
+  getSchedulerStats
+};
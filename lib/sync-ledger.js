@@ -0,0 +1,326 @@
+/**
+ * Sync Ledger for the Poke Webhook Sync
+ *
+ * Keeps the state /api/cron/sync needs between runs:
+ *
+ * - cursors: per channel, the Slack timestamp the sync has delivered up to;
+ *   the next run scans what came after it
+ * - delivered: a ledger of message keys ("<channelId>:<ts>") already
+ *   accepted by the webhook, so a message is never delivered twice even
+ *   when a run overlaps the previous one or a cursor could not be saved
+ * - lock: one run at a time, so two overlapping cron invocations do not
+ *   both deliver the same messages
+ *
+ * Stores implement:
+ *
+ *   getCursors() -> Promise<{ [channelId]: ts }>
+ *   advanceCursors({ [channelId]: ts }) -> Promise<{ [channelId]: ts }>
+ *   filterUndelivered(keys) -> Promise<string[]>
+ *   markDelivered(keys, expiresAt) -> Promise<void>
+ *   acquireLock(token, ttlMs) -> Promise<boolean>
+ *   releaseLock(token) -> Promise<void>
+ *
+ * advanceCursors() only ever moves a cursor forward, like the watermark
+ * store. Ledger entries expire after DELIVERED_RETENTION_HOURS, by which time
+ * the cursors are well past them.
+ *
+ * - MemorySyncLedger: per warm instance, resets on cold start
+ * - FileSyncLedger: a JSON file, kept across invocations that share a
+ *   filesystem (a persistent volume or a long-running server)
+ * - KvSyncLedger: a Redis-protocol key-value store, shared by all instances
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSyncConfig } = require('../config/constants');
+const { compareTs } = require('./history-pager');
+const { getRedisClient } = require('./redis-client');
+
+// How long a delivered message stays in the ledger (longer than the
+// thread lookback, so a late reply scan cannot resend it)
+const DELIVERED_RETENTION_HOURS = 192;
+
+// Key prefix for the KV store
+const KV_PREFIX = 'poke-slack:sync:';
+
+/**
+ * Merge cursors, keeping the newer timestamp per channel
+ *
+ * @param {Object} current - { channelId: ts }
+ * @param {Object} updates - { channelId: ts }
+ * @returns {Object} Merged cursors
+ */
+function mergeCursors(current, updates) {
+  const merged = { ...current };
+  for (const [channelId, ts] of Object.entries(updates)) {
+    if (!merged[channelId] || compareTs(ts, merged[channelId]) > 0) {
+      merged[channelId] = ts;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Drop expired ledger entries
+ *
+ * @param {Object} delivered - { key: expiresAt }
+ * @param {number} now - Current time in ms
+ * @returns {Object} Entries still valid
+ */
+function pruneDelivered(delivered, now) {
+  const kept = {};
+  for (const [key, expiresAt] of Object.entries(delivered)) {
+    if (expiresAt > now) {
+      kept[key] = expiresAt;
+    }
+  }
+  return kept;
+}
+
+/**
+ * In-memory ledger (one per serverless instance)
+ */
+class MemorySyncLedger {
+  constructor() {
+    this.cursors = {};
+    this.delivered = new Map();
+    this.lock = null;
+  }
+
+  async getCursors() {
+    return { ...this.cursors };
+  }
+
+  async advanceCursors(updates) {
+    this.cursors = mergeCursors(this.cursors, updates);
+    return { ...this.cursors };
+  }
+
+  async filterUndelivered(keys) {
+    const now = Date.now();
+    return keys.filter(key => !(this.delivered.get(key) > now));
+  }
+
+  async markDelivered(keys, expiresAt) {
+    for (const key of keys) {
+      this.delivered.set(key, expiresAt);
+    }
+
+    const now = Date.now();
+    for (const [key, keyExpiresAt] of this.delivered) {
+      if (keyExpiresAt <= now) {
+        this.delivered.delete(key);
+      }
+    }
+  }
+
+  async acquireLock(token, ttlMs) {
+    if (this.lock && this.lock.expiresAt > Date.now()) {
+      return false;
+    }
+    this.lock = { token, expiresAt: Date.now() + ttlMs };
+    return true;
+  }
+
+  async releaseLock(token) {
+    if (this.lock?.token === token) {
+      this.lock = null;
+    }
+  }
+}
+
+/**
+ * JSON file ledger
+ *
+ * The file is re-read on every call so separate processes sharing it see
+ * each other's writes, and rewritten atomically (temporary file and rename).
+ * The lock is advisory: two processes racing for it in the same instant can
+ * both win, which the delivered ledger then absorbs.
+ */
+class FileSyncLedger {
+  /**
+   * @param {string} filePath - Ledger file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return { cursors: data.cursors || {}, delivered: data.delivered || {}, lock: data.lock || null };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { cursors: {}, delivered: {}, lock: null };
+      }
+      throw new Error(`Sync state file ${this.filePath} is unreadable: ${error.message}`);
+    }
+  }
+
+  write(data) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  async getCursors() {
+    return this.read().cursors;
+  }
+
+  async advanceCursors(updates) {
+    const data = this.read();
+    data.cursors = mergeCursors(data.cursors, updates);
+    this.write(data);
+    return { ...data.cursors };
+  }
+
+  async filterUndelivered(keys) {
+    const { delivered } = this.read();
+    const now = Date.now();
+    return keys.filter(key => !(delivered[key] > now));
+  }
+
+  async markDelivered(keys, expiresAt) {
+    const data = this.read();
+    data.delivered = pruneDelivered(data.delivered, Date.now());
+    for (const key of keys) {
+      data.delivered[key] = expiresAt;
+    }
+    this.write(data);
+  }
+
+  async acquireLock(token, ttlMs) {
+    const data = this.read();
+    if (data.lock && data.lock.expiresAt > Date.now()) {
+      return false;
+    }
+    data.lock = { token, expiresAt: Date.now() + ttlMs };
+    this.write(data);
+    return true;
+  }
+
+  async releaseLock(token) {
+    const data = this.read();
+    if (data.lock?.token === token) {
+      data.lock = null;
+      this.write(data);
+    }
+  }
+}
+
+// Deletes the lock only if this run still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis-protocol key-value ledger (shared by all instances)
+ *
+ * Cursors are one hash; each delivered message is its own key with a TTL,
+ * so expiry needs no pruning. The lock is SET NX with a TTL.
+ */
+class KvSyncLedger {
+  /**
+   * @param {RedisClient} redis - Client from lib/redis-client
+   */
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  async getCursors() {
+    const flat = await this.redis.command('HGETALL', `${KV_PREFIX}cursors`);
+    const cursors = {};
+    for (let i = 0; i < flat.length; i += 2) {
+      cursors[flat[i]] = flat[i + 1];
+    }
+    return cursors;
+  }
+
+  async advanceCursors(updates) {
+    // Only the run holding the lock writes cursors, so read-then-write is safe
+    const merged = mergeCursors(await this.getCursors(), updates);
+    const changed = Object.entries(merged).filter(([channelId]) => updates[channelId]);
+    if (changed.length > 0) {
+      await this.redis.command('HSET', `${KV_PREFIX}cursors`, ...changed.flat());
+    }
+    return merged;
+  }
+
+  async filterUndelivered(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+    const values = await this.redis.command('MGET', ...keys.map(key => `${KV_PREFIX}delivered:${key}`));
+    return keys.filter((key, index) => values[index] === null);
+  }
+
+  async markDelivered(keys, expiresAt) {
+    const ttlMs = Math.max(1, Math.round(expiresAt - Date.now()));
+    await Promise.all(keys.map(key =>
+      this.redis.command('SET', `${KV_PREFIX}delivered:${key}`, '1', 'PX', ttlMs)
+    ));
+  }
+
+  async acquireLock(token, ttlMs) {
+    const result = await this.redis.command('SET', `${KV_PREFIX}lock`, token, 'NX', 'PX', ttlMs);
+    return result === 'OK';
+  }
+
+  async releaseLock(token) {
+    await this.redis.command('EVAL', RELEASE_LOCK_SCRIPT, 1, `${KV_PREFIX}lock`, token);
+  }
+}
+
+/**
+ * Ledger key for a message
+ *
+ * @param {string} channelId - Channel ID
+ * @param {string} ts - Message timestamp
+ * @returns {string} "<channelId>:<ts>"
+ */
+function getDeliveryKey(channelId, ts) {
+  return `${channelId}:${ts}`;
+}
+
+/**
+ * When a message delivered now leaves the ledger
+ *
+ * @returns {number} Expiry time in ms
+ */
+function getDeliveredExpiry() {
+  return Date.now() + DELIVERED_RETENTION_HOURS * 60 * 60 * 1000;
+}
+
+let ledger = null;
+
+/**
+ * Get the configured sync ledger (created once per instance)
+ *
+ * @returns {Object} Ledger implementing the interface above
+ */
+function getSyncLedger() {
+  if (!ledger) {
+    const config = getSyncConfig();
+    if (config.store === 'kv') {
+      ledger = new KvSyncLedger(getRedisClient(config.redisUrl));
+    } else if (config.store === 'file') {
+      ledger = new FileSyncLedger(config.filePath);
+    } else {
+      ledger = new MemorySyncLedger();
+    }
+  }
+  return ledger;
+}
+
+module.exports = {
+  MemorySyncLedger,
+  FileSyncLedger,
+  KvSyncLedger,
+  getSyncLedger,
+  getDeliveryKey,
+  getDeliveredExpiry
+};
@@ -0,0 +1,107 @@
+/**
+ * Thread Digest for get_channel_digest
+ *
+ * Picks out the structure of a Slack thread without a language model:
+ *
+ * - opening question: the first message in the thread that asks something
+ * - latest decision: the last reply that reads like a decision or outcome
+ *   ("let's go with", "decided", "approved", "fixed", "shipped", ...)
+ * - answered: someone other than the asker replied after the question
+ *   with something that is not itself a question
+ * - participants, messages and files inside the digest window
+ *
+ * Questions and decisions are matched on what people read (see
+ * readableText in mention-matcher.js), across text, blocks and attachments.
+ */
+
+const { flattenMessageContent } = require('./message-content');
+const { readableText } = require('./mention-matcher');
+const { compareTs } = require('./history-pager');
+
+// A "?" ending a word, so URLs with query strings do not count
+const QUESTION_PATTERN = /\?(?=\s|$)/;
+
+// Phrases that usually announce a decision or an outcome
+const DECISION_PATTERNS = [
+  /\b(we|i)(['’]ve| have)? (decided|agreed|chose|chosen)\b/i,
+  /\b(decided|consensus|final call)\b/i,
+  /\b(let['’]s|we['’]ll|we will|going to) (go with|use|ship|stick with|move forward|proceed)\b/i,
+  /\bgoing with\b/i,
+  /\b(approved|signed off|sign-off|green ?light|lgtm)\b/i,
+  /\b(resolved|fixed|shipped|merged|deployed|rolled back|reverted)\b/i
+];
+
+/**
+ * What people read in a message, as plain text
+ *
+ * @param {Object} message - Raw Slack message
+ * @returns {string} Text
+ */
+function messageText(message) {
+  return readableText(flattenMessageContent(message) || '');
+}
+
+/**
+ * Whether text asks a question
+ *
+ * @param {string} text - Readable message text
+ * @returns {boolean} True if it contains a question mark ending a word
+ */
+function isQuestion(text) {
+  return QUESTION_PATTERN.test(text);
+}
+
+/**
+ * Whether text reads like a decision or outcome
+ *
+ * @param {string} text - Readable message text
+ * @returns {boolean} True if a decision phrase appears (questions never count)
+ */
+function isDecision(text) {
+  return !isQuestion(text) && DECISION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Digest one thread
+ *
+ * @param {Object} parent - Raw thread parent
+ * @param {Array<Object>} replies - Raw replies, oldest first (parent excluded)
+ * @param {string} oldest - Start of the digest window (Slack timestamp)
+ * @returns {Object} { messages, participants, files, openingQuestion,
+ *   latestDecision, answered } where messages are those inside the window,
+ *   participants are user IDs in order of first message in the window, and
+ *   openingQuestion / latestDecision are raw messages or null
+ */
+function digestThread(parent, replies, oldest) {
+  const thread = [parent, ...replies];
+  const inWindow = thread.filter(message => compareTs(message.ts, oldest) > 0);
+
+  const texts = new Map(thread.map(message => [message.ts, messageText(message)]));
+  const openingQuestion = thread.find(message => isQuestion(texts.get(message.ts))) || null;
+  const latestDecision = [...replies].reverse().find(message => isDecision(texts.get(message.ts))) || null;
+
+  let answered = false;
+  if (openingQuestion) {
+    answered = thread.some(message =>
+      compareTs(message.ts, openingQuestion.ts) > 0 &&
+      message.user !== openingQuestion.user &&
+      !isQuestion(texts.get(message.ts))
+    );
+  }
+
+  return {
+    messages: inWindow,
+    participants: [...new Set(inWindow.map(message => message.user).filter(Boolean))],
+    files: inWindow.reduce((sum, message) => sum + (message.files || []).length, 0),
+    openingQuestion,
+    latestDecision,
+    answered
+  };
+}
+
+module.exports = {
+  messageText,
+  isQuestion,
+  isDecision,
+  digestThread
+};
@@ -0,0 +1,145 @@
+/**
+ * Fuzzy User Matching for find_users
+ *
+ * Scores a directory user against a free-text query over their display
+ * name, real name, handle and (only when INCLUDE_USER_EMAILS is enabled, as
+ * otherwise the cache never holds it) email:
+ *
+ * - 100: the whole field equals the query
+ * - 80: the field starts with the query
+ * - 70: every query word starts a word of the field ("doe ja" -> Jane Doe)
+ * - 50: the field contains the query
+ * - 30: every query word is within a typo or two of a word ("jnae" -> Jane)
+ *
+ * Matching ignores case and accents. A user's score is their best field.
+ */
+
+// Separators between words in names, handles and emails
+const WORD_SEPARATOR = /[\s._@-]+/;
+
+/**
+ * Lowercase and strip accents so "José" matches "jose"
+ *
+ * @param {string} value - Text
+ * @returns {string} Normalized text
+ */
+function normalize(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Edit distance counting swapped neighbours as one typo, giving up once it
+ * exceeds `max`
+ *
+ * @returns {number} Distance, or max + 1 if larger
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Typos tolerated in a query word: none for short words
+ */
+function allowedTypos(word) {
+  return word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Score one field against a normalized query
+ *
+ * @param {string} value - Field value
+ * @param {string} query - Normalized query
+ * @returns {number} 0 (no match) to 100
+ */
+function scoreField(value, query) {
+  if (!value) {
+    return 0;
+  }
+
+  const field = normalize(value);
+  if (field === query) {
+    return 100;
+  }
+  if (field.startsWith(query)) {
+    return 80;
+  }
+
+  const words = field.split(WORD_SEPARATOR).filter(Boolean);
+  const queryWords = query.split(WORD_SEPARATOR).filter(Boolean);
+  if (queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)))) {
+    return 70;
+  }
+  if (field.includes(query)) {
+    return 50;
+  }
+
+  const fuzzy = queryWords.every(queryWord => {
+    const typos = allowedTypos(queryWord);
+    return words.some(word =>
+      word.startsWith(queryWord) ||
+      (typos > 0 && (
+        editDistance(queryWord, word, typos) <= typos ||
+        editDistance(queryWord, word.slice(0, queryWord.length), typos) <= typos
+      ))
+    );
+  });
+  return fuzzy ? 30 : 0;
+}
+
+/**
+ * Score a user against a query
+ *
+ * @param {Object} user - Compact user from the directory cache
+ * @param {string} query - Search text
+ * @returns {Object} { score, field } where field is the best-matching field name (score 0: no match)
+ */
+function scoreUser(user, query) {
+  const normalized = normalize(query);
+  if (!/[\p{L}\p{N}]/u.test(normalized)) {
+    // Only separators (e.g. "." or "@") would match nearly everyone
+    return { score: 0, field: null };
+  }
+
+  const fields = {
+    display_name: user.profile?.display_name,
+    real_name: user.real_name || user.profile?.real_name,
+    handle: user.name,
+    email: user.profile?.email
+  };
+
+  let best = { score: 0, field: null };
+  for (const [field, value] of Object.entries(fields)) {
+    const score = scoreField(value, normalized);
+    if (score > best.score) {
+      best = { score, field };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  scoreUser
+};
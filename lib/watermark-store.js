@@ -0,0 +1,179 @@
+/**
+ * Watermark Store for get_new_messages
+ *
+ * Remembers, per authenticated client and per channel, the Slack timestamp
+ * up to which the client has acknowledged messages. Everything at or before
+ * a channel's watermark has been delivered and acked; get_new_messages
+ * returns what came after it.
+ *
+ * Stores implement:
+ *
+ *   get(clientName) -> Promise<{ [channelId]: ts }>
+ *   advance(clientName, { [channelId]: ts }) -> Promise<{ [channelId]: ts }>
+ *
+ * advance() only ever moves a watermark forward, so acking an older
+ * checkpoint after a newer one (e.g. a retried run finishing late) is
+ * harmless.
+ *
+ * - MemoryWatermarkStore: per warm instance, resets on cold start
+ * - FileWatermarkStore: a JSON file, kept across invocations that share a
+ *   filesystem (a persistent volume or a long-running server)
+ *
+ * get_new_messages hands out an opaque checkpoint describing how far its
+ * response reached; acking that checkpoint is what moves the watermarks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWatermarkConfig } = require('../config/constants');
+const { compareTs } = require('./history-pager');
+
+/**
+ * Merge watermarks, keeping the newer timestamp per channel
+ *
+ * @param {Object} current - { channelId: ts }
+ * @param {Object} updates - { channelId: ts }
+ * @returns {Object} Merged watermarks
+ */
+function mergeWatermarks(current, updates) {
+  const merged = { ...current };
+  for (const [channelId, ts] of Object.entries(updates)) {
+    if (!merged[channelId] || compareTs(ts, merged[channelId]) > 0) {
+      merged[channelId] = ts;
+    }
+  }
+  return merged;
+}
+
+/**
+ * In-memory watermark store (one per serverless instance)
+ */
+class MemoryWatermarkStore {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  async get(clientName) {
+    return { ...(this.clients.get(clientName) || {}) };
+  }
+
+  async advance(clientName, watermarks) {
+    const merged = mergeWatermarks(this.clients.get(clientName) || {}, watermarks);
+    this.clients.set(clientName, merged);
+    return { ...merged };
+  }
+}
+
+/**
+ * JSON file watermark store
+ *
+ * The file is re-read on every call so separate processes sharing it see
+ * each other's acks, and rewritten atomically (temporary file and rename).
+ */
+class FileWatermarkStore {
+  /**
+   * @param {string} filePath - Store file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).clients || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Watermark file ${this.filePath} is unreadable: ${error.message}`);
+    }
+  }
+
+  async get(clientName) {
+    return { ...(this.read()[clientName] || {}) };
+  }
+
+  async advance(clientName, watermarks) {
+    const clients = this.read();
+    clients[clientName] = mergeWatermarks(clients[clientName] || {}, watermarks);
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ clients }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+
+    return { ...clients[clientName] };
+  }
+}
+
+/**
+ * Checkpoint format version, bumped if the encoded shape ever changes
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Encode the watermarks a response reached into an opaque checkpoint
+ *
+ * @param {string} clientName - Client the checkpoint belongs to
+ * @param {Object} watermarks - { channelId: ts }
+ * @returns {string} URL-safe checkpoint
+ */
+function encodeCheckpoint(clientName, watermarks) {
+  const payload = { v: CHECKPOINT_VERSION, client: clientName, marks: watermarks };
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a checkpoint returned by get_new_messages
+ *
+ * @param {string} checkpoint - Checkpoint string
+ * @returns {Object} { client, watermarks }
+ * @throws {Error} If the checkpoint is malformed (flagged as a validation error)
+ */
+function decodeCheckpoint(checkpoint) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(checkpoint, 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  const valid = payload &&
+    payload.v === CHECKPOINT_VERSION &&
+    typeof payload.client === 'string' &&
+    payload.marks && typeof payload.marks === 'object' && !Array.isArray(payload.marks) &&
+    Object.values(payload.marks).every(ts => typeof ts === 'string' && /^\d+\.\d+$/.test(ts));
+
+  if (!valid) {
+    const error = new Error('Invalid checkpoint');
+    error.isValidationError = true;
+    throw error;
+  }
+
+  return { client: payload.client, watermarks: payload.marks };
+}
+
+let store = null;
+
+/**
+ * Get the configured watermark store (created once per instance)
+ *
+ * @returns {Object} Store implementing get() and advance()
+ */
+function getWatermarkStore() {
+  if (!store) {
+    const config = getWatermarkConfig();
+    store = config.store === 'file'
+      ? new FileWatermarkStore(config.filePath)
+      : new MemoryWatermarkStore();
+  }
+  return store;
+}
+
+module.exports = {
+  MemoryWatermarkStore,
+  FileWatermarkStore,
+  getWatermarkStore,
+  encodeCheckpoint,
+  decodeCheckpoint
+};
@@ -0,0 +1,192 @@
+/**
+ * Merged history pager and cursor tests (lib/history-pager.js)
+ *
+ * Slack is replaced by an in-memory history per channel, so these run
+ * offline.
+ */
+
+process.env.SLACK_BOT_TOKEN = 'xoxb-test';
+process.env.SLACK_MONITOR_CHANNELS = 'C1,C2';
+process.env.MCP_AUTH_TOKEN = 'test-token';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compareTs,
+  encodeCursor,
+  decodeCursor,
+  createInitialState,
+  fetchMergedPage
+} = require('../lib/history-pager');
+
+/**
+ * Fake Slack client serving conversations.history newest first, `pageSize`
+ * messages per page, with numeric cursors
+ */
+function createFakeSlack(histories, pageSize = 2) {
+  const calls = [];
+  return {
+    calls,
+    async getChannelHistory({ channel, oldest, latest, cursor }) {
+      calls.push({ channel, cursor: cursor || null });
+      const messages = (histories[channel] || [])
+        .filter(ts => compareTs(ts, oldest) > 0 && (!latest || compareTs(ts, latest) < 0))
+        .sort((a, b) => compareTs(b, a))
+        .map(ts => ({ ts, text: `${channel} ${ts}` }));
+      const start = cursor ? parseInt(cursor, 10) : 0;
+      const end = start + pageSize;
+      return {
+        messages: messages.slice(start, end),
+        has_more: end < messages.length,
+        response_metadata: { next_cursor: end < messages.length ? String(end) : '' }
+      };
+    }
+  };
+}
+
+/**
+ * Follow next cursors to the end, returning every "channel:ts" in order
+ */
+async function walk(slack, state, limit) {
+  const seen = [];
+  let pages = 0;
+  while (state) {
+    const page = await fetchMergedPage(slack, state, limit);
+    seen.push(...page.messages.map(({ channelId, message }) => `${channelId}:${message.ts}`));
+    state = page.nextState && decodeCursor(encodeCursor(page.nextState));
+    assert.ok(++pages < 50, 'pager did not terminate');
+  }
+  return seen;
+}
+
+test('compareTs compares beyond double precision', () => {
+  assert.ok(compareTs('1700000000.000002', '1700000000.000001') > 0);
+  assert.ok(compareTs('1700000000.1', '1700000000.099999') > 0);
+  assert.equal(compareTs('1700000000.5', '1700000000.500000'), 0);
+  assert.ok(compareTs('999999999.9', '1000000000.0') < 0);
+});
+
+test('cursors round-trip', () => {
+  const state = {
+    oldest: '1700000000.000000',
+    latest: null,
+    position: { ts: '1700000500.000100', channel: 'C1' },
+    channels: { C1: { cursor: 'abc', done: false }, C2: { cursor: null, done: true } }
+  };
+  assert.deepEqual(decodeCursor(encodeCursor(state)), state);
+});
+
+test('cursors with an edited payload are rejected', () => {
+  const cursor = encodeCursor(createInitialState(['C1'], '1700000000.000000'));
+  const [payload, signature] = cursor.split('.');
+  const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  decoded.oldest = '0.000000';
+  const forged = `${Buffer.from(JSON.stringify(decoded)).toString('base64url')}.${signature}`;
+
+  assert.throws(() => decodeCursor(forged), error => error.isValidationError && error.message === 'Invalid cursor');
+});
+
+test('unsigned and malformed cursors are rejected', () => {
+  const [payload] = encodeCursor(createInitialState(['C1'], '1700000000.000000')).split('.');
+  for (const cursor of [payload, `${payload}.`, `${payload}.x.y`, 'not-a-cursor', '']) {
+    assert.throws(() => decodeCursor(cursor), error => error.isValidationError, cursor);
+  }
+});
+
+test('walks several channels newest first without repeats or gaps', async () => {
+  const histories = {
+    C1: ['1700000010.000000', '1700000008.000000', '1700000005.000000', '1700000001.000000'],
+    C2: ['1700000009.000000', '1700000008.000000', '1700000002.000000']
+  };
+  const expected = Object.entries(histories)
+    .flatMap(([channel, list]) => list.map(ts => ({ channel, ts })))
+    .sort((a, b) => compareTs(b.ts, a.ts) || (a.channel < b.channel ? -1 : 1))
+    .map(({ channel, ts }) => `${channel}:${ts}`);
+
+  for (const limit of [1, 2, 3, 10]) {
+    const seen = await walk(createFakeSlack(histories), createInitialState(['C1', 'C2'], '1700000000.000000'), limit);
+    assert.deepEqual(seen, expected, `limit ${limit}`);
+  }
+});
+
+test('respects the oldest and latest bounds', async () => {
+  const slack = createFakeSlack({ C1: ['1700000010.000000', '1700000005.000000', '1700000001.000000'] });
+  const seen = await walk(slack, createInitialState(['C1'], '1700000001.000000', '1700000010.000000'), 10);
+  assert.deepEqual(seen, ['C1:1700000005.000000']);
+});
+
+test('filtered messages are stepped over and maxScanned stops the page', async () => {
+  const slack = createFakeSlack({ C1: ['1700000004.000000', '1700000003.000000', '1700000002.000000', '1700000001.000000'] });
+  const page = await fetchMergedPage(slack, createInitialState(['C1'], '1700000000.000000'), 10, {
+    filter: message => message.ts !== '1700000003.000000',
+    maxScanned: 3
+  });
+
+  assert.deepEqual(page.messages.map(({ message }) => message.ts), ['1700000004.000000', '1700000002.000000']);
+  assert.equal(page.scanned, 3);
+  assert.deepEqual(page.nextState.position, { ts: '1700000002.000000', channel: 'C1' });
+});
+
+test('a channel that fails to load is dropped from the walk', async () => {
+  const slack = createFakeSlack({ C2: ['1700000002.000000'] });
+  const original = slack.getChannelHistory;
+  slack.getChannelHistory = async params => {
+    if (params.channel === 'C1') {
+      throw new Error('channel_not_found');
+    }
+    return original(params);
+  };
+
+  const page = await fetchMergedPage(slack, createInitialState(['C1', 'C2'], '1700000000.000000'), 10);
+  assert.deepEqual(page.messages.map(({ channelId }) => channelId), ['C2']);
+  assert.equal(page.nextState, null);
+});
+
+test('a channel the deadline refused stays in the cursor and is read later without gaps', async () => {
+  const histories = {
+    C1: ['1700000010.000000', '1700000006.000000', '1700000002.000000'],
+    C2: ['1700000009.000000', '1700000007.000000', '1700000003.000000', '1700000001.000000']
+  };
+  const slack = createFakeSlack(histories);
+  const original = slack.getChannelHistory;
+  let refusals = 1;
+  slack.getChannelHistory = async params => {
+    if (params.channel === 'C2' && refusals > 0) {
+      refusals--;
+      throw Object.assign(new Error('deadline'), { isDeadlineExceeded: true });
+    }
+    return original(params);
+  };
+
+  const first = await fetchMergedPage(slack, createInitialState(['C1', 'C2'], '1700000000.000000'), 2);
+  assert.deepEqual(first.unread, ['C2']);
+  assert.deepEqual(first.messages.map(({ channelId, message }) => `${channelId}:${message.ts}`), [
+    'C1:1700000010.000000', 'C1:1700000006.000000'
+  ]);
+  assert.deepEqual(first.nextState.channels.C2, { cursor: null, done: false, position: null });
+
+  // Everything C2 has newer than the first page's end still comes
+  const rest = await walk(slack, decodeCursor(encodeCursor(first.nextState)), 2);
+  assert.deepEqual(rest, [
+    'C2:1700000009.000000', 'C2:1700000007.000000', 'C2:1700000003.000000',
+    'C1:1700000002.000000', 'C2:1700000001.000000'
+  ]);
+});
+
+test('when every channel is refused the cursor keeps them all', async () => {
+  const slack = {
+    async getChannelHistory() {
+      throw Object.assign(new Error('deadline'), { isDeadlineExceeded: true });
+    }
+  };
+  const state = createInitialState(['C1', 'C2'], '1700000000.000000');
+  const page = await fetchMergedPage(slack, state, 10);
+
+  assert.deepEqual(page.messages, []);
+  assert.deepEqual(page.unread, ['C1', 'C2']);
+  assert.deepEqual(page.nextState.channels, {
+    C1: { cursor: null, done: false, position: null },
+    C2: { cursor: null, done: false, position: null }
+  });
+});
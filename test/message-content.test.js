@@ -0,0 +1,24 @@
+/**
+ * Block Kit flattening tests (lib/message-content.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBlocks } = require('../lib/message-content');
+
+const emojiBlock = (name, unicode) => [{
+  type: 'rich_text',
+  elements: [{ type: 'rich_text_section', elements: [{ type: 'emoji', name, unicode }] }]
+}];
+
+test('renders emoji from their code points', () => {
+  assert.equal(renderBlocks(emojiBlock('thumbsup', '1f44d')), '👍');
+  assert.equal(renderBlocks(emojiBlock('technologist', '1f468-200d-1f4bb')), '👨‍💻');
+  assert.equal(renderBlocks(emojiBlock('partyparrot')), ':partyparrot:');
+});
+
+test('falls back to the emoji name for malformed code points', () => {
+  for (const unicode of ['zz', '110000', '1f44d-', '-1f44d']) {
+    assert.equal(renderBlocks(emojiBlock('odd', unicode)), ':odd:', unicode);
+  }
+});
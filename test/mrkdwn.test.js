@@ -0,0 +1,30 @@
+/**
+ * mrkdwn rendering tests (lib/mrkdwn.js)
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMrkdwn } = require('../lib/mrkdwn');
+
+const slack = {
+  getUserInfo: async id => (id === 'U1' ? { real_name: 'Jane Doe' } : null),
+  getChannelInfo: async id => (id === 'C1' ? { name: 'eng' } : null),
+  getUsergroupInfo: async () => null
+};
+
+test('renders references, emphasis and entities', async () => {
+  const text = '<!here> *deploy* by <@U1> in <#C1>: <https://ci.example.com/1|build> &amp; tests';
+  assert.equal(
+    await renderMrkdwn(text, slack),
+    '@here **deploy** by @Jane Doe in #eng: [build](https://ci.example.com/1) & tests'
+  );
+});
+
+test('renders dates, keeping tokens whose epoch cannot be read', async () => {
+  assert.equal(await renderMrkdwn('<!date^0^{date}>', slack), '1970-01-01T00:00:00.000Z');
+  assert.equal(await renderMrkdwn('<!date^0^{date}|Jan 1st>', slack), 'Jan 1st');
+  assert.equal(await renderMrkdwn('at <!date^abc^{date}>', slack), 'at <!date^abc^{date}>');
+  assert.equal(await renderMrkdwn('<!date^99999999999999999^{date}>', slack), '<!date^99999999999999999^{date}>');
+});
@@ -0,0 +1,156 @@
+/**
+ * New message scanning tests (lib/new-messages.js)
+ *
+ * Slack is replaced by an in-memory channel with paged history and thread
+ * replies, so these run offline.
+ */
+
+process.env.SLACK_BOT_TOKEN = 'xoxb-test';
+process.env.SLACK_MONITOR_CHANNELS = 'C1';
+process.env.MCP_AUTH_TOKEN = 'test-token';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareTs } = require('../lib/history-pager');
+const { collectNewItems, sortNewItems, getReachedPositions } = require('../lib/new-messages');
+
+const BASE = 1700000000;
+
+function ts(offset) {
+  return `${BASE + offset}.000100`;
+}
+
+/**
+ * Fake Slack client for one channel: `messages` are top-level messages
+ * (parents carry reply_count and latest_reply), `replies` maps a parent ts
+ * to its replies. History is served newest first, `limit` per page.
+ */
+function createFakeSlack(messages, replies = {}, { refuseThread } = {}) {
+  const calls = { history: 0, replies: 0 };
+  return {
+    calls,
+    async getChannelHistory({ oldest, latest, limit, cursor }) {
+      calls.history++;
+      const matching = messages
+        .filter(message => compareTs(message.ts, oldest) > 0 && (!latest || compareTs(message.ts, latest) < 0))
+        .sort((a, b) => compareTs(b.ts, a.ts));
+      const start = cursor ? parseInt(cursor, 10) : 0;
+      const end = start + limit;
+      return {
+        messages: matching.slice(start, end),
+        has_more: end < matching.length,
+        response_metadata: { next_cursor: end < matching.length ? String(end) : '' }
+      };
+    },
+    async getThreadReplies(channelId, threadTs, { oldest } = {}) {
+      calls.replies++;
+      if (threadTs === refuseThread) {
+        const error = new Error('Request deadline reached before conversations.replies could run');
+        error.isDeadlineExceeded = true;
+        throw error;
+      }
+      const parent = messages.find(message => message.ts === threadTs);
+      return [parent, ...(replies[threadTs] || []).filter(reply => !oldest || compareTs(reply.ts, oldest) > 0)];
+    }
+  };
+}
+
+/**
+ * Scan and deliver everything, moving the position like get_new_messages
+ * and the sync do, until the channel is caught up
+ */
+async function catchUp(slack, since, until) {
+  const delivered = [];
+  let position = since;
+  for (let scans = 1; ; scans++) {
+    const scan = await collectNewItems(slack, 'C1', position, until);
+    const items = sortNewItems(scan.items);
+    delivered.push(...items.map(item => item.message.ts));
+    const reached = getReachedPositions({ C1: scan.scannedTo }, items, items);
+    position = reached.C1 || position;
+    if (scan.complete) {
+      return { delivered, scans };
+    }
+    assert.ok(scans < 20, 'scan did not catch up');
+  }
+}
+
+test('a channel with more new messages than one walk reads is caught up oldest first', async () => {
+  const messages = Array.from({ length: 3000 }, (_, index) => ({ ts: ts(index + 1), text: `m${index}` }));
+  const slack = createFakeSlack(messages);
+
+  const first = await collectNewItems(slack, 'C1', ts(0), ts(5000));
+  assert.equal(first.complete, false);
+  assert.equal(sortNewItems(first.items)[0].message.ts, ts(1), 'the oldest new message comes first');
+  assert.ok(first.items.every(item => compareTs(item.message.ts, first.scannedTo) <= 0));
+
+  const { delivered, scans } = await catchUp(slack, ts(0), ts(5000));
+  assert.deepEqual(delivered, messages.map(message => message.ts));
+  assert.ok(scans > 1);
+});
+
+test('a partly delivered scan stops the position after the last delivered item', async () => {
+  const messages = Array.from({ length: 10 }, (_, index) => ({ ts: ts(index + 1) }));
+  const scan = await collectNewItems(createFakeSlack(messages), 'C1', ts(0), ts(100));
+  const items = sortNewItems(scan.items);
+
+  assert.deepEqual(getReachedPositions({ C1: scan.scannedTo }, items, items.slice(0, 4)), { C1: ts(4) });
+  assert.deepEqual(getReachedPositions({ C1: scan.scannedTo }, items, []), {});
+  assert.deepEqual(getReachedPositions({ C1: scan.scannedTo }, items, items), { C1: `${BASE + 100}.000099` });
+});
+
+test('threads beyond the expansion cap are skipped and reported, least recently active first', async () => {
+  const messages = [];
+  const replies = {};
+  for (let index = 0; index < 60; index++) {
+    const parentTs = ts(10 + index);
+    replies[parentTs] = [{ ts: ts(1000 + index), thread_ts: parentTs }];
+    messages.push({ ts: parentTs, reply_count: 1, latest_reply: ts(1000 + index) });
+  }
+  const slack = createFakeSlack(messages, replies);
+
+  const scan = await collectNewItems(slack, 'C1', ts(0), ts(2000));
+  assert.equal(scan.complete, true);
+  assert.equal(slack.calls.replies, 50);
+  assert.deepEqual(scan.skippedThreads.sort(compareTs), messages.slice(0, 10).map(message => message.ts));
+
+  const delivered = scan.items.map(item => item.message.ts);
+  const expected = [...messages.map(message => message.ts), ...messages.slice(10).map(message => message.latest_reply)];
+  assert.deepEqual(delivered.sort(compareTs), expected.sort(compareTs));
+});
+
+test('replies in threads started before the position are found', async () => {
+  const messages = [
+    { ts: ts(-3600), reply_count: 2, latest_reply: ts(30) },
+    { ts: ts(0), reply_count: 1, latest_reply: ts(20) },
+    { ts: ts(10) }
+  ];
+  const replies = {
+    [ts(-3600)]: [{ ts: ts(-100), thread_ts: ts(-3600) }, { ts: ts(30), thread_ts: ts(-3600) }],
+    [ts(0)]: [{ ts: ts(20), thread_ts: ts(0) }]
+  };
+
+  const scan = await collectNewItems(createFakeSlack(messages, replies), 'C1', ts(0), ts(100));
+  assert.equal(scan.complete, true);
+  assert.deepEqual(sortNewItems(scan.items).map(item => item.message.ts), [ts(10), ts(20), ts(30)]);
+  assert.equal(scan.items.find(item => item.message.ts === ts(20)).parent.ts, ts(0));
+});
+
+test('a thread refused at the deadline holds the position before its parent', async () => {
+  const messages = [
+    { ts: ts(5) },
+    { ts: ts(10), reply_count: 1, latest_reply: ts(40) },
+    { ts: ts(20), reply_count: 1, latest_reply: ts(30) },
+    { ts: ts(50) }
+  ];
+  const replies = {
+    [ts(10)]: [{ ts: ts(40), thread_ts: ts(10) }],
+    [ts(20)]: [{ ts: ts(30), thread_ts: ts(20) }]
+  };
+
+  const scan = await collectNewItems(createFakeSlack(messages, replies, { refuseThread: ts(20) }), 'C1', ts(0), ts(100));
+  assert.equal(scan.complete, false);
+  assert.equal(scan.scannedTo, ts(20));
+  assert.deepEqual(sortNewItems(scan.items).map(item => item.message.ts), [ts(5), ts(10), ts(20)]);
+});
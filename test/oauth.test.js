@@ -0,0 +1,175 @@
+/**
+ * OAuth access token validation tests (lib/oauth.js)
+ *
+ * Tokens are signed with key pairs generated here, and the JWKS is a temp
+ * file, so nothing is fetched.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const ISSUER = 'https://auth.example.com';
+const RESOURCE = 'https://mcp.example.com/api/mcp-http';
+
+const keys = {
+  rsa: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  ec: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+  ed: crypto.generateKeyPairSync('ed25519'),
+  stranger: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+};
+
+const jwksFile = path.join(os.tmpdir(), `poke-slack-test-jwks-${process.pid}.json`);
+fs.writeFileSync(jwksFile, JSON.stringify({
+  keys: [
+    { ...keys.rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' },
+    { ...keys.ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1' },
+    { ...keys.ed.publicKey.export({ format: 'jwk' }), kid: 'ed-1', alg: 'EdDSA' }
+  ]
+}));
+
+process.env.SLACK_BOT_TOKEN = 'xoxb-test';
+process.env.SLACK_MONITOR_CHANNELS = 'C1';
+process.env.MCP_AUTH_TOKEN = 'test-token';
+process.env.LOG_LEVEL = 'error';
+process.env.OAUTH_ISSUER = ISSUER;
+process.env.OAUTH_RESOURCE = RESOURCE;
+process.env.OAUTH_JWKS_FILE = jwksFile;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OAuthError, verifyAccessToken } = require('../lib/oauth');
+
+test.after(() => fs.rmSync(jwksFile, { force: true }));
+
+const SIGNERS = {
+  RS256: key => data => crypto.sign('sha256', data, key),
+  PS256: key => data => crypto.sign('sha256', data, {
+    key,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+  }),
+  ES256: key => data => crypto.sign('sha256', data, { key, dsaEncoding: 'ieee-p1363' }),
+  EdDSA: key => data => crypto.sign(null, data, key)
+};
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+function validClaims(overrides = {}) {
+  return { iss: ISSUER, aud: RESOURCE, sub: 'user-1', exp: now() + 300, scope: 'slack:read', ...overrides };
+}
+
+/**
+ * Build a signed JWT; `header` and `claims` are encoded as given, so they
+ * can be anything JSON.stringify accepts
+ */
+function signToken(header, claims, signer) {
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  return `${signingInput}.${signer(Buffer.from(signingInput)).toString('base64url')}`;
+}
+
+function rsaToken(claims = validClaims(), header = {}) {
+  return signToken({ alg: 'RS256', kid: 'rsa-1', typ: 'at+jwt', ...header }, claims, SIGNERS.RS256(keys.rsa.privateKey));
+}
+
+async function assertRejected(token, message, code = 'invalid_token') {
+  await assert.rejects(verifyAccessToken(token), error => {
+    assert.ok(error instanceof OAuthError, `expected OAuthError, got ${error.name}: ${error.message}`);
+    assert.equal(error.message, message);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+test('accepts tokens signed with each supported key type', async () => {
+  const cases = [
+    ['RS256', 'rsa-1', keys.rsa.privateKey],
+    ['PS256', 'rsa-1', keys.rsa.privateKey],
+    ['ES256', 'ec-1', keys.ec.privateKey],
+    ['EdDSA', 'ed-1', keys.ed.privateKey]
+  ];
+  for (const [alg, kid, privateKey] of cases) {
+    const token = signToken({ alg, kid }, validClaims({ scope: 'slack:read slack:write other' }), SIGNERS[alg](privateKey));
+    const result = await verifyAccessToken(token);
+    assert.deepEqual(result.scopes, ['slack:read', 'slack:write'], alg);
+    assert.equal(result.subject, 'user-1');
+  }
+});
+
+test('rejects a bad signature', async () => {
+  const [header, , signature] = rsaToken().split('.');
+  await assertRejected(`${header}.${encode(validClaims({ scope: 'slack:write' }))}.${signature}`, 'Invalid token signature');
+
+  const forged = signToken({ alg: 'RS256', kid: 'rsa-1' }, validClaims(), SIGNERS.RS256(keys.stranger.privateKey));
+  await assertRejected(forged, 'Invalid token signature');
+});
+
+test('checks exp and nbf with a minute of clock skew', async () => {
+  await assertRejected(rsaToken(validClaims({ exp: now() - 120 })), 'Token expired');
+  await assertRejected(rsaToken(validClaims({ exp: undefined })), 'Token expired');
+  await assertRejected(rsaToken(validClaims({ exp: String(now() + 300) })), 'Token expired');
+  await verifyAccessToken(rsaToken(validClaims({ exp: now() - 30 })));
+
+  await assertRejected(rsaToken(validClaims({ nbf: now() + 300 })), 'Token not yet valid');
+  await verifyAccessToken(rsaToken(validClaims({ nbf: now() + 30 })));
+});
+
+test('checks issuer and audience', async () => {
+  await assertRejected(rsaToken(validClaims({ iss: 'https://evil.example.com' })), 'Token issuer not trusted');
+  await assertRejected(rsaToken(validClaims({ aud: 'https://other.example.com/api/mcp-http' })), 'Token not issued for this resource');
+  await assertRejected(rsaToken(validClaims({ aud: undefined })), 'Token not issued for this resource');
+  await verifyAccessToken(rsaToken(validClaims({ aud: ['https://other.example.com', RESOURCE] })));
+});
+
+test('requires a supported scope', async () => {
+  await assertRejected(rsaToken(validClaims({ scope: 'openid profile' })), 'Token has no supported scope', 'insufficient_scope');
+  const result = await verifyAccessToken(rsaToken(validClaims({ scope: undefined, scp: ['slack:read'] })));
+  assert.deepEqual(result.scopes, ['slack:read']);
+});
+
+test('rejects alg none, HMAC and non-algorithm names', async () => {
+  const claims = encode(validClaims());
+  await assertRejected(`${encode({ alg: 'none', kid: 'rsa-1' })}.${claims}.c2ln`, 'Unsupported token algorithm: none');
+
+  // HS256 keyed with the public key, the classic algorithm confusion attack
+  const publicPem = keys.rsa.publicKey.export({ format: 'pem', type: 'spki' });
+  const hmacToken = signToken({ alg: 'HS256', kid: 'rsa-1' }, validClaims(),
+    data => crypto.createHmac('sha256', publicPem).update(data).digest());
+  await assertRejected(hmacToken, 'Unsupported token algorithm: HS256');
+
+  for (const alg of ['constructor', '__proto__', 'toString']) {
+    await assertRejected(`${encode({ alg, kid: 'rsa-1' })}.${claims}.c2ln`, `Unsupported token algorithm: ${alg}`);
+  }
+});
+
+test('never verifies with a key of another type', async () => {
+  // ES256 claimed, but the kid names the RSA key (which has no "alg")
+  const token = signToken({ alg: 'ES256', kid: 'rsa-1' }, validClaims(), SIGNERS.RS256(keys.rsa.privateKey));
+  await assertRejected(token, 'No matching signing key');
+
+  // The Ed25519 key is pinned to EdDSA
+  const pinned = signToken({ alg: 'RS256', kid: 'ed-1' }, validClaims(), SIGNERS.RS256(keys.rsa.privateKey));
+  await assertRejected(pinned, 'No matching signing key');
+});
+
+test('rejects an unknown key ID', async () => {
+  await assertRejected(rsaToken(validClaims(), { kid: 'rotated-away' }), 'No matching signing key');
+});
+
+test('rejects null, array and non-JSON segments as malformed', async () => {
+  const header = encode({ alg: 'RS256', kid: 'rsa-1' });
+  const claims = encode(validClaims());
+  const cases = [
+    `${encode(null)}.${claims}.c2ln`,
+    `${header}.${encode(null)}.c2ln`,
+    `${encode([])}.${claims}.c2ln`,
+    `${header}.${encode('a string')}.c2ln`,
+    `${header}.bm90IGpzb24.c2ln`,
+    'not-a-jwt'
+  ];
+  for (const token of cases) {
+    await assertRejected(token, 'Malformed token');
+  }
+});
@@ -0,0 +1,222 @@
+/**
+ * Webhook sync tests (lib/poke-sync.js)
+ *
+ * Slack and the ledger are in-memory fakes; batches go to a receiver on
+ * localhost, so these run offline.
+ */
+
+process.env.SLACK_BOT_TOKEN = 'xoxb-test';
+process.env.SLACK_MONITOR_CHANNELS = 'C1,C2';
+process.env.MCP_AUTH_TOKEN = 'test-token';
+process.env.LOG_LEVEL = 'error';
+process.env.POKE_WEBHOOK_SECRET = 'webhook-secret';
+process.env.CRON_SECRET = 'cron-secret';
+process.env.SYNC_STORE = 'memory';
+process.env.SYNC_BATCH_SIZE = '3';
+process.env.SYNC_MAX_RETRIES = '0';
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareTs } = require('../lib/history-pager');
+const { runSync } = require('../lib/poke-sync');
+
+const NOW = Math.floor(Date.now() / 1000);
+
+function ts(secondsAgo) {
+  return `${NOW - secondsAgo}.000100`;
+}
+
+/**
+ * Fake Slack client: `history` maps a channel to its top-level messages.
+ * Channels in `refuse` fail with a deadline error.
+ */
+function createFakeSlack(history, { refuse = [] } = {}) {
+  const read = [];
+  return {
+    read,
+    async getChannelHistory({ channel, oldest, latest, limit }) {
+      if (refuse.includes(channel)) {
+        const error = new Error('Request deadline reached before conversations.history could run');
+        error.isDeadlineExceeded = true;
+        throw error;
+      }
+      read.push(channel);
+      const messages = (history[channel] || [])
+        .filter(message => compareTs(message.ts, oldest) > 0 && (!latest || compareTs(message.ts, latest) < 0))
+        .sort((a, b) => compareTs(b.ts, a.ts));
+      return { messages: messages.slice(0, limit), has_more: false, response_metadata: { next_cursor: '' } };
+    },
+    async getThreadReplies() {
+      return [];
+    },
+    async getChannelInfo(channelId) {
+      return { id: channelId, name: channelId.toLowerCase(), is_channel: true };
+    },
+    async getUserInfo() {
+      return null;
+    }
+  };
+}
+
+/**
+ * Fake ledger that records every cursor move
+ */
+function createFakeLedger({ cursors = {}, delivered = [], locked = false } = {}) {
+  const deliveredKeys = new Set(delivered);
+  return {
+    cursors: { ...cursors },
+    moves: [],
+    released: false,
+    async getCursors() {
+      return { ...this.cursors };
+    },
+    async advanceCursors(updates) {
+      this.moves.push(updates);
+      Object.assign(this.cursors, updates);
+    },
+    async filterUndelivered(keys) {
+      return keys.filter(key => !deliveredKeys.has(key));
+    },
+    async markDelivered(keys) {
+      keys.forEach(key => deliveredKeys.add(key));
+    },
+    async acquireLock() {
+      return !locked;
+    },
+    async releaseLock() {
+      this.released = true;
+    }
+  };
+}
+
+/**
+ * Start a webhook receiver that answers with `responses` in turn (the last
+ * one repeats) and records the message IDs of each batch
+ *
+ * A response is { status, delayMs? }.
+ */
+async function startReceiver(responses) {
+  const batches = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      batches.push(JSON.parse(body).messages.map(message => message.id));
+      const { status, delayMs = 0 } = responses[Math.min(batches.length - 1, responses.length - 1)];
+      setTimeout(() => {
+        if (!res.destroyed) {
+          res.writeHead(status).end();
+        }
+      }, delayMs);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.POKE_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/hook`;
+  return {
+    batches,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// C1 and C2 interleaved, oldest first: C1 at 600, 580, ...; C2 at 590, 570, ...
+const history = {
+  C1: [600, 580, 560, 540].map(ago => ({ ts: ts(ago), text: `c1 ${ago}` })),
+  C2: [590, 570, 550, 530].map(ago => ({ ts: ts(ago), text: `c2 ${ago}` }))
+};
+
+test('cursors move past each batch as soon as it is delivered', async () => {
+  const receiver = await startReceiver([{ status: 200 }]);
+  try {
+    const ledger = createFakeLedger();
+    const result = await runSync({ slack: createFakeSlack(history), ledger });
+
+    assert.equal(result.success, true);
+    assert.equal(result.summary.messagesSent, 8);
+    assert.deepEqual(receiver.batches, [
+      [`C1:${ts(600)}`, `C2:${ts(590)}`, `C1:${ts(580)}`],
+      [`C2:${ts(570)}`, `C1:${ts(560)}`, `C2:${ts(550)}`],
+      [`C1:${ts(540)}`, `C2:${ts(530)}`]
+    ]);
+    // After each batch, up to the item before the next batch's first
+    assert.deepEqual(ledger.moves.slice(0, 2), [
+      { C1: ts(580), C2: ts(590) },
+      { C1: ts(560), C2: ts(550) }
+    ]);
+    assert.ok(compareTs(ledger.cursors.C1, ts(540)) >= 0 && compareTs(ledger.cursors.C2, ts(530)) >= 0);
+    assert.equal(ledger.released, true);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a failed batch stops the run, and the next one resumes from it', async () => {
+  const receiver = await startReceiver([{ status: 200 }, { status: 400 }]);
+  try {
+    const ledger = createFakeLedger();
+    const result = await runSync({ slack: createFakeSlack(history), ledger });
+
+    assert.equal(result.success, false);
+    assert.equal(result.summary.messagesSent, 3);
+    assert.equal(result.summary.failedBatch.error, 'HTTP 400');
+    assert.equal(receiver.batches.length, 2);
+    assert.deepEqual(ledger.cursors, { C1: ts(580), C2: ts(590) });
+  } finally {
+    await receiver.close();
+  }
+
+  const retry = await startReceiver([{ status: 200 }]);
+  try {
+    const ledger = createFakeLedger({ cursors: { C1: ts(580), C2: ts(590) } });
+    await runSync({ slack: createFakeSlack(history), ledger });
+    assert.deepEqual(retry.batches[0], [`C2:${ts(570)}`, `C1:${ts(560)}`, `C2:${ts(550)}`]);
+  } finally {
+    await retry.close();
+  }
+});
+
+test('stops starting batches once the time budget is used up', async () => {
+  process.env.SYNC_TIME_BUDGET_MS = '4000';
+  const receiver = await startReceiver([{ status: 200, delayMs: 1500 }]);
+  try {
+    const ledger = createFakeLedger();
+    const result = await runSync({ slack: createFakeSlack(history), ledger });
+
+    assert.equal(result.summary.outOfTime, true);
+    assert.equal(result.summary.messagesSent, 3);
+    assert.equal(receiver.batches.length, 1);
+    assert.deepEqual(ledger.cursors, { C1: ts(580), C2: ts(590) });
+  } finally {
+    delete process.env.SYNC_TIME_BUDGET_MS;
+    await receiver.close();
+  }
+});
+
+test('reads channels furthest behind first and reports deadline-skipped ones apart from errors', async () => {
+  const receiver = await startReceiver([{ status: 200 }]);
+  try {
+    const slack = createFakeSlack(history);
+    await runSync({ slack, ledger: createFakeLedger({ cursors: { C1: ts(550), C2: ts(595) } }) });
+    assert.deepEqual([...new Set(slack.read)], ['C2', 'C1']);
+
+    const ledger = createFakeLedger();
+    const result = await runSync({ slack: createFakeSlack(history, { refuse: ['C2'] }), ledger });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.summary.channelsSkipped, ['C2']);
+    assert.equal(result.summary.channelErrors, undefined);
+    assert.deepEqual(Object.keys(ledger.cursors), ['C1']);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('skips the run while another one holds the lock', async () => {
+  const slack = createFakeSlack(history);
+  const result = await runSync({ slack, ledger: createFakeLedger({ locked: true }) });
+
+  assert.deepEqual(result, { success: true, skipped: true, summary: { reason: 'Another sync is already running' } });
+  assert.deepEqual(slack.read, []);
+});
@@ -0,0 +1,168 @@
+/**
+ * Webhook delivery tests (lib/poke-webhook.js)
+ *
+ * Deliveries go to a receiver on localhost that checks signatures the way
+ * SECURITY.md tells webhook owners to.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeWebhookSignature, getDeliveryId, deliverBatch } = require('../lib/poke-webhook');
+
+const SECRET = 'webhook-secret';
+
+/**
+ * Verify a delivery as a receiver would: HMAC over "v1:<timestamp>:<raw
+ * body>", constant-time compare, five-minute window
+ */
+function receiverAccepts(headers, rawBody) {
+  const timestamp = headers['x-poke-slack-timestamp'];
+  const signature = headers['x-poke-slack-signature'] || '';
+  if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) {
+    return false;
+  }
+  const expected = Buffer.from(`v1=${crypto.createHmac('sha256', SECRET).update(`v1:${timestamp}:${rawBody}`).digest('hex')}`);
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Start a receiver that answers with `responses` in turn (the last one
+ * repeats) and records what it got
+ *
+ * A response is { status, headers?, delayMs? }.
+ */
+async function startReceiver(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, valid: receiverAccepts(req.headers, body) });
+      const { status, headers = {}, delayMs = 0 } = responses[Math.min(requests.length - 1, responses.length - 1)];
+      setTimeout(() => {
+        if (!res.destroyed) {
+          res.writeHead(status, headers).end();
+        }
+      }, delayMs);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+const config = url => ({ webhookUrl: url, webhookSecret: SECRET, apiKey: '', maxRetries: 3 });
+const payload = { source: 'slack', delivery_id: 'd1', messages: [{ id: 'C1:1.000001', text: 'héllo "quoted"' }] };
+
+test('signs "v1:<timestamp>:<body>" with HMAC-SHA256', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('v1:1700000000:{"a":1}').digest('hex');
+  assert.equal(computeWebhookSignature(SECRET, 1700000000, '{"a":1}'), `v1=${expected}`);
+  assert.notEqual(computeWebhookSignature(SECRET, 1700000001, '{"a":1}'), computeWebhookSignature(SECRET, 1700000000, '{"a":1}'));
+  assert.notEqual(computeWebhookSignature('other', 1700000000, '{"a":1}'), computeWebhookSignature(SECRET, 1700000000, '{"a":1}'));
+});
+
+test('delivery IDs depend on the messages, not their order', () => {
+  assert.equal(getDeliveryId(['C1:1', 'C2:2']), getDeliveryId(['C2:2', 'C1:1']));
+  assert.notEqual(getDeliveryId(['C1:1', 'C2:2']), getDeliveryId(['C1:1']));
+  assert.match(getDeliveryId(['C1:1']), /^[0-9a-f]{32}$/);
+});
+
+test('a delivery verifies at the receiver, with the API key when set', async () => {
+  const receiver = await startReceiver([{ status: 204 }]);
+  try {
+    const result = await deliverBatch({ ...config(receiver.url), apiKey: 'poke-key' }, payload, 'd1');
+    assert.deepEqual(result, { delivered: true, attempts: 1, status: 204 });
+
+    const [request] = receiver.requests;
+    assert.equal(request.valid, true);
+    assert.equal(request.headers['x-poke-slack-delivery'], 'd1');
+    assert.equal(request.headers.authorization, 'Bearer poke-key');
+    assert.deepEqual(JSON.parse(request.body), payload);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('retries 5xx and 429 under the same delivery ID, signing each attempt', async () => {
+  const receiver = await startReceiver([
+    { status: 503, headers: { 'Retry-After': '0' } },
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 200 }
+  ]);
+  try {
+    const result = await deliverBatch(config(receiver.url), payload, 'd2');
+    assert.deepEqual(result, { delivered: true, attempts: 3, status: 200 });
+    assert.equal(receiver.requests.length, 3);
+    assert.ok(receiver.requests.every(request => request.valid && request.headers['x-poke-slack-delivery'] === 'd2'));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('other 4xx answers are final', async () => {
+  const receiver = await startReceiver([{ status: 400 }]);
+  try {
+    const result = await deliverBatch(config(receiver.url), payload, 'd3');
+    assert.deepEqual(result, { delivered: false, attempts: 1, status: 400, error: 'HTTP 400' });
+    assert.equal(receiver.requests.length, 1);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('gives up after the last retry', async () => {
+  const receiver = await startReceiver([{ status: 500, headers: { 'Retry-After': '0' } }]);
+  try {
+    const result = await deliverBatch({ ...config(receiver.url), maxRetries: 1 }, payload, 'd4');
+    assert.deepEqual(result, { delivered: false, attempts: 2, status: 500, error: 'HTTP 500' });
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('never waits or runs past the deadline', async () => {
+  // Retry-After would ask for 20s; the deadline is 2s away
+  const slow = await startReceiver([{ status: 503, headers: { 'Retry-After': '20' } }]);
+  try {
+    const startedAt = Date.now();
+    const result = await deliverBatch(config(slow.url), payload, 'd5', { deadline: startedAt + 2000 });
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 1);
+    assert.ok(Date.now() - startedAt < 1000);
+  } finally {
+    await slow.close();
+  }
+
+  // A hanging receiver is cut off at the deadline rather than the 10s timeout
+  const hanging = await startReceiver([{ status: 200, delayMs: 5000 }]);
+  try {
+    const startedAt = Date.now();
+    const result = await deliverBatch(config(hanging.url), payload, 'd6', { deadline: startedAt + 1500 });
+    assert.equal(result.delivered, false);
+    assert.match(result.error, /timed out/);
+    assert.ok(Date.now() - startedAt < 2500);
+  } finally {
+    await hanging.close();
+  }
+
+  // No time left: nothing is sent
+  const idle = await startReceiver([{ status: 200 }]);
+  try {
+    const result = await deliverBatch(config(idle.url), payload, 'd7', { deadline: Date.now() + 500 });
+    assert.deepEqual(result, { delivered: false, attempts: 0, error: 'Out of time before the delivery could be attempted' });
+    assert.equal(idle.requests.length, 0);
+  } finally {
+    await idle.close();
+  }
+});
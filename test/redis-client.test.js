@@ -0,0 +1,97 @@
+/**
+ * Redis client tests (lib/redis-client.js)
+ *
+ * A small RESP server on localhost stands in for Redis.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const net = require('node:net');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RedisClient, RedisReplyError } = require('../lib/redis-client');
+
+/**
+ * Start a fake server; `password` is what AUTH accepts (can change later)
+ */
+async function startServer(state) {
+  const connections = new Set();
+  const server = net.createServer(socket => {
+    connections.add(socket);
+    socket.on('close', () => connections.delete(socket));
+    let authenticated = !state.password;
+    let db = '0';
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      // Commands are arrays of bulk strings: *N, then $len / value pairs
+      let match;
+      while ((match = buffer.match(/^\*(\d+)\r\n/))) {
+        const lines = buffer.split('\r\n');
+        const count = parseInt(match[1], 10);
+        if (lines.length < 1 + count * 2 + 1) {
+          return;
+        }
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          args.push(lines[2 + i * 2]);
+        }
+        buffer = lines.slice(1 + count * 2).join('\r\n');
+
+        const [name, ...rest] = args;
+        if (name === 'AUTH') {
+          authenticated = rest[rest.length - 1] === state.password;
+          socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        } else if (!authenticated) {
+          socket.write('-NOAUTH Authentication required.\r\n');
+        } else if (name === 'SELECT') {
+          db = rest[0];
+          socket.write('+OK\r\n');
+        } else if (name === 'PING') {
+          socket.write(`$${`PONG ${db}`.length}\r\nPONG ${db}\r\n`);
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    close: () => new Promise(resolve => {
+      for (const socket of connections) {
+        socket.destroy();
+      }
+      server.close(resolve);
+    })
+  };
+}
+
+test('authenticates and selects the database before the first command', async () => {
+  const server = await startServer({ password: 'secret' });
+  const client = new RedisClient(`redis://:secret@127.0.0.1:${server.port}/2`);
+  try {
+    assert.equal(await client.command('PING'), 'PONG 2');
+  } finally {
+    client.socket?.destroy();
+    await server.close();
+  }
+});
+
+test('a failed AUTH is not kept as a usable connection', async () => {
+  const state = { password: 'right' };
+  const server = await startServer(state);
+  const client = new RedisClient(`redis://:wrong@127.0.0.1:${server.port}`);
+  try {
+    await assert.rejects(client.command('PING'), error => error instanceof RedisReplyError && /WRONGPASS/.test(error.message));
+    assert.equal(client.socket, null);
+
+    // Each later command authenticates again rather than hitting NOAUTH
+    await assert.rejects(client.command('PING'), /WRONGPASS/);
+
+    // Once the password works, so does the client
+    state.password = 'wrong';
+    assert.equal(await client.command('PING'), 'PONG 0');
+  } finally {
+    client.socket?.destroy();
+    await server.close();
+  }
+});
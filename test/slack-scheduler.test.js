@@ -0,0 +1,141 @@
+/**
+ * Slack request scheduler tests (lib/slack-scheduler.js)
+ *
+ * Calls are plain functions standing in for Web API requests. Budgets and
+ * pauses are shared per method across schedulers, so each test uses its
+ * own method names.
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCode } = require('@slack/web-api');
+const { SlackScheduler, isDeadlineError, getSchedulerStats } = require('../lib/slack-scheduler');
+
+function createScheduler({ concurrency = 4, deadlineMs = 20000, budgets = {} } = {}) {
+  return new SlackScheduler({ concurrency, deadlineMs, budgets, defaultBudget: 50 });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('a method budget lets a full bucket through, then waits for it to refill', async () => {
+  const scheduler = createScheduler({ budgets: { 'test.bucket': 60 } });
+
+  const startedAt = Date.now();
+  for (let i = 0; i < 60; i++) {
+    await scheduler.run('test.bucket', async () => 'ok');
+  }
+  assert.ok(Date.now() - startedAt < 500, 'a full bucket does not wait');
+
+  // 60 a minute: the next call is about a second away
+  await scheduler.run('test.bucket', async () => 'ok');
+  assert.ok(Date.now() - startedAt >= 900);
+});
+
+test('a budget that cannot refill before the deadline refuses the call at once', async () => {
+  const scheduler = createScheduler({ deadlineMs: 5000, budgets: { 'test.slow': 1 } });
+  await scheduler.run('test.slow', async () => 'ok');
+
+  const startedAt = Date.now();
+  await assert.rejects(scheduler.run('test.slow', async () => 'ok'), isDeadlineError);
+  assert.ok(Date.now() - startedAt < 500);
+  assert.equal(scheduler.deadlineReached, true);
+});
+
+test('a 429 pauses the method for Retry-After and the call is retried', async () => {
+  const first = createScheduler();
+  const second = createScheduler();
+  const rateLimited = getSchedulerStats().rateLimited;
+
+  let attempts = 0;
+  const startedAt = Date.now();
+  const result = await first.run('test.limited', async () => {
+    attempts++;
+    if (attempts === 1) {
+      const error = new Error('rate limited');
+      error.code = ErrorCode.RateLimitedError;
+      error.retryAfter = 1;
+      throw error;
+    }
+    return 'done';
+  });
+
+  assert.equal(result, 'done');
+  assert.equal(attempts, 2);
+  assert.ok(Date.now() - startedAt >= 950, 'waited for Retry-After');
+  assert.equal(getSchedulerStats().rateLimited, rateLimited + 1);
+
+  // The pause is over for everyone now; another request goes straight through
+  const again = Date.now();
+  await second.run('test.limited', async () => 'ok');
+  assert.ok(Date.now() - again < 500);
+});
+
+test('a paused method holds back other requests too', async () => {
+  const first = createScheduler();
+  const second = createScheduler();
+
+  let limited = true;
+  const pausing = first.run('test.shared', async () => {
+    if (limited) {
+      limited = false;
+      const error = new Error('rate limited');
+      error.code = ErrorCode.RateLimitedError;
+      error.retryAfter = 1;
+      throw error;
+    }
+    return 'ok';
+  });
+  await sleep(50);
+  assert.ok(getSchedulerStats().pausedMethods.includes('test.shared'));
+
+  const startedAt = Date.now();
+  await second.run('test.shared', async () => 'ok');
+  assert.ok(Date.now() - startedAt >= 800);
+  await pausing;
+});
+
+test('no more than the concurrency limit run at once, and every call runs', async () => {
+  const scheduler = createScheduler({ concurrency: 2 });
+  let active = 0;
+  let maxActive = 0;
+
+  const results = await Promise.all(Array.from({ length: 6 }, (_, index) => scheduler.run('test.parallel', async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await sleep(30);
+    active--;
+    return index;
+  })));
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+  assert.equal(maxActive, 2);
+});
+
+test('gathering calls stop before the deadline, lookups at it', async () => {
+  // Reserve is a quarter of a 400ms deadline: gathering stops at 300ms
+  const scheduler = createScheduler({ deadlineMs: 400 });
+  await sleep(320);
+
+  await assert.rejects(scheduler.run('conversations.history', async () => 'ok'), isDeadlineError);
+  assert.equal(await scheduler.run('users.info', async () => 'ok'), 'ok');
+
+  await sleep(100);
+  await assert.rejects(scheduler.run('users.info', async () => 'ok'), isDeadlineError);
+  assert.equal(scheduler.deadlineReached, true);
+});
+
+test('a call queued past the deadline is refused when its turn comes', async () => {
+  const scheduler = createScheduler({ concurrency: 1, deadlineMs: 200 });
+  let ran = false;
+
+  const slow = scheduler.run('test.queued', () => sleep(300));
+  const queued = scheduler.run('test.queued', async () => { ran = true; });
+
+  await slow;
+  await assert.rejects(queued, isDeadlineError);
+  assert.equal(ran, false);
+});
@@ -0,0 +1,93 @@
+/**
+ * Slack request signature tests (lib/slack-signature.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSlackSignature, verifySlackSignature } = require('../lib/slack-signature');
+
+// The worked example from Slack's "Verifying requests from Slack" guide
+const SLACK_EXAMPLE = {
+  signingSecret: '8f742231b10e8888abcd99yyyzzz85a5',
+  timestamp: '1531420618',
+  rawBody: 'token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&team_domain=testteamnow&channel_id=G8PSS9T3V&channel_name=foobar&user_id=U2CERLKJA&user_name=roadrunner&command=%2Fwebhook-collect&text=&response_url=https%3A%2F%2Fhooks.slack.com%2Fcommands%2FT1DC2JH3J%2F397700885554%2F96rGlfmibIGlgcZRskXaIFfN&trigger_id=398738663015.47445629121.803a0bc887a14d10d2c447fce8b6703c',
+  signature: 'v0=a2114d57b48eac39b9ad189dd8316235a7b4a8d21a10bd27519666489c69b503'
+};
+
+const SECRET = 'test-signing-secret';
+const NOW = 1_800_000_000_000;
+
+/**
+ * A request signed with SECRET at `timestamp` (default: NOW)
+ */
+function signedRequest(rawBody, timestamp = String(NOW / 1000)) {
+  return {
+    signingSecret: SECRET,
+    timestamp,
+    signature: computeSlackSignature(SECRET, timestamp, rawBody),
+    rawBody,
+    now: NOW
+  };
+}
+
+test('matches the signature in Slack\'s documentation', () => {
+  const { signingSecret, timestamp, rawBody, signature } = SLACK_EXAMPLE;
+  assert.equal(computeSlackSignature(signingSecret, timestamp, rawBody), signature);
+  assert.deepEqual(
+    verifySlackSignature({ ...SLACK_EXAMPLE, now: parseInt(timestamp, 10) * 1000 }),
+    { valid: true }
+  );
+});
+
+test('accepts string and Buffer bodies alike', () => {
+  const body = '{"type":"event_callback","event":{"text":"héllo"}}';
+  assert.equal(verifySlackSignature(signedRequest(body)).valid, true);
+  assert.equal(verifySlackSignature({ ...signedRequest(body), rawBody: Buffer.from(body) }).valid, true);
+});
+
+test('rejects a changed body, another secret or a tampered signature', () => {
+  const request = signedRequest('{"a":1}');
+
+  assert.deepEqual(verifySlackSignature({ ...request, rawBody: '{"a":2}' }), { valid: false, reason: 'Signature mismatch' });
+  assert.equal(verifySlackSignature({ ...request, signingSecret: 'other-secret' }).valid, false);
+
+  const flipped = request.signature.slice(0, -1) + (request.signature.endsWith('0') ? '1' : '0');
+  assert.equal(verifySlackSignature({ ...request, signature: flipped }).valid, false);
+  assert.equal(verifySlackSignature({ ...request, signature: request.signature.slice(0, -2) }).valid, false);
+  assert.equal(verifySlackSignature({ ...request, signature: request.signature.replace('v0=', 'v1=') }).valid, false);
+});
+
+test('a signature does not carry over to another timestamp', () => {
+  const request = signedRequest('{"a":1}');
+  const later = String(NOW / 1000 + 1);
+  assert.deepEqual(verifySlackSignature({ ...request, timestamp: later }), { valid: false, reason: 'Signature mismatch' });
+});
+
+test('refuses requests outside the five-minute window, either way', () => {
+  const body = '{"a":1}';
+  const seconds = NOW / 1000;
+
+  assert.equal(verifySlackSignature(signedRequest(body, String(seconds - 300))).valid, true);
+  assert.equal(verifySlackSignature(signedRequest(body, String(seconds + 300))).valid, true);
+
+  for (const timestamp of [seconds - 301, seconds + 301]) {
+    assert.deepEqual(
+      verifySlackSignature(signedRequest(body, String(timestamp))),
+      { valid: false, reason: 'Request timestamp outside the allowed window' }
+    );
+  }
+});
+
+test('refuses missing headers and non-numeric timestamps', () => {
+  const request = signedRequest('{"a":1}');
+
+  assert.deepEqual(verifySlackSignature({ ...request, signature: undefined }), { valid: false, reason: 'Missing Slack signature headers' });
+  assert.deepEqual(verifySlackSignature({ ...request, timestamp: '' }), { valid: false, reason: 'Missing Slack signature headers' });
+  for (const timestamp of ['1.5e9', '-1800000000', ' 1800000000', '0x6b49d200']) {
+    assert.deepEqual(
+      verifySlackSignature({ ...request, timestamp }),
+      { valid: false, reason: 'Invalid X-Slack-Request-Timestamp' },
+      timestamp
+    );
+  }
+});
@@ -0,0 +1,32 @@
+/**
+ * Fuzzy user matching tests (lib/user-search.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreUser } = require('../lib/user-search');
+
+const jane = {
+  name: 'jane.doe',
+  real_name: 'Jane Doe',
+  profile: { display_name: 'jd', email: 'jane.doe@example.com' }
+};
+
+test('ranks exact, prefix, word, substring and typo matches', () => {
+  assert.deepEqual(scoreUser(jane, 'JD'), { score: 100, field: 'display_name' });
+  assert.equal(scoreUser(jane, 'jane d').score, 80);
+  assert.equal(scoreUser(jane, 'doe ja').score, 70);
+  assert.equal(scoreUser(jane, 'ne do').score, 50);
+  assert.equal(scoreUser({ ...jane, real_name: 'Jonathan Doe' }, 'jonahtan').score, 30);
+  assert.equal(scoreUser(jane, 'smith').score, 0);
+});
+
+test('ignores case and accents', () => {
+  assert.equal(scoreUser({ name: 'jose', real_name: 'José Núñez' }, 'jose nunez').score, 100);
+});
+
+test('queries of only separators match nobody', () => {
+  for (const query of ['.', '@', '- _', '  ']) {
+    assert.deepEqual(scoreUser(jane, query), { score: 0, field: null }, JSON.stringify(query));
+  }
+});